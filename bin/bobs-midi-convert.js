@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * Launcher for the bundled CLI (see src/cli/index.js)
+ */
+
+import { existsSync } from 'node:fs';
+
+const bundleURL = new URL('../dist/cli/index.js', import.meta.url);
+
+if (!existsSync(bundleURL)) {
+  console.error('The CLI has not been built yet. Run `npm run build:cli` first.');
+  process.exit(1);
+}
+
+await import(bundleURL.href);
@@ -0,0 +1,91 @@
+/**
+ * Service Worker
+ * Keeps the app shell, the model checkpoint and the FFmpeg core in Cache Storage so
+ * conversions work offline after the first visit. Registered by OfflineCache (src/modules/offlineCache.js),
+ * which also fills the cache with the large assets; CACHE_NAME must match the one there.
+ */
+
+const CACHE_NAME = 'bobs-midi-assets-v1';
+
+// Written by the precache-manifest plugin in vite.config.js (absent under `npm run dev`)
+const PRECACHE_MANIFEST = 'precache-manifest.json';
+
+const SHELL = ['./', 'index.html', 'manifest.webmanifest', 'icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    let assets = [];
+
+    try {
+      const response = await fetch(PRECACHE_MANIFEST, { cache: 'no-store' });
+      if (response.ok) {
+        assets = await response.json();
+      }
+    } catch (error) {
+      // Offline during install - the shell alone still lets the page load
+    }
+
+    await cache.addAll([...SHELL, ...assets]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // YouTube downloads (/api/) always need the network, and other origins are left alone
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Serve the latest page when online, the cached one otherwise
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match('index.html')) || Response.error();
+  }
+}
+
+/**
+ * Serve hashed bundles, model weights and the FFmpeg core from the cache, caching on first fetch
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
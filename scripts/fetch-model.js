@@ -0,0 +1,88 @@
+/**
+ * Mirror the OnsetsAndFrames checkpoint into public/ so the app can serve it from its own origin.
+ * Runs before `npm run dev` and `npm run build`; files that already exist are skipped.
+ * Exits with status 1 if the mirror can't be completed, so a build never ships without a model;
+ * before `npm run dev` it only warns, so the dev server still starts offline.
+ */
+
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadEnv } from 'vite';
+import { REMOTE_CHECKPOINT_URL } from '../src/modules/modelCheckpoint.js';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const OUTPUT_DIR = fileURLToPath(new URL('../public/models/onsets_frames_uni/', import.meta.url));
+const DEV = process.env.npm_lifecycle_event === 'predev';
+
+/**
+ * Check whether a file has already been downloaded
+ */
+async function exists(filePath) {
+  try {
+    return (await stat(filePath)).size > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Download one checkpoint file unless it is already mirrored
+ */
+async function download(name) {
+  const filePath = path.join(OUTPUT_DIR, name);
+
+  if (await exists(filePath)) {
+    return false;
+  }
+
+  const response = await fetch(`${REMOTE_CHECKPOINT_URL}/${name}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${name}`);
+  }
+
+  await writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+  return true;
+}
+
+async function main() {
+  // The app loads the checkpoint from elsewhere, so there's nothing to mirror
+  const mode = DEV ? 'development' : 'production';
+  const { VITE_MODEL_CHECKPOINT_URL } = { ...loadEnv(mode, ROOT_DIR, 'VITE_'), ...process.env };
+
+  if (VITE_MODEL_CHECKPOINT_URL) {
+    console.log(`Using the model checkpoint at ${VITE_MODEL_CHECKPOINT_URL}`);
+    return;
+  }
+
+  await mkdir(OUTPUT_DIR, { recursive: true });
+
+  await download('weights_manifest.json');
+
+  const manifestPath = path.join(OUTPUT_DIR, 'weights_manifest.json');
+  const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+  const shards = manifest.flatMap(group => group.paths);
+
+  let downloaded = 0;
+  for (const shard of shards) {
+    if (await download(shard)) {
+      downloaded++;
+    }
+  }
+
+  console.log(`Model checkpoint ready in public/models (${downloaded} of ${shards.length} shards downloaded)`);
+}
+
+main().catch((error) => {
+  // The dev server is still useful without a model (MIDI re-processing, the UI itself)
+  if (DEV) {
+    console.warn(`⚠️ Could not mirror the model checkpoint: ${error.message}`);
+    console.warn('   Transcription won\'t work until `npm run fetch-model` succeeds or VITE_MODEL_CHECKPOINT_URL is set.');
+    return;
+  }
+
+  // Fail the build: without the mirror the app would request a checkpoint that isn't deployed
+  console.error(`❌ Could not mirror the model checkpoint: ${error.message}`);
+  console.error('   Re-run `npm run fetch-model`, or set VITE_MODEL_CHECKPOINT_URL to a reachable checkpoint.');
+  process.exitCode = 1;
+});
@@ -0,0 +1,142 @@
+"""
+Transkun service for the "Transkun" transcription model.
+
+Transkun is a PyTorch model with no browser build, so the web app and CLI post
+audio to this small local server instead:
+
+    pip install transkun
+    python scripts/transkun-server.py [--port 8765] [--device cuda] [--allow-origin URL ...]
+
+GET  /health      -> 200 when the server is up
+POST /transcribe  -> WAV request body, MIDI file response
+
+Browsers may only call it from the app's dev and preview servers, unless other
+origins are given with --allow-origin or TRANSKUN_ALLOWED_ORIGINS (comma-separated).
+Requests without an Origin header (the CLI) are always served.
+"""
+
+import argparse
+import json
+import os
+import subprocess
+import tempfile
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from pathlib import Path
+
+
+# `npm run dev` and `npm run preview`
+DEFAULT_ORIGINS = [
+    'http://localhost:5173',
+    'http://127.0.0.1:5173',
+    'http://localhost:4173',
+    'http://127.0.0.1:4173',
+]
+
+
+class TranskunHandler(BaseHTTPRequestHandler):
+    device = 'cpu'
+    allowed_origins = set(DEFAULT_ORIGINS)
+
+    def origin_allowed(self):
+        origin = self.headers.get('Origin')
+        return origin is None or origin in self.allowed_origins
+
+    def send_cors_headers(self):
+        origin = self.headers.get('Origin')
+        if origin in self.allowed_origins:
+            self.send_header('Access-Control-Allow-Origin', origin)
+            self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+            self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+        self.send_header('Vary', 'Origin')
+
+    def send_json(self, status, data):
+        body = json.dumps(data).encode()
+        self.send_response(status)
+        self.send_cors_headers()
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_GET(self):
+        if self.path == '/health':
+            self.send_json(200, {'status': 'ok'})
+        else:
+            self.send_json(404, {'error': 'Not found'})
+
+    def do_POST(self):
+        if self.path != '/transcribe':
+            self.send_json(404, {'error': 'Not found'})
+            return
+
+        # Other sites can't read the response, but shouldn't get to run Transkun either
+        if not self.origin_allowed():
+            self.send_json(403, {'error': f'Origin not allowed: {self.headers.get("Origin")}'})
+            return
+
+        length = int(self.headers.get('Content-Length', 0))
+        if length == 0:
+            self.send_json(400, {'error': 'Request body must be a WAV file'})
+            return
+
+        with tempfile.TemporaryDirectory() as temp_dir:
+            audio_path = Path(temp_dir) / 'input.wav'
+            midi_path = Path(temp_dir) / 'output.mid'
+            audio_path.write_bytes(self.rfile.read(length))
+
+            result = subprocess.run(
+                ['transkun', str(audio_path), str(midi_path), '--device', self.device],
+                capture_output=True,
+                text=True
+            )
+
+            if result.returncode != 0 or not midi_path.exists():
+                self.send_json(500, {'error': f'Transkun error: {result.stderr.strip()}'})
+                return
+
+            midi_data = midi_path.read_bytes()
+
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header('Content-Type', 'audio/midi')
+        self.send_header('Content-Length', str(len(midi_data)))
+        self.end_headers()
+        self.wfile.write(midi_data)
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Local Transkun transcription service')
+    parser.add_argument('--host', default='127.0.0.1')
+    parser.add_argument('--port', type=int, default=8765)
+    parser.add_argument('--device', default='cpu', help='PyTorch device, e.g. cpu or cuda')
+    parser.add_argument(
+        '--allow-origin',
+        action='append',
+        default=[],
+        metavar='URL',
+        help='Also accept browser requests from this origin, e.g. https://midi.example.com (repeatable)'
+    )
+    args = parser.parse_args()
+
+    extra_origins = [origin.strip() for origin in os.environ.get('TRANSKUN_ALLOWED_ORIGINS', '').split(',')]
+    TranskunHandler.device = args.device
+    TranskunHandler.allowed_origins = {
+        origin.rstrip('/') for origin in DEFAULT_ORIGINS + extra_origins + args.allow_origin if origin
+    }
+
+    server = ThreadingHTTPServer((args.host, args.port), TranskunHandler)
+    print(f'Transkun service listening on http://{args.host}:{args.port}')
+
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()
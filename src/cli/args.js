@@ -0,0 +1,396 @@
+/**
+ * CLI Arguments Module
+ * Parses command-line flags into the same settings shape UIController.getSettings() returns
+ */
+
+import { parseArgs } from 'node:util';
+import { getBackendIds } from '../modules/transcriptionBackends.js';
+import { QUANTIZE_SUBDIVISIONS } from '../modules/midiGenerator.js';
+import { parseKeyName } from '../modules/keyDetector.js';
+import { BUILT_IN_PRESETS } from '../modules/filterPresets.js';
+import { DEFAULT_CURVE_POINTS } from '../modules/velocityProcessor.js';
+
+export const USAGE = `Usage: bobs-midi-convert [options] <file|directory|glob>...
+
+Convert audio files to MIDI with the Piano Transcription (default) or Transkun model.
+MIDI files given by name are re-processed instead: their notes go through the
+post-processing and export options below, without loading the model.
+
+Options:
+  -o, --out-dir <dir>            Where to write output files (default: current directory; re-processed
+                                 MIDI files are saved next to the original as <name>_processed.mid)
+  -t, --title <name>             Custom output filename; numbered when converting several files
+  -m, --model <name>             Transcription model: piano or transkun (default: piano)
+      --start <sec>              Trim start time in seconds (default: 0)
+      --end <sec>                Trim end time in seconds, 0 = until the end (default: 0)
+      --segment <name=start-end> Transcribe this range (in seconds) of every audio input as its own MIDI
+                                 file, <input>_<name>.mid; repeat for more segments. Replaces --start/--end
+      --chunk <sec>              Transcribe in chunks of this length, 0 = whole file (default: 10)
+      --overlap <sec>            Overlap between chunks, stitched afterwards (default: 1)
+      --preset <name>            Note cleanup preset: "Default", "Clean up artifacts" or
+                                 "Keep everything" (default: Default); the flags below override it
+      --max-note-duration <sec>  Drop notes longer than this (default: 0.2)
+      --no-max-note-filter       Keep all notes regardless of duration
+      --truncate-long            Shorten notes longer than --max-note-duration instead of dropping them
+      --min-duration <sec>       Drop notes shorter than this (default: 0, off)
+      --velocity-floor <n>       Drop notes quieter than this velocity, 0-127 (default: 0, off)
+      --pitch-range <low-high>   Drop notes outside this MIDI pitch range (default: 21-108)
+      --remove-ghost-notes       Drop quiet notes struck alongside a much louder neighbour or harmonic
+      --merge-retriggers         Join rapid repeats of the same pitch into one note
+      --max-polyphony <n>        Keep at most this many notes sounding at once (default: 0, off)
+      --no-tempo                 Skip tempo and time signature detection (write 120 BPM, 4/4)
+      --quantize <grid>          Snap notes to 1/8, 1/16, 1/8T or 1/16T of the beat (default: off)
+      --quantize-strength <pct>  How far notes move towards the grid, 0-100 (default: 100)
+      --key <key>                Key signature: auto, none, or a key such as "Eb major" or F#m (default: auto)
+      --transpose <tonic>        Transpose the output to this tonic, keeping the mode (e.g. D, Bb)
+      --single-track             Keep all notes on one track instead of separate hand tracks
+      --pedal <mode>             Sustain pedal inference: off, notes or audio (default: notes)
+      --fixed-velocity <n>       Play every note at this velocity, 1-127
+      --normalize-velocity <min-max>
+                                 Stretch velocities onto this range, e.g. 30-110
+      --dynamics <pct>           Compress (under 100) or expand (over 100) dynamics (default: 100)
+      --velocity-curve <curve>   linear, log, exp, or custom points such as 0:0,64:90,127:127
+      --midi-type <0|1>          SMF type: 1 keeps separate tracks, 0 merges them into one (default: 1)
+      --ppq <n>                  Ticks per quarter note, 24-9600 (default: 480)
+      --program <n>              General MIDI program, 0-127 (default: 0, Acoustic Grand Piano)
+      --channel <n>              MIDI channel, 1-16; the left hand uses the next one (default: 1)
+      --track-name <name>        Name of the note track (default: Piano, or Right/Left Hand)
+      --sequence-name <name>     Title stored in the file (default: the input's name)
+      --copyright <text>         Copyright notice stored in the file
+      --no-metadata              Don't record the source, date and settings as text events
+      --musicxml                 Also write a MusicXML score next to each MIDI file
+      --note-data                Also write the transcribed notes as JSON (with metadata) and CSV
+      --reference <file|dir>     Ground-truth MIDI file, or a directory of them matched to inputs by
+                                 name, to score each transcription against (onset, offset, velocity F1)
+      --report <file>            Where to write the evaluation CSV (default: evaluation_report.csv
+                                 in the output directory)
+  -z, --zip                      Package the MIDI files into a single ZIP
+      --zip-name <name>          ZIP filename without extension (default: midi_files)
+      --include-audio            Add the source audio files to the ZIP
+      --ffmpeg <path>            ffmpeg binary used for decoding (default: ffmpeg on PATH)
+      --checkpoint <url>         Model checkpoint URL (default: Magenta's hosted checkpoint)
+      --transkun-url <url>       Transkun service URL (default: http://localhost:8765)
+  -q, --quiet                    Only print errors and the final summary
+  -h, --help                     Show this help
+
+Directories are scanned for audio files (not recursively). Quote glob patterns
+such as "recordings/**/*.mp3" to let the converter expand them.`;
+
+const OPTIONS = {
+  'out-dir': { type: 'string', short: 'o' },
+  'title': { type: 'string', short: 't', default: '' },
+  'model': { type: 'string', short: 'm', default: 'piano' },
+  'start': { type: 'string', default: '0' },
+  'end': { type: 'string', default: '0' },
+  'segment': { type: 'string', multiple: true, default: [] },
+  'chunk': { type: 'string', default: '10' },
+  'overlap': { type: 'string', default: '1' },
+  'preset': { type: 'string', default: 'Default' },
+  'max-note-duration': { type: 'string' },
+  'no-max-note-filter': { type: 'boolean', default: false },
+  'truncate-long': { type: 'boolean', default: false },
+  'min-duration': { type: 'string' },
+  'velocity-floor': { type: 'string' },
+  'pitch-range': { type: 'string' },
+  'remove-ghost-notes': { type: 'boolean', default: false },
+  'merge-retriggers': { type: 'boolean', default: false },
+  'max-polyphony': { type: 'string' },
+  'no-tempo': { type: 'boolean', default: false },
+  'quantize': { type: 'string', default: 'off' },
+  'quantize-strength': { type: 'string', default: '100' },
+  'key': { type: 'string', default: 'auto' },
+  'transpose': { type: 'string', default: 'off' },
+  'single-track': { type: 'boolean', default: false },
+  'pedal': { type: 'string', default: 'notes' },
+  'fixed-velocity': { type: 'string' },
+  'normalize-velocity': { type: 'string' },
+  'dynamics': { type: 'string' },
+  'velocity-curve': { type: 'string' },
+  'midi-type': { type: 'string', default: '1' },
+  'ppq': { type: 'string', default: '480' },
+  'program': { type: 'string', default: '0' },
+  'channel': { type: 'string', default: '1' },
+  'track-name': { type: 'string', default: '' },
+  'sequence-name': { type: 'string', default: '' },
+  'copyright': { type: 'string', default: '' },
+  'no-metadata': { type: 'boolean', default: false },
+  'musicxml': { type: 'boolean', default: false },
+  'note-data': { type: 'boolean', default: false },
+  'reference': { type: 'string' },
+  'report': { type: 'string' },
+  'zip': { type: 'boolean', short: 'z', default: false },
+  'zip-name': { type: 'string', default: 'midi_files' },
+  'include-audio': { type: 'boolean', default: false },
+  'ffmpeg': { type: 'string', default: 'ffmpeg' },
+  'checkpoint': { type: 'string' },
+  'transkun-url': { type: 'string' },
+  'quiet': { type: 'boolean', short: 'q', default: false },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Parse a non-negative number flag
+ */
+function parseSeconds(name, value) {
+  const number = Number(value);
+
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid value for --${name}: "${value}" (expected a number of seconds)`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse a whole-number flag within [min, max]
+ */
+function parseInteger(name, value, min, max) {
+  const number = Number(value);
+
+  if (value.trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Invalid value for --${name}: "${value}" (expected a whole number from ${min} to ${max})`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse the --segment flags, each "name=start-end" in seconds
+ * @returns {Array<{ name: string, startTime: number, endTime: number }>}
+ */
+function parseSegments(values) {
+  const segments = values.map(value => {
+    const separator = value.lastIndexOf('=');
+    const [start, end] = value.slice(separator + 1).split('-');
+    const name = value.slice(0, separator).trim();
+
+    if (separator < 1 || !name || end === undefined) {
+      throw new Error(`Invalid value for --segment: "${value}" (expected name=start-end, e.g. Allegro=0-312.5)`);
+    }
+
+    const segment = {
+      name,
+      startTime: parseSeconds('segment', start),
+      endTime: parseSeconds('segment', end)
+    };
+
+    if (segment.endTime <= segment.startTime) {
+      throw new Error(`Invalid value for --segment: "${value}" (the end must be after the start)`);
+    }
+
+    return segment;
+  });
+
+  const names = segments.map(segment => segment.name.toLowerCase());
+  const duplicate = segments.find((segment, index) => names.indexOf(names[index]) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate --segment name: "${duplicate.name}"`);
+  }
+
+  return segments;
+}
+
+/**
+ * Start from a built-in cleanup preset and apply the filter flags that were given
+ */
+function parseFilterSettings(values) {
+  const presetName = Object.keys(BUILT_IN_PRESETS)
+    .find(name => name.toLowerCase() === values.preset.toLowerCase());
+
+  if (!presetName) {
+    throw new Error(`Invalid value for --preset: "${values.preset}" (expected ${Object.keys(BUILT_IN_PRESETS).map(name => `"${name}"`).join(', ')})`);
+  }
+
+  const filters = { ...BUILT_IN_PRESETS[presetName], filterPreset: presetName };
+
+  if (values['max-note-duration'] !== undefined) {
+    filters.maxNotes = parseSeconds('max-note-duration', values['max-note-duration']);
+  }
+  if (values['no-max-note-filter']) {
+    filters.enableMaxNotes = false;
+  }
+  if (values['truncate-long']) {
+    filters.truncateLongNotes = true;
+  }
+  if (values['min-duration'] !== undefined) {
+    filters.minDuration = parseSeconds('min-duration', values['min-duration']);
+  }
+  if (values['velocity-floor'] !== undefined) {
+    filters.velocityFloor = parseInteger('velocity-floor', values['velocity-floor'], 0, 127);
+  }
+  if (values['pitch-range'] !== undefined) {
+    const [low, high] = values['pitch-range'].split('-');
+
+    if (high === undefined) {
+      throw new Error(`Invalid value for --pitch-range: "${values['pitch-range']}" (expected low-high, e.g. 21-108)`);
+    }
+
+    filters.minPitch = parseInteger('pitch-range', low, 0, 127);
+    filters.maxPitch = parseInteger('pitch-range', high, filters.minPitch, 127);
+  }
+  if (values['remove-ghost-notes']) {
+    filters.removeGhostNotes = true;
+  }
+  if (values['merge-retriggers']) {
+    filters.mergeRetriggers = true;
+  }
+  if (values['max-polyphony'] !== undefined) {
+    filters.maxPolyphony = parseInteger('max-polyphony', values['max-polyphony'], 0, 88);
+  }
+
+  return filters;
+}
+
+/**
+ * Build the velocity settings; any processing flag switches processing on
+ */
+function parseVelocitySettings(values) {
+  const velocity = {
+    velocityMode: 'original',
+    fixedVelocity: 80,
+    velocityNormalize: false,
+    velocityMin: 30,
+    velocityMax: 110,
+    velocityDynamics: 100,
+    velocityCurve: 'linear',
+    velocityCurvePoints: DEFAULT_CURVE_POINTS
+  };
+
+  if (values['normalize-velocity'] !== undefined) {
+    const [low, high] = values['normalize-velocity'].split('-');
+
+    if (high === undefined) {
+      throw new Error(`Invalid value for --normalize-velocity: "${values['normalize-velocity']}" (expected min-max, e.g. 30-110)`);
+    }
+
+    velocity.velocityNormalize = true;
+    velocity.velocityMin = parseInteger('normalize-velocity', low, 1, 127);
+    velocity.velocityMax = parseInteger('normalize-velocity', high, velocity.velocityMin, 127);
+    velocity.velocityMode = 'process';
+  }
+
+  if (values.dynamics !== undefined) {
+    velocity.velocityDynamics = parseInteger('dynamics', values.dynamics, 0, 1000);
+    velocity.velocityMode = 'process';
+  }
+
+  const curve = values['velocity-curve'];
+  if (curve !== undefined) {
+    if (['linear', 'log', 'exp'].includes(curve)) {
+      velocity.velocityCurve = curve;
+    } else {
+      const points = curve.split(',').map(point => point.split(':'));
+
+      if (points.length < 2 || points.some(point => point.length !== 2)) {
+        throw new Error(`Invalid value for --velocity-curve: "${curve}" (expected linear, log, exp or points such as 0:0,64:90,127:127)`);
+      }
+
+      velocity.velocityCurve = 'custom';
+      velocity.velocityCurvePoints = points.map(([x, y]) => [
+        parseInteger('velocity-curve', x, 0, 127),
+        parseInteger('velocity-curve', y, 0, 127)
+      ]);
+    }
+    velocity.velocityMode = 'process';
+  }
+
+  // A fixed velocity replaces any other processing
+  if (values['fixed-velocity'] !== undefined) {
+    velocity.fixedVelocity = parseInteger('fixed-velocity', values['fixed-velocity'], 1, 127);
+    velocity.velocityMode = 'fixed';
+  }
+
+  return velocity;
+}
+
+/**
+ * Parse process arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{ inputs: string[], settings: Object, help: boolean }}
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  const settings = {
+    customTitle: values.title,
+    modelChoice: values.model,
+    startTime: parseSeconds('start', values.start),
+    endTime: parseSeconds('end', values.end),
+    segments: parseSegments(values.segment),
+    chunkDur: parseSeconds('chunk', values.chunk),
+    chunkOverlap: parseSeconds('overlap', values.overlap),
+    ...parseFilterSettings(values),
+    detectTempo: !values['no-tempo'],
+    quantize: values.quantize,
+    quantizeStrength: Number(values['quantize-strength']),
+    keySignature: values.key === 'none' ? 'off' : values.key,
+    transposeTo: values.transpose,
+    separateHands: !values['single-track'],
+    pedal: values.pedal,
+    ...parseVelocitySettings(values),
+    midiFormat: parseInteger('midi-type', values['midi-type'], 0, 1),
+    ppq: parseInteger('ppq', values.ppq, 24, 9600),
+    midiProgram: parseInteger('program', values.program, 0, 127),
+    midiChannel: parseInteger('channel', values.channel, 1, 16),
+    trackName: values['track-name'],
+    sequenceName: values['sequence-name'],
+    copyright: values.copyright,
+    embedMetadata: !values['no-metadata'],
+    musicXML: values.musicxml,
+    noteData: values['note-data'],
+    referencePath: values.reference,
+    reportPath: values.report,
+    zipOutput: values.zip,
+    zipFilename: values['zip-name'],
+    includeMp3: values['include-audio'],
+    outDir: values['out-dir'],
+    ffmpegPath: values.ffmpeg,
+    checkpointURL: values.checkpoint,
+    transkunURL: values['transkun-url'],
+    quiet: values.quiet,
+  };
+
+  if (!getBackendIds().includes(settings.modelChoice)) {
+    throw new Error(`Invalid value for --model: "${settings.modelChoice}" (expected ${getBackendIds().join(' or ')})`);
+  }
+
+  const grids = Object.keys(QUANTIZE_SUBDIVISIONS);
+  if (settings.quantize !== 'off' && !grids.includes(settings.quantize)) {
+    throw new Error(`Invalid value for --quantize: "${settings.quantize}" (expected off, ${grids.join(', ')})`);
+  }
+
+  const strength = values['quantize-strength'];
+  if (strength.trim() === '' || !(settings.quantizeStrength >= 0 && settings.quantizeStrength <= 100)) {
+    throw new Error(`Invalid value for --quantize-strength: "${strength}" (expected 0-100)`);
+  }
+
+  if (settings.keySignature !== 'auto' && settings.keySignature !== 'off' && !parseKeyName(settings.keySignature)) {
+    throw new Error(`Invalid value for --key: "${values.key}" (expected auto, none or a key such as "Eb major")`);
+  }
+
+  if (settings.transposeTo !== 'off' && !parseKeyName(settings.transposeTo)) {
+    throw new Error(`Invalid value for --transpose: "${settings.transposeTo}" (expected a note name such as D or Bb)`);
+  }
+
+  if (!['off', 'notes', 'audio'].includes(settings.pedal)) {
+    throw new Error(`Invalid value for --pedal: "${settings.pedal}" (expected off, notes or audio)`);
+  }
+
+  if (settings.reportPath !== undefined && settings.referencePath === undefined) {
+    throw new Error('--report needs --reference');
+  }
+
+  if (settings.endTime > 0 && settings.endTime <= settings.startTime) {
+    throw new Error('--end must be greater than --start');
+  }
+
+  return {
+    inputs: positionals,
+    settings,
+    help: values.help,
+  };
+}
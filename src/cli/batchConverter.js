@@ -0,0 +1,366 @@
+/**
+ * Batch Converter Module
+ * Runs the audio-to-MIDI pipeline over files on disk (headless version of startConversion())
+ */
+
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import JSZip from 'jszip';
+import { NodeAudioLoader } from './nodeAudioLoader.js';
+import { createBackend } from '../modules/transcriptionBackends.js';
+import { MIDIGenerator, getMidiFileOptions } from '../modules/midiGenerator.js';
+import { MusicXMLExporter } from '../modules/musicXmlExporter.js';
+import { NoteDataExporter } from '../modules/noteDataExporter.js';
+import { TranscriptionEvaluator } from '../modules/transcriptionEvaluator.js';
+import { MIDIImporter, REPROCESSED_SUFFIX } from '../modules/midiImporter.js';
+import { getFilterOptions } from '../modules/noteFilters.js';
+import { getVelocityOptions } from '../modules/velocityProcessor.js';
+
+export class BatchConverter {
+  constructor(settings, log = console.error) {
+    this.settings = settings;
+    this.log = log;
+    this.audioLoader = new NodeAudioLoader(settings.ffmpegPath);
+    this.transcriber = null;
+    this.midiGenerator = new MIDIGenerator();
+    this.musicXMLExporter = new MusicXMLExporter();
+    this.noteDataExporter = new NoteDataExporter();
+    this.evaluator = new TranscriptionEvaluator();
+    this.midiImporter = new MIDIImporter();
+    this.outDir = settings.outDir || '.';
+  }
+
+  /**
+   * Convert every file and write the outputs
+   * @param {string[]} files - Audio file paths, or MIDI files to re-process
+   * @param {AbortSignal} signal - Stops the batch, aborting the file in progress
+   * @returns {Promise<{ converted: number, written: string[], failed: Array<{ file: string, error: string }>,
+   *   aborted: string[] }>} - Segments count separately and are listed as "file (segment)"
+   */
+  async run(files, signal = null) {
+    const { settings } = this;
+    const onProgress = settings.quiet ? null : (msg) => this.log(msg);
+    const results = [];
+    const failed = [];
+    const aborted = [];
+
+    await mkdir(this.outDir, { recursive: true });
+
+    const references = settings.referencePath ? await this.loadReferences(settings.referencePath) : [];
+
+    // Re-processing MIDI files needs no model
+    if (files.some(file => !this.midiImporter.isMidiName(file))) {
+      this.transcriber = await createBackend(settings.modelChoice, {
+        checkpointURL: settings.checkpointURL,
+        serviceURL: settings.transkunURL
+      });
+    }
+
+    // Each segment of an audio file is converted on its own
+    const tasks = files.flatMap(file => settings.segments.length > 0 && !this.midiImporter.isMidiName(file)
+      ? settings.segments.map(segment => ({ file, segment }))
+      : [{ file, segment: null }]);
+    const describe = ({ file, segment }) => segment ? `${file} (${segment.name})` : file;
+
+    for (let i = 0; i < tasks.length; i++) {
+      const { file, segment } = tasks[i];
+
+      if (signal && signal.aborted) {
+        aborted.push(...tasks.slice(i).map(describe));
+        break;
+      }
+      const baseName = path.basename(file, path.extname(file));
+      const sourceName = segment ? `${baseName}_${segment.name}` : baseName;
+      const reprocess = this.midiImporter.isMidiName(file);
+
+      this.log(`\n📄 ${reprocess ? 'Re-processing' : 'Processing'} ${i + 1}/${tasks.length}: ${sourceName}`);
+
+      try {
+        // Segments of a file share its number after a custom title
+        const result = reprocess
+          ? await this.reprocessFile(file, sourceName, files.indexOf(file), files.length, onProgress)
+          : await this.convertFile(file, sourceName, files.indexOf(file), files.length, signal, onProgress, segment);
+
+        results.push(result);
+
+        this.log(`✅ Completed: ${result.filename} (${result.noteCount} notes)`);
+
+        if (settings.referencePath) {
+          this.evaluate(result, references, tasks.length);
+        }
+
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          this.log(`🛑 Aborted: ${sourceName}`);
+          aborted.push(...tasks.slice(i).map(describe));
+          break;
+        }
+
+        this.log(`❌ Failed to process ${sourceName}: ${error.message}`);
+        failed.push({ file: describe(tasks[i]), error: error.message });
+      }
+    }
+
+    // Whatever finished before a cancel is still written out
+    const written = results.length === 0 ? [] : await this.writeOutputs(results);
+
+    if (this.transcriber) {
+      this.transcriber.dispose();
+    }
+
+    return { converted: results.length, written, failed, aborted };
+  }
+
+  /**
+   * Transcribe one audio file, or one segment of it
+   * @param {Object|null} segment - { name, startTime, endTime }, replacing the trim settings
+   * @returns {Promise<Object>} - Result for writeOutputs()
+   */
+  async convertFile(file, sourceName, index, total, signal, onProgress, segment = null) {
+    // The result keeps the range actually used, for evaluation
+    const settings = segment
+      ? { ...this.settings, startTime: segment.startTime, endTime: segment.endTime }
+      : this.settings;
+
+    const audioSamples = await this.audioLoader.loadAudio(file, {
+      sampleRate: this.transcriber.getRequiredSampleRate(),
+      startTime: settings.startTime,
+      endTime: settings.endTime > 0 ? settings.endTime : null,
+      signal: signal,
+    }, onProgress);
+
+    const noteSequence = await this.transcriber.transcribe(audioSamples, {
+      chunkDuration: settings.chunkDur,
+      chunkOverlap: settings.chunkOverlap,
+      signal: signal
+    }, onProgress);
+
+    const { arrangement, midiData } = this.buildMIDI(
+      noteSequence,
+      { samples: audioSamples, sampleRate: this.transcriber.getRequiredSampleRate() },
+      sourceName,
+      onProgress
+    );
+
+    return {
+      midiData: midiData,
+      filename: this.midiGenerator.resolveFilename(
+        sourceName, settings.customTitle, index, total, segment ? segment.name : null
+      ),
+      noteSequence: noteSequence,
+      arrangement: arrangement,
+      duration: audioSamples.length / this.transcriber.getRequiredSampleRate(),
+      sourceName: sourceName,
+      sourceType: 'file',
+      sourcePath: file,
+      outDir: this.outDir,
+      noteCount: arrangement.notes.length,
+      settings: settings
+    };
+  }
+
+  /**
+   * Run a MIDI file's notes through post-processing; the output goes next to the
+   * original unless an output directory was given
+   * @returns {Promise<Object>} - Result for writeOutputs()
+   */
+  async reprocessFile(file, sourceName, index, total, onProgress) {
+    const { settings } = this;
+    const noteSequence = this.midiImporter.toNoteSequence(new Uint8Array(await readFile(file)));
+
+    if (onProgress) {
+      onProgress(`Imported ${noteSequence.notes.length} notes`);
+    }
+
+    const { arrangement, midiData } = this.buildMIDI(noteSequence, null, sourceName, onProgress);
+
+    return {
+      midiData: midiData,
+      filename: this.midiGenerator.resolveFilename(sourceName + REPROCESSED_SUFFIX, settings.customTitle, index, total),
+      noteSequence: noteSequence,
+      arrangement: arrangement,
+      duration: noteSequence.totalTime,
+      sourceName: sourceName,
+      sourceType: 'midi',
+      sourcePath: file,
+      outDir: settings.outDir ? this.outDir : path.dirname(file),
+      noteCount: arrangement.notes.length,
+      settings: settings
+    };
+  }
+
+  /**
+   * Apply the post-processing settings and build the MIDI file
+   * @param {Object} audio - Mono audio for pedal detection, or null
+   * @returns {{ arrangement: Object, midiData: Uint8Array }} - The notes as written (see
+   *   MIDIGenerator.arrange()) and the file
+   */
+  buildMIDI(noteSequence, audio, sourceName, onProgress) {
+    const { settings } = this;
+
+    const options = {
+      filters: getFilterOptions(settings),
+      detectTempo: settings.detectTempo,
+      quantize: settings.quantize,
+      quantizeStrength: settings.quantizeStrength,
+      keySignature: settings.keySignature,
+      transposeTo: settings.transposeTo,
+      separateHands: settings.separateHands,
+      pedal: settings.pedal,
+      velocity: getVelocityOptions(settings),
+      audio,
+      ...getMidiFileOptions(settings, { name: sourceName })
+    };
+    const arrangement = this.midiGenerator.arrange(noteSequence, options, onProgress);
+
+    return {
+      arrangement,
+      midiData: this.midiGenerator.writeMIDI(arrangement, options, onProgress)
+    };
+  }
+
+  /**
+   * Read the ground-truth MIDI file, or every MIDI file in a directory
+   * @returns {Promise<Array<{ name: string, data: Uint8Array }>>} - Named without extension
+   */
+  async loadReferences(referencePath) {
+    let info;
+
+    try {
+      info = await stat(referencePath);
+    } catch (error) {
+      throw new Error(`Reference not found: ${referencePath}`);
+    }
+
+    const paths = info.isDirectory()
+      ? (await readdir(referencePath))
+        .filter(name => /\.midi?$/i.test(name))
+        .map(name => path.join(referencePath, name))
+      : [referencePath];
+
+    if (paths.length === 0) {
+      throw new Error(`No MIDI files found in ${referencePath}`);
+    }
+
+    return Promise.all(paths.map(async file => ({
+      name: path.basename(file, path.extname(file)),
+      data: new Uint8Array(await readFile(file))
+    })));
+  }
+
+  /**
+   * Score a result against its reference and log the F1 scores
+   */
+  evaluate(result, references, batchSize) {
+    const reference = this.evaluator.findReference(result.sourceName, references, batchSize);
+
+    if (!reference) {
+      this.log(`⚠️ No reference MIDI named ${result.sourceName}, skipping evaluation`);
+      return;
+    }
+
+    const { settings } = result;
+
+    // Re-processed MIDI files aren't trimmed
+    const range = result.sourceType === 'midi' ? {} : {
+      startTime: settings.startTime,
+      endTime: settings.endTime
+    };
+
+    // A bad reference shouldn't cost the MIDI file
+    try {
+      result.evaluation = {
+        reference: reference.name,
+        ...this.evaluator.evaluate(result.midiData, reference.data, range)
+      };
+    } catch (error) {
+      this.log(`❌ ${error.message}`);
+      return;
+    }
+
+    const { onset, onsetOffset, velocity } = result.evaluation;
+    this.log(`📏 vs ${reference.name}: onset F1 ${onset.f1.toFixed(3)}, onset+offset F1 ${onsetOffset.f1.toFixed(3)}, velocity F1 ${velocity.f1.toFixed(3)}`);
+  }
+
+  /**
+   * Write MIDI files (and MusicXML scores and note data when requested), or a single ZIP when requested
+   * for a multi-file batch, plus the evaluation report when references were given
+   */
+  async writeOutputs(results) {
+    const written = await this.writeFiles(results);
+    const evaluated = results.filter(result => result.evaluation);
+
+    if (evaluated.length > 0) {
+      const reportPath = this.settings.reportPath || path.join(this.outDir, 'evaluation_report.csv');
+      await writeFile(reportPath, this.evaluator.toCSV(evaluated));
+      written.push(reportPath);
+    }
+
+    return written;
+  }
+
+  async writeFiles(results) {
+    const { settings } = this;
+
+    if (settings.zipOutput && results.length > 1) {
+      const zip = new JSZip();
+
+      results.forEach(result => {
+        zip.file(result.filename, result.midiData);
+
+        if (settings.musicXML) {
+          zip.file(this.musicXMLExporter.getFilename(result.filename), this.toMusicXML(result));
+        }
+
+        if (settings.noteData) {
+          this.noteDataExporter.getFiles(result).forEach(file => zip.file(file.filename, file.data));
+        }
+      });
+
+      // Re-processed MIDI files have no audio
+      if (settings.includeMp3) {
+        for (const result of results.filter(result => result.sourceType !== 'midi')) {
+          const audioName = result.filename.replace(/\.mid$/, path.extname(result.sourcePath));
+          zip.file(audioName, await readFile(result.sourcePath));
+        }
+      }
+
+      const zipFilename = this.midiGenerator.sanitizeFilename(settings.zipFilename || 'midi_files', '.zip');
+      const zipPath = path.join(this.outDir, zipFilename);
+
+      await writeFile(zipPath, await zip.generateAsync({ type: 'nodebuffer' }));
+      return [zipPath];
+    }
+
+    const written = [];
+
+    for (const result of results) {
+      const midiPath = path.join(result.outDir, result.filename);
+      await writeFile(midiPath, result.midiData);
+      written.push(midiPath);
+
+      if (settings.musicXML) {
+        const xmlPath = path.join(result.outDir, this.musicXMLExporter.getFilename(result.filename));
+        await writeFile(xmlPath, this.toMusicXML(result));
+        written.push(xmlPath);
+      }
+
+      if (settings.noteData) {
+        for (const file of this.noteDataExporter.getFiles(result)) {
+          const dataPath = path.join(result.outDir, file.filename);
+          await writeFile(dataPath, file.data);
+          written.push(dataPath);
+        }
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Score for one result, titled after its source file
+   */
+  toMusicXML(result) {
+    return this.musicXMLExporter.export(result.midiData, { title: result.sourceName });
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * bobs-midi-convert - Command-line entry point
+ * Headless batch audio-to-MIDI conversion (bundled by `npm run build:cli`)
+ */
+
+import path from 'node:path';
+import { parseCliArgs, USAGE } from './args.js';
+import { InputResolver } from './inputResolver.js';
+import { BatchConverter } from './batchConverter.js';
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function main(argv) {
+  let parsed;
+
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (parsed.inputs.length === 0) {
+    console.error(`Error: no input files given\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const files = await new InputResolver().resolve(parsed.inputs);
+    console.error(`Found ${files.length} input file(s)`);
+
+    // First Ctrl+C aborts the file in progress and keeps finished outputs, a second one exits
+    const abortController = new AbortController();
+    const onInterrupt = () => {
+      if (abortController.signal.aborted) {
+        process.exit(130);
+      }
+      console.error('\n🛑 Cancelling... (press Ctrl+C again to quit immediately)');
+      abortController.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const converter = new BatchConverter(parsed.settings);
+    const { converted, written, failed, aborted } = await converter.run(files, abortController.signal);
+
+    process.off('SIGINT', onInterrupt);
+
+    written.forEach(file => console.log(file));
+
+    console.error(`\n🎉 Done: ${converted} converted, ${failed.length} failed, ${aborted.length} aborted`);
+
+    if (aborted.length > 0) {
+      console.error(`Not converted: ${aborted.map(file => path.basename(file)).join(', ')}`);
+      return 130;
+    }
+
+    return failed.length > 0 ? 1 : 0;
+
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    return 1;
+  }
+}
+
+// Not a top-level await: the bundle defines lazily imported modules after this line
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,179 @@
+/**
+ * Input Resolver Module
+ * Expands CLI inputs (files, directories and glob patterns) into audio file paths
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { FileHandler } from '../modules/fileHandler.js';
+
+const GLOB_CHARS = /[*?[{]/;
+
+export class InputResolver {
+  constructor() {
+    // Reuse the upload zone's extension check so both entry points accept the same files
+    this.fileHandler = new FileHandler();
+  }
+
+  /**
+   * Resolve all inputs, keeping their order and dropping duplicates
+   * @param {string[]} inputs - Paths, directories or glob patterns
+   * @returns {Promise<string[]>} - Absolute audio file paths
+   */
+  async resolve(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+      const matches = GLOB_CHARS.test(input)
+        ? await this.expandGlob(input)
+        : await this.expandPath(input);
+
+      if (matches.length === 0) {
+        throw new Error(`No audio files found for "${input}"`);
+      }
+
+      for (const file of matches) {
+        if (!files.includes(file)) {
+          files.push(file);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Expand a plain file or directory path
+   */
+  async expandPath(input) {
+    const fullPath = path.resolve(input);
+    let info;
+
+    try {
+      info = await stat(fullPath);
+    } catch (error) {
+      throw new Error(`Input not found: ${input}`);
+    }
+
+    if (info.isDirectory()) {
+      const entries = await readdir(fullPath, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && this.isAudioPath(entry.name))
+        .map(entry => path.join(fullPath, entry.name))
+        .sort();
+    }
+
+    // Explicitly named files are passed through even with unusual extensions
+    return [fullPath];
+  }
+
+  /**
+   * Expand a glob pattern (supports *, **, ?, [...] and {a,b})
+   */
+  async expandGlob(pattern) {
+    const normalized = pattern.split(path.sep).join('/');
+    const segments = normalized.split('/');
+
+    // Walk from the longest directory prefix without glob characters
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const baseDir = path.resolve(segments.slice(0, firstGlob).join('/') || '.');
+    const matcher = this.globToRegExp(segments.slice(firstGlob).join('/'));
+    const recursive = segments.slice(firstGlob).some(segment => segment.includes('**'))
+      || firstGlob < segments.length - 1;
+
+    const files = await this.walk(baseDir, recursive);
+
+    return files
+      .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')))
+      .filter(file => this.isAudioPath(file))
+      .sort();
+  }
+
+  /**
+   * List files under a directory
+   */
+  async walk(dir, recursive) {
+    let entries;
+
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory() && recursive) {
+        files.push(...await this.walk(fullPath, recursive));
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Convert a glob pattern into an anchored regular expression
+   */
+  globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*' && pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += pattern.slice(i, end + 1).replace('[!', '[^');
+          i = end;
+        }
+      } else if (char === '{') {
+        const end = pattern.indexOf('}', i);
+        if (end === -1) {
+          source += '\\{';
+        } else {
+          const options = pattern.slice(i + 1, end).split(',').map(option => this.escapeRegExp(option));
+          source += `(?:${options.join('|')})`;
+          i = end;
+        }
+      } else {
+        source += this.escapeRegExp(char);
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Escape regular expression metacharacters
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Check a path's extension against the supported audio formats
+   */
+  isAudioPath(filePath) {
+    return this.fileHandler.isAudioFile({ name: path.basename(filePath), type: '' });
+  }
+}
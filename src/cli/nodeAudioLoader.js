@@ -0,0 +1,105 @@
+/**
+ * Node Audio Loader Module
+ * Decodes, trims and resamples audio files with the ffmpeg binary (CLI counterpart of AudioProcessor)
+ */
+
+import { spawn } from 'node:child_process';
+
+export class NodeAudioLoader {
+  constructor(ffmpegPath = 'ffmpeg') {
+    this.ffmpegPath = ffmpegPath;
+  }
+
+  /**
+   * Decode an audio file to mono Float32 samples
+   * @param {string} filePath - Audio file path
+   * @param {Object} options - { sampleRate, startTime, endTime, signal }
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Float32Array>} - Mono samples at the requested sample rate
+   */
+  async loadAudio(filePath, options = {}, onProgress = null) {
+    const {
+      sampleRate = 16000,
+      startTime = 0,
+      endTime = null,
+      signal = null,
+    } = options;
+
+    const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+
+    // Input-side seeking trims before decoding the rest of the file
+    if (startTime > 0) {
+      args.push('-ss', String(startTime));
+    }
+    if (endTime) {
+      args.push('-to', String(endTime));
+    }
+
+    args.push(
+      '-i', filePath,
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 'f32le',
+      'pipe:1'
+    );
+
+    if (onProgress) {
+      onProgress('Decoding audio...');
+    }
+
+    const data = await this.runFFmpeg(args, signal);
+
+    // Copy into a fresh buffer so the Float32Array view is aligned
+    const samples = new Float32Array(new Uint8Array(data).buffer);
+
+    if (samples.length === 0) {
+      throw new Error('Decoded audio is empty (check the trim range)');
+    }
+
+    if (onProgress) {
+      const duration = Math.round(samples.length / sampleRate);
+      onProgress(`Audio loaded: ${duration}s at ${sampleRate}Hz mono`);
+    }
+
+    return samples;
+  }
+
+  /**
+   * Run ffmpeg and collect its stdout (the process is killed if signal aborts)
+   */
+  runFFmpeg(args, signal = null) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        signal: signal || undefined,
+      });
+      const chunks = [];
+      let stderr = '';
+
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+
+      ffmpeg.on('error', (error) => {
+        if (error.name === 'AbortError') {
+          reject(signal.reason);
+        } else if (error.code === 'ENOENT') {
+          reject(new Error(`ffmpeg not found at "${this.ffmpegPath}". Install ffmpeg or pass --ffmpeg <path>`));
+        } else {
+          reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+        }
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+        } else if (code === 0) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(`Failed to decode audio: ${stderr.trim() || `ffmpeg exited with code ${code}`}`));
+        }
+      });
+    });
+  }
+}
@@ -7,61 +7,1072 @@
 
 import { FileHandler } from './modules/fileHandler.js';
 import { YouTubeDownloader } from './modules/youtubeDownloader.js';
-import { AudioProcessor } from './modules/audioProcessor.js';
-import { PianoTranscription } from './modules/pianoTranscription.js';
 import { MIDIGenerator } from './modules/midiGenerator.js';
+import { MusicXMLExporter } from './modules/musicXmlExporter.js';
+import { NoteDataExporter } from './modules/noteDataExporter.js';
+import { ConversionPipeline } from './modules/conversionPipeline.js';
+import { AudioProcessor } from './modules/audioProcessor.js';
 import { UIController } from './modules/uiController.js';
-import JSZip from 'jszip';
+import { OfflineCache } from './modules/offlineCache.js';
+import { HistoryStore } from './modules/historyStore.js';
+import { FilterPresets } from './modules/filterPresets.js';
+import { VelocityProcessor, getVelocityOptions } from './modules/velocityProcessor.js';
+import { MIDIRenderer } from './modules/midiRenderer.js';
+import { SoundFont } from './modules/soundFont.js';
+import { ABPlayer } from './modules/abPlayer.js';
+import { PianoRollPlayer } from './modules/pianoRollPlayer.js';
+import { NoteEditor } from './modules/noteEditor.js';
+import { TranscriptionEvaluator } from './modules/transcriptionEvaluator.js';
 import { saveAs } from 'file-saver';
 
-// Initialize modules
-const ui = new UIController();
-const fileHandler = new FileHandler();
-const youtubeDownloader = new YouTubeDownloader();
-const audioProcessor = new AudioProcessor();
-const pianoTranscription = new PianoTranscription();
-const midiGenerator = new MIDIGenerator();
+const WAVEFORM_BINS = 4000;       // Peak bins per waveform, enough for a wide screen
+
+// Initialize modules
+const ui = new UIController();
+const fileHandler = new FileHandler();
+const midiFileHandler = new FileHandler('midi');
+const youtubeDownloader = new YouTubeDownloader();
+const midiGenerator = new MIDIGenerator();
+const musicXMLExporter = new MusicXMLExporter();
+const noteDataExporter = new NoteDataExporter();
+const midiRenderer = new MIDIRenderer();
+const audioProcessor = new AudioProcessor();
+const pipeline = new ConversionPipeline({
+  fileHandler, youtubeDownloader, audioProcessor, midiGenerator, musicXMLExporter, noteDataExporter, midiRenderer
+});
+const offlineCache = new OfflineCache();
+const historyStore = new HistoryStore();
+const filterPresets = new FilterPresets();
+const velocityProcessor = new VelocityProcessor();
+const abPlayer = new ABPlayer();
+const rollPlayer = new PianoRollPlayer(midiRenderer);
+const trimPlayer = new PianoRollPlayer(midiRenderer);
+const evaluator = new TranscriptionEvaluator();
+
+// Global state
+let outputMIDIPaths = [];
+let jobs = [];
+const runControllers = new Set();   // One per batch or retry in progress, so Cancel stops them all
+let velocityPreviewNotes = null;
+let soundFont = null;
+let abResult = null;
+let abLoading = false;
+let lastRender = null;
+let references = [];
+let rollResult = null;
+let rollLoading = false;
+const noteEditors = new WeakMap();    // Result -> NoteEditor, so edits survive switching files
+const trimRegions = new WeakMap();    // Uploaded File -> { startTime, endTime }
+const fileSegments = new WeakMap();   // Uploaded File -> [{ name, startTime, endTime }], in start order
+let trimFile = null;
+let trimLoading = false;
+
+/**
+ * Initialize application
+ */
+function init() {
+  // Initialize UI
+  ui.init();
+
+  // Setup file upload handlers
+  fileHandler.setupHandlers(
+    ui.elements.uploadZone,
+    ui.elements.fileInput,
+    (files) => {
+      ui.showFileInfo(files);
+      ui.renderTrimFiles(files, 0);
+      selectTrimFile(files[0] || null);
+    }
+  );
+  midiFileHandler.setupHandlers(
+    ui.elements.midiUploadZone,
+    ui.elements.midiInput,
+    (files) => ui.showMidiFileInfo(files)
+  );
+
+  // Setup button handlers
+  ui.elements.convertBtn.addEventListener('click', startConversion);
+  ui.elements.cancelBtn.addEventListener('click', cancelConversion);
+  ui.elements.downloadBtn.addEventListener('click', downloadMIDI);
+  ui.setupJobTable(retryJob, removeJob);
+
+  subscribeToPipeline();
+  setupPresets();
+  ui.setupVelocityControls(updateVelocityPreview);
+  setupTrim();
+  setupPianoRoll();
+  setupComparison();
+  setupEvaluation();
+
+  // Setup settings toggle
+  document.querySelector('.collapsible-header').addEventListener('click', () => {
+    ui.toggleSettings();
+  });
+
+  console.log('YouTube to MIDI Converter initialized');
+  ui.addLog('Ready to convert audio to MIDI!');
+
+  setupOfflineCache();
+  setupHistory();
+}
+
+/**
+ * Register the service worker and cache the model and FFmpeg in the background
+ */
+async function setupOfflineCache() {
+  // The dev server's unbundled modules change on every edit, so only production builds go offline
+  if (!import.meta.env.PROD || !offlineCache.isSupported()) {
+    return;
+  }
+
+  try {
+    ui.setOfflineStatus('checking', 'Checking offline cache...');
+    await offlineCache.registerServiceWorker();
+
+    const complete = await offlineCache.cacheAssets((percent) => {
+      ui.setOfflineStatus('downloading', `Downloading model for offline use... ${percent}%`);
+    });
+
+    if (complete) {
+      ui.setOfflineStatus('cached', 'Model cached - works offline');
+    } else {
+      ui.setOfflineStatus('checking', 'Data saver is on - the model will be cached on first conversion');
+    }
+
+  } catch (error) {
+    console.warn('Offline caching unavailable:', error);
+    ui.setOfflineStatus('error', navigator.onLine ? 'Offline mode unavailable' : 'Offline - model not cached yet');
+  }
+}
+
+/**
+ * Log pipeline events and keep the progress bar in step
+ */
+function subscribeToPipeline() {
+  pipeline.on('stage-start', ({ stage, index, total, name }) => {
+    if (stage === 'decode') {
+      ui.addLog(`\n📄 Processing ${index + 1}/${total}: ${name}`);
+      ui.addLog('Loading audio...');
+    } else if (stage === 'import') {
+      ui.addLog(`\n📄 Re-processing ${index + 1}/${total}: ${name}`);
+    } else if (stage === 'transcribe') {
+      ui.addLog(`🎹 Transcribing with ${ui.getModelLabel()} model...`);
+    } else if (stage === 'generate') {
+      ui.addLog('🎵 Generating MIDI file...');
+    }
+  });
+
+  pipeline.on('progress', ({ message, completed, total }) => {
+    if (message) {
+      ui.addLog(message);
+    } else {
+      ui.updateProgress(completed, total);
+    }
+  });
+
+  pipeline.on('job-status', ({ job }) => {
+    if (!job.removed) {
+      ui.renderJob(job);
+    }
+  });
+
+  pipeline.on('file-done', ({ result, total }) => {
+    ui.addLog(`✅ Completed: ${result.filename} (${result.noteCount} notes)`);
+    evaluateResult(result, total);
+    saveToHistory(result);
+    setVelocityPreview(result.noteSequence);
+  });
+
+  pipeline.on('file-error', ({ name, stage, error }) => {
+    if (stage === 'download') {
+      ui.addLog(`Failed to download ${name}: ${error.message}`, 'error');
+    } else {
+      ui.addLog(`❌ Failed to process ${name}: ${error.message}`, 'error');
+    }
+    console.error(error);
+  });
+}
+
+/**
+ * Show the History panel and wire up its buttons
+ */
+function setupHistory() {
+  if (!historyStore.isSupported()) {
+    return;
+  }
+
+  ui.setupHistory({
+    onDownload: downloadHistoryEntry,
+    onReExport: reExportHistoryEntry,
+    onDelete: deleteHistoryEntry,
+    onClear: clearHistory
+  });
+
+  refreshHistory();
+}
+
+/**
+ * Reload the History panel and storage indicator
+ */
+async function refreshHistory() {
+  try {
+    ui.renderHistory(await historyStore.getAll());
+    ui.setStorageUsage(await historyStore.getStorageEstimate());
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+}
+
+/**
+ * Save a finished conversion to the history
+ */
+async function saveToHistory(result) {
+  if (!historyStore.isSupported()) {
+    return;
+  }
+
+  try {
+    result.historyId = await historyStore.add(result);
+    await historyStore.requestPersistence();
+    await refreshHistory();
+  } catch (error) {
+    ui.addLog(`⚠️ ${error.message}`, 'warning');
+    console.error(error);
+  }
+}
+
+/**
+ * Replace a saved conversion's output with its edited version
+ */
+async function updateHistoryEntry(result) {
+  if (result.historyId === undefined) {
+    return;
+  }
+
+  try {
+    await historyStore.update(result.historyId, result);
+    await refreshHistory();
+  } catch (error) {
+    ui.addLog(`⚠️ ${error.message}`, 'warning');
+    console.error(error);
+  }
+}
+
+/**
+ * Download a saved MIDI file as it was converted (or last edited), in the selected download format
+ */
+async function downloadHistoryEntry(id) {
+  try {
+    const entry = await historyStore.get(id);
+    if (entry) {
+      const settings = ui.getSettings();
+      await saveOutput(entry, settings.downloadFormat, settings.includeNoteData, settings.includeRenderedAudio);
+    }
+  } catch (error) {
+    ui.showError(`Download failed: ${error.message}`);
+    console.error(error);
+  }
+}
+
+/**
+ * Save one result as MIDI, MusicXML or both, optionally with its note data and rendered audio
+ * @param {Object} result - Pipeline result or history entry
+ * @param {string} format - 'midi', 'musicxml' or 'both'
+ * @param {boolean} includeNoteData - Also save the transcribed notes as JSON and CSV
+ * @param {boolean} includeRenderedAudio - Also save the MIDI file rendered to WAV
+ */
+async function saveOutput(result, format, includeNoteData, includeRenderedAudio) {
+  if (format !== 'musicxml') {
+    midiGenerator.saveMIDI(result.midiData, result.filename);
+  }
+  if (format !== 'midi') {
+    const xml = musicXMLExporter.export(result.midiData, { title: result.sourceName });
+    musicXMLExporter.save(xml, musicXMLExporter.getFilename(result.filename));
+  }
+  if (includeNoteData) {
+    noteDataExporter.save(result);
+  }
+  if (includeRenderedAudio) {
+    midiRenderer.save(await getRenderedAudio(result), midiRenderer.getFilename(result.filename));
+  }
+}
+
+/**
+ * Rebuild a result's MIDI file from its edited notes, and score it again if it was evaluated
+ */
+function applyEdits(result) {
+  if (!result.midiOutdated) {
+    return;
+  }
+
+  result.midiData = pipeline.regenerateMIDI(result);
+  result.midiOutdated = false;
+  updateHistoryEntry(result);
+
+  if (result.evaluation) {
+    evaluateResult(result, outputMIDIPaths.length);
+    ui.renderEvaluations(outputMIDIPaths.filter(other => other.evaluation));
+  }
+}
+
+/**
+ * Wire up the reference MIDI picker and the report download
+ */
+function setupEvaluation() {
+  ui.setupEvaluation({
+    onReferences: loadReferences,
+    onClearReferences: () => {
+      references = [];
+      ui.setReferences([]);
+    },
+    onReport: saveEvaluationReport
+  });
+}
+
+/**
+ * Download the evaluation report, scoring any edited files again first
+ */
+function saveEvaluationReport() {
+  try {
+    outputMIDIPaths.forEach(applyEdits);
+    evaluator.save(outputMIDIPaths.filter(result => result.evaluation));
+  } catch (error) {
+    ui.addLog(`❌ Couldn't save the report: ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Read ground-truth MIDI files, replacing any with the same name
+ */
+async function loadReferences(files) {
+  try {
+    for (const file of files) {
+      const name = fileHandler.getFileNameWithoutExtension(file);
+      const data = new Uint8Array(await fileHandler.readFileAsArrayBuffer(file));
+      references = [...references.filter(reference => reference.name !== name), { name, data }];
+    }
+    ui.setReferences(references.map(reference => reference.name));
+  } catch (error) {
+    ui.addLog(`❌ Couldn't load reference MIDI: ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Score a finished conversion against its reference MIDI, if one was given
+ */
+function evaluateResult(result, batchSize) {
+  const reference = evaluator.findReference(result.sourceName, references, batchSize);
+  if (!reference) {
+    if (references.length > 0) {
+      ui.addLog(`⚠️ No reference MIDI named ${result.sourceName}, skipping evaluation`, 'warning');
+    }
+    return;
+  }
+
+  try {
+    // Re-processed MIDI files aren't trimmed
+    const range = result.sourceType === 'midi' ? {} : {
+      startTime: result.settings.startTime,
+      endTime: result.settings.endTime
+    };
+
+    result.evaluation = {
+      reference: reference.name,
+      ...evaluator.evaluate(result.midiData, reference.data, range)
+    };
+
+    const { onset, onsetOffset, velocity } = result.evaluation;
+    ui.addLog(`📏 vs ${reference.name}: onset F1 ${onset.f1.toFixed(3)}, onset+offset F1 ${onsetOffset.f1.toFixed(3)}, velocity F1 ${velocity.f1.toFixed(3)}`);
+  } catch (error) {
+    ui.addLog(`❌ ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Wire up the waveform for picking each uploaded file's trim region
+ */
+function setupTrim() {
+  ui.setupTrim({
+    onSelect: (index) => selectTrimFile(fileHandler.getSelectedFiles()[index]),
+    onRegion: setTrimRegion,
+    onPlay: toggleTrimPreview,
+    onSeek: (time) => {
+      trimPlayer.seek(time);
+      updateTrimPreview();
+    },
+    onAddSegment: addSegment,
+    onShowSegment: showSegment,
+    onRemoveSegment: removeSegment
+  });
+
+  trimPlayer.onEnded = updateTrimPreview;
+}
+
+/**
+ * Round a time to what the trim and segment controls show
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Decode a file and show its waveform with the region picked for it
+ */
+async function selectTrimFile(file) {
+  trimFile = file;
+  trimPlayer.load([]);
+
+  if (!file) {
+    updateTrimPreview();
+    return;
+  }
+
+  trimLoading = true;
+  ui.renderSegments(fileSegments.get(file) || []);
+  ui.showWaveform(null, 0, null);
+  updateTrimPreview();
+
+  try {
+    const audioBuffer = await audioProcessor.loadAudio(await fileHandler.readFileAsArrayBuffer(file));
+
+    // Another file was picked while this one decoded
+    if (file !== trimFile) {
+      return;
+    }
+
+    const region = trimRegions.get(file) || null;
+    trimPlayer.setAudio(audioBuffer);
+    trimPlayer.seek(region ? region.startTime : 0);
+    ui.showWaveform(audioProcessor.getPeaks(audioBuffer, WAVEFORM_BINS), audioBuffer.duration, region);
+
+  } catch (error) {
+    ui.addLog(`❌ Couldn't show the waveform of ${file.name}: ${error.message}`, 'error');
+    ui.updateTrimRange(trimRegions.get(file) || null);
+    console.error(error);
+
+  } finally {
+    if (file === trimFile) {
+      trimLoading = false;
+      updateTrimPreview();
+    }
+  }
+}
+
+/**
+ * Remember the region drawn for the current file (null: back to the global trim settings)
+ */
+function setTrimRegion(region) {
+  if (!trimFile) {
+    return;
+  }
+
+  if (region) {
+    trimRegions.set(trimFile, { startTime: roundSeconds(region.startTime), endTime: roundSeconds(region.endTime) });
+    trimPlayer.seek(region.startTime);
+  } else {
+    trimRegions.delete(trimFile);
+  }
+
+  ui.updateTrimRange(trimRegions.get(trimFile) || null);
+  updateTrimPreview();
+}
+
+/**
+ * Add a named segment to the current file, from the times typed or marked on the waveform
+ * @param {Object} segment - { name, startTime, endTime }; an empty name gets a numbered one
+ */
+function addSegment({ name, startTime, endTime }) {
+  if (!trimFile) {
+    return;
+  }
+
+  const segments = fileSegments.get(trimFile) || [];
+
+  if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime < 0 || endTime <= startTime) {
+    ui.showError('A segment needs a start time and a later end time, in seconds');
+    return;
+  }
+
+  if (trimPlayer.hasAudio() && startTime >= trimPlayer.getDuration()) {
+    ui.showError(`${trimFile.name} is only ${trimPlayer.getDuration().toFixed(1)} s long`);
+    return;
+  }
+
+  // Names become part of the filename, so two that would save to the same file clash
+  const key = (segmentName) => midiGenerator.sanitizeFilename(segmentName).toLowerCase();
+
+  if (!name) {
+    let number = segments.length + 1;
+    while (segments.some(segment => key(segment.name) === key(`part${number}`))) {
+      number++;
+    }
+    name = `part${number}`;
+  }
+
+  if (segments.some(segment => key(segment.name) === key(name))) {
+    ui.showError(`${trimFile.name} already has a segment named "${name}"`);
+    return;
+  }
+
+  const segment = {
+    name,
+    startTime: roundSeconds(startTime),
+    endTime: roundSeconds(trimPlayer.hasAudio() ? Math.min(endTime, trimPlayer.getDuration()) : endTime)
+  };
+
+  fileSegments.set(trimFile, [...segments, segment].sort((a, b) => a.startTime - b.startTime));
+  ui.renderSegments(fileSegments.get(trimFile));
+  ui.clearSegmentForm();
+}
+
+/**
+ * Mark a segment on the waveform, ready to preview
+ */
+function showSegment(index) {
+  const segment = (fileSegments.get(trimFile) || [])[index];
+  if (!segment) {
+    return;
+  }
+
+  const region = { startTime: segment.startTime, endTime: segment.endTime };
+  ui.showTrimRegion(region);
+  setTrimRegion(region);
+}
+
+/**
+ * Drop a segment from the current file
+ */
+function removeSegment(index) {
+  const segments = (fileSegments.get(trimFile) || []).filter((segment, i) => i !== index);
+
+  if (segments.length > 0) {
+    fileSegments.set(trimFile, segments);
+  } else {
+    fileSegments.delete(trimFile);
+  }
+
+  ui.renderSegments(segments);
+}
+
+/**
+ * Play or pause the file, stopping at the end of its region
+ */
+async function toggleTrimPreview() {
+  if (trimPlayer.isPlaying()) {
+    trimPlayer.pause();
+    updateTrimPreview();
+    return;
+  }
+
+  if (!trimPlayer.hasAudio()) {
+    return;
+  }
+
+  // Start inside the region
+  const region = trimRegions.get(trimFile);
+  const position = trimPlayer.getPosition();
+  if (region && (position < region.startTime || position >= region.endTime)) {
+    trimPlayer.seek(region.startTime);
+  }
+
+  try {
+    await trimPlayer.play();
+    trackTrimPreview();
+  } catch (error) {
+    ui.addLog(`❌ Couldn't play ${trimFile.name}: ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Move the playhead along while previewing, and stop at the region's end
+ */
+function trackTrimPreview() {
+  const region = trimRegions.get(trimFile);
+
+  if (region && trimPlayer.isPlaying() && trimPlayer.getPosition() >= region.endTime) {
+    trimPlayer.pause();
+    trimPlayer.seek(region.startTime);
+  }
+
+  updateTrimPreview();
+
+  if (trimPlayer.isPlaying()) {
+    requestAnimationFrame(trackTrimPreview);
+  }
+}
+
+/**
+ * Show the preview's position and state
+ */
+function updateTrimPreview() {
+  ui.updateTrimPreview({
+    playing: trimPlayer.isPlaying(),
+    loading: trimLoading,
+    position: trimPlayer.getPosition()
+  });
+}
+
+/**
+ * Wire up the piano roll's file picker and transport
+ */
+function setupPianoRoll() {
+  ui.setupPianoRoll({
+    onSelect: (index) => selectPianoRoll(outputMIDIPaths[index]),
+    onPlay: togglePianoRollPlayback,
+    onPlayNotes: (enabled) => rollPlayer.setPlayNotes(enabled),
+    onMuteAudio: (muted) => rollPlayer.setAudioMuted(muted),
+    onSeek: (time) => {
+      rollPlayer.seek(time);
+      updatePianoRoll();
+    },
+    onEditEnd: finishEditing
+  });
+
+  rollPlayer.onEnded = updatePianoRoll;
+}
+
+/**
+ * Show a different result in the piano roll; its audio is decoded on the next Play
+ */
+function selectPianoRoll(result) {
+  if (result === rollResult) {
+    return;
+  }
+
+  rollResult = result;
+  const editor = result ? getNoteEditor(result) : null;
+
+  rollPlayer.load(editor ? editor.notes : []);
+  ui.showPianoRoll(result, editor);
+  updatePianoRoll();
+}
+
+/**
+ * A result's editor, created on first view. It edits the notes as written to the MIDI file
+ * (filtered, velocity-processed, quantized and transposed), not the raw transcription
+ */
+function getNoteEditor(result) {
+  if (!noteEditors.has(result)) {
+    const editor = new NoteEditor({ notes: result.arrangement.notes });
+    editor.onChange = () => updateEditedNotes(result, editor);
+    noteEditors.set(result, editor);
+  }
+  return noteEditors.get(result);
+}
+
+/**
+ * Keep the result's arrangement in step with the editor; its MIDI file is
+ * rebuilt when editing ends or before it is next exported
+ */
+function updateEditedNotes(result, editor) {
+  result.arrangement = { ...result.arrangement, notes: editor.getNoteSequence().notes };
+  result.noteCount = result.arrangement.notes.length;
+  result.midiOutdated = true;
+
+  if (result === rollResult) {
+    rollPlayer.setNotes(editor.notes);
+    ui.refreshPianoRoll(editor);
+  }
+
+  // Renders of the old notes are out of date
+  if (lastRender && lastRender.result === result) {
+    lastRender = null;
+  }
+  if (result === abResult) {
+    abPlayer.unload();
+    updateComparison();
+  }
+
+  const job = jobs.find(job => job.result === result);
+  if (job) {
+    ui.renderJob(job);
+  }
+}
+
+/**
+ * Leaving editing mode rebuilds the MIDI file, so the evaluation reflects the edits
+ */
+function finishEditing() {
+  const result = rollResult;
+  if (!result || !result.midiOutdated) {
+    return;
+  }
+
+  try {
+    applyEdits(result);
+    ui.addLog(`✏️ Applied edits to ${result.filename} (${result.noteCount} notes)`);
+  } catch (error) {
+    ui.addLog(`❌ Couldn't apply edits to ${result.filename}: ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Play or pause, decoding the source audio first if needed
+ */
+async function togglePianoRollPlayback() {
+  if (rollPlayer.isPlaying()) {
+    rollPlayer.pause();
+    updatePianoRoll();
+    return;
+  }
+
+  const result = rollResult;
+  if (!result || rollLoading) {
+    return;
+  }
+
+  // One player at a time
+  if (abPlayer.isPlaying()) {
+    abPlayer.pause();
+    updateComparison();
+  }
+
+  try {
+    if (result.audioBuffer && !rollPlayer.hasAudio()) {
+      rollLoading = true;
+      updatePianoRoll();
+
+      const audio = await pipeline.loadSourceAudio(result);
 
-// Global state
-let outputMIDIPaths = [];
-let cancelRequested = false;
+      // Another file was picked while this one decoded
+      if (result !== rollResult) {
+        return;
+      }
+      rollPlayer.setAudio(audio);
+    }
+
+    await rollPlayer.play();
+    trackPianoRollPosition();
+
+  } catch (error) {
+    ui.addLog(`❌ Couldn't play ${result.filename}: ${error.message}`, 'error');
+    console.error(error);
+
+  } finally {
+    rollLoading = false;
+    updatePianoRoll();
+  }
+}
 
 /**
- * Initialize application
+ * Move the playhead along while playing
  */
-function init() {
-  // Initialize UI
-  ui.init();
+function trackPianoRollPosition() {
+  updatePianoRoll();
 
-  // Setup file upload handlers
-  fileHandler.setupHandlers(
-    ui.elements.uploadZone,
-    ui.elements.fileInput,
-    (files) => ui.showFileInfo(files)
-  );
+  if (rollPlayer.isPlaying()) {
+    requestAnimationFrame(trackPianoRollPosition);
+  }
+}
 
-  // Setup button handlers
-  ui.elements.convertBtn.addEventListener('click', startConversion);
-  ui.elements.cancelBtn.addEventListener('click', cancelConversion);
-  ui.elements.downloadBtn.addEventListener('click', downloadMIDI);
+/**
+ * Show the transport's position and state
+ */
+function updatePianoRoll() {
+  ui.updatePianoRoll({
+    playing: rollPlayer.isPlaying(),
+    loading: rollLoading,
+    position: rollPlayer.getPosition(),
+    duration: rollResult ? Math.max(rollResult.duration, rollPlayer.getDuration()) : 0,
+    hasAudio: Boolean(rollResult && rollResult.audioBuffer)
+  });
+}
 
-  // Setup settings toggle
-  document.querySelector('.collapsible-header').addEventListener('click', () => {
-    ui.toggleSettings();
+/**
+ * Wire up the A/B player and SoundFont picker
+ */
+function setupComparison() {
+  ui.setupABPlayer({
+    onSelect: (index) => selectComparison(getComparableResults()[index]),
+    onPlay: toggleComparisonPlayback,
+    onSource: (source) => {
+      abPlayer.setSource(source);
+      updateComparison();
+    },
+    onSeek: (time) => {
+      abPlayer.seek(time);
+      updateComparison();
+    },
+    onSoundFont: loadSoundFont,
+    onClearSoundFont: () => setSoundFont(null)
   });
 
-  console.log('YouTube to MIDI Converter initialized');
-  ui.addLog('Ready to convert audio to MIDI!');
+  abPlayer.onEnded = updateComparison;
+  updateComparison();
+}
+
+/**
+ * Results with source audio (re-processed MIDI files have none to compare with)
+ */
+function getComparableResults() {
+  return outputMIDIPaths.filter(result => result.audioBuffer);
+}
+
+/**
+ * Compare a different result; its audio is prepared on the next Play
+ */
+function selectComparison(result) {
+  if (result === abResult) {
+    return;
+  }
+
+  abResult = result;
+  abPlayer.unload();
+  updateComparison();
+}
+
+/**
+ * Play or pause, decoding the source and rendering the MIDI file first if needed
+ */
+async function toggleComparisonPlayback() {
+  if (abPlayer.isPlaying()) {
+    abPlayer.pause();
+    updateComparison();
+    return;
+  }
+
+  const result = abResult;
+  if (!result || abLoading) {
+    return;
+  }
+
+  try {
+    // One player at a time
+    if (rollPlayer.isPlaying()) {
+      rollPlayer.pause();
+      updatePianoRoll();
+    }
+
+    if (!abPlayer.isLoaded()) {
+      abLoading = true;
+      updateComparison();
+
+      const [original, rendered] = await Promise.all([
+        pipeline.loadSourceAudio(result),
+        getRenderedAudio(result)
+      ]);
+
+      // Another file was picked while this one rendered
+      if (result !== abResult) {
+        return;
+      }
+      abPlayer.load(original, rendered);
+    }
+
+    await abPlayer.play();
+    trackComparisonPosition();
+
+  } catch (error) {
+    ui.addLog(`❌ Couldn't play ${result.filename}: ${error.message}`, 'error');
+    console.error(error);
+
+  } finally {
+    abLoading = false;
+    updateComparison();
+  }
+}
+
+/**
+ * Move the seek bar along while playing
+ */
+function trackComparisonPosition() {
+  updateComparison();
+
+  if (abPlayer.isPlaying()) {
+    requestAnimationFrame(trackComparisonPosition);
+  }
+}
+
+/**
+ * Show the player's position and state
+ */
+function updateComparison() {
+  ui.updateABPlayer({
+    playing: abPlayer.isPlaying(),
+    loading: abLoading,
+    source: abPlayer.source,
+    position: abPlayer.getPosition(),
+    duration: abPlayer.getDuration()
+  });
+}
+
+/**
+ * Render a result's MIDI file with the current instrument, reusing the last render
+ */
+async function getRenderedAudio(result) {
+  applyEdits(result);
+
+  if (lastRender && lastRender.result === result && lastRender.soundFont === soundFont) {
+    return lastRender.audio;
+  }
+
+  const audio = await pipeline.renderAudio(result, soundFont, (message) => ui.addLog(message));
+  lastRender = { result, soundFont, audio };
+  return audio;
+}
+
+/**
+ * Read a .sf2 file and use it for rendering from now on
+ */
+async function loadSoundFont(file) {
+  try {
+    ui.addLog(`Loading SoundFont ${file.name}...`);
+    const buffer = await fileHandler.readFileAsArrayBuffer(file);
+    setSoundFont(SoundFont.parse(buffer, fileHandler.getFileNameWithoutExtension(file)));
+    ui.addLog(`🎹 Rendering with ${soundFont.name} (${soundFont.presets.length} presets)`);
+  } catch (error) {
+    ui.addLog(`❌ Couldn't load SoundFont: ${error.message}`, 'error');
+    console.error(error);
+  }
+}
+
+/**
+ * Switch instruments, dropping renders made with the old one
+ */
+function setSoundFont(newSoundFont) {
+  soundFont = newSoundFont;
+  lastRender = null;
+  abPlayer.unload();
+  ui.setSoundFontName(soundFont ? soundFont.name : null);
+  updateComparison();
+}
+
+/**
+ * Rebuild a saved MIDI file with the current post-processing settings, without transcribing again.
+ * It starts from the transcribed notes, so piano roll edits (made to the notes as written) don't carry over
+ */
+async function reExportHistoryEntry(id) {
+  const entry = await historyStore.get(id);
+  if (!entry) {
+    return;
+  }
+
+  try {
+    const midiData = pipeline.generateMIDI(entry.noteSequence, ui.getSettings(), null, null, {
+      name: entry.sourceName,
+      url: entry.sourceUrl,
+      transcribedAt: entry.createdAt
+    });
+    midiGenerator.saveMIDI(midiData, entry.filename);
+    setVelocityPreview(entry.noteSequence);
+  } catch (error) {
+    ui.showError(`Re-export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Delete one saved conversion
+ */
+async function deleteHistoryEntry(id) {
+  await historyStore.delete(id);
+  await refreshHistory();
+}
+
+/**
+ * Delete every saved conversion
+ */
+async function clearHistory() {
+  if (!confirm('Delete all saved conversions?')) {
+    return;
+  }
+
+  await historyStore.clear();
+  await refreshHistory();
+}
+
+/**
+ * Fill the note cleanup preset picker and restore the last preset used
+ */
+function setupPresets() {
+  ui.setupPresets({
+    onSelect: selectPreset,
+    onSave: savePreset,
+    onDelete: deletePreset
+  });
+
+  selectPreset(filterPresets.getSelected());
+}
+
+/**
+ * Load a preset's settings into the note cleanup fields
+ */
+function selectPreset(name) {
+  filterPresets.setSelected(name);
+  ui.renderPresets(filterPresets.getNames(), name, filterPresets.isBuiltIn(name));
+  ui.applyFilterSettings(filterPresets.get(name));
+}
+
+/**
+ * Save the current note cleanup fields as a named preset
+ */
+function savePreset() {
+  const current = ui.getFilterSettings();
+  const name = prompt('Save note cleanup settings as:', filterPresets.isBuiltIn(current.filterPreset) ? '' : current.filterPreset);
+
+  if (!name || !name.trim()) {
+    return;
+  }
+
+  try {
+    filterPresets.save(name.trim(), current);
+    selectPreset(name.trim());
+    ui.addLog(`💾 Saved preset "${name.trim()}"`);
+  } catch (error) {
+    ui.addLog(`❌ Couldn't save preset: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete the selected user preset and fall back to the default
+ */
+function deletePreset(name) {
+  if (filterPresets.isBuiltIn(name) || !confirm(`Delete preset "${name}"?`)) {
+    return;
+  }
+
+  filterPresets.delete(name);
+  selectPreset('Default');
+}
+
+/**
+ * Preview velocity processing on these notes from now on
+ */
+function setVelocityPreview(noteSequence) {
+  velocityPreviewNotes = noteSequence.notes || [];
+  updateVelocityPreview();
+}
+
+/**
+ * Redraw the before/after velocity histogram with the current settings
+ */
+function updateVelocityPreview() {
+  if (!velocityPreviewNotes) {
+    return;
+  }
+
+  const processed = velocityProcessor.process(velocityPreviewNotes, getVelocityOptions(ui.getSettings()));
+  ui.renderVelocityHistogram(
+    velocityProcessor.histogram(velocityPreviewNotes),
+    velocityProcessor.histogram(processed)
+  );
 }
 
 /**
  * Start conversion process
  */
 async function startConversion() {
+  const controller = new AbortController();
+
   try {
     // Reset state
-    cancelRequested = false;
+    runControllers.add(controller);
     outputMIDIPaths = [];
+    selectComparison(null);
 
     // Update UI
     ui.startConversion();
@@ -71,34 +1082,27 @@ async function startConversion() {
     const settings = ui.getSettings();
 
     // Prepare audio sources
-    const audioSources = [];
+    const sources = [];
 
     // Get YouTube URLs
     if (settings.youtubeUrls.trim()) {
-      const urls = youtubeDownloader.parseUrls(settings.youtubeUrls);
+      const urls = youtubeDownloader.parseSources(settings.youtubeUrls);
       ui.addLog(`Found ${urls.length} YouTube URL(s)`);
-
-      // Download YouTube audio
-      for (let i = 0; i < urls.length; i++) {
-        if (cancelRequested) break;
-
-        ui.updateProgress(i, urls.length);
-
-        try {
-          const result = await youtubeDownloader.downloadAudio(
-            urls[i],
-            (msg) => ui.addLog(msg)
-          );
-
-          audioSources.push({
-            buffer: result.buffer,
-            name: result.filename.replace('.mp3', ''),
-            type: 'youtube'
+      urls.forEach(({ url, segments }) => {
+        // Segments of a video share one download
+        if (segments.length > 0) {
+          segments.forEach(({ name, startTime, endTime }) => {
+            sources.push({ type: 'youtube', url, trim: { startTime, endTime }, segment: name });
           });
-
-        } catch (error) {
-          ui.addLog(`Failed to download ${urls[i]}: ${error.message}`, 'error');
+        } else {
+          sources.push({ type: 'youtube', url });
         }
+      });
+
+      const segmented = urls.filter(({ segments }) => segments.length > 0);
+      if (segmented.length > 0) {
+        const count = segmented.reduce((total, { segments }) => total + segments.length, 0);
+        ui.addLog(`🎼 ${segmented.length} video(s) split into ${count} segment(s)`);
       }
     }
 
@@ -106,172 +1110,193 @@ async function startConversion() {
     const selectedFiles = fileHandler.getSelectedFiles();
     if (selectedFiles.length > 0) {
       ui.addLog(`Found ${selectedFiles.length} local file(s)`);
+      selectedFiles.forEach(file => {
+        const segments = fileSegments.get(file);
 
-      for (const file of selectedFiles) {
-        if (cancelRequested) break;
+        // Each segment is a job of its own, trimmed to the segment
+        if (segments) {
+          segments.forEach(({ name, startTime, endTime }) => {
+            sources.push({ type: 'file', file, trim: { startTime, endTime }, segment: name });
+          });
+        } else {
+          sources.push({ type: 'file', file, trim: trimRegions.get(file) || null });
+        }
+      });
 
-        const buffer = await fileHandler.readFileAsArrayBuffer(file);
-        audioSources.push({
-          buffer: buffer,
-          name: fileHandler.getFileNameWithoutExtension(file),
-          type: 'file'
-        });
+      const segmented = selectedFiles.filter(file => fileSegments.has(file));
+      if (segmented.length > 0) {
+        const count = segmented.reduce((total, file) => total + fileSegments.get(file).length, 0);
+        ui.addLog(`🎼 ${segmented.length} file(s) split into ${count} segment(s)`);
       }
-    }
 
-    if (audioSources.length === 0) {
-      ui.addLog('No audio sources provided!', 'error');
-      ui.endConversion();
-      return;
-    }
-
-    ui.addLog(`Processing ${audioSources.length} audio file(s)...`);
-
-    // Process each audio file
-    const results = [];
-
-    for (let i = 0; i < audioSources.length; i++) {
-      if (cancelRequested) {
-        ui.addLog('🛑 Conversion cancelled', 'warning');
-        break;
+      const trimmed = selectedFiles.filter(file => trimRegions.has(file) && !fileSegments.has(file)).length;
+      if (trimmed > 0) {
+        ui.addLog(`✂️ ${trimmed} file(s) use their own trim region`);
       }
+    }
 
-      const source = audioSources[i];
-
-      ui.addLog(`\n📄 Processing ${i + 1}/${audioSources.length}: ${source.name}`);
-      ui.updateProgress(i, audioSources.length);
-
-      try {
-        // Load and process audio
-        ui.addLog('Loading audio...');
-        let audioBuffer = await audioProcessor.loadAudio(
-          source.buffer,
-          (msg) => ui.addLog(msg)
-        );
-
-        // Apply trimming if needed
-        if (settings.startTime > 0 || settings.endTime > 0) {
-          ui.addLog(`Trimming audio (${settings.startTime}s to ${settings.endTime || 'end'}s)`);
-          audioBuffer = audioProcessor.trimAudio(
-            audioBuffer,
-            settings.startTime,
-            settings.endTime > 0 ? settings.endTime : null
-          );
-        }
-
-        // Resample to 16kHz for Magenta.js
-        const requiredSampleRate = pianoTranscription.getRequiredSampleRate();
-        ui.addLog(`Resampling audio to ${requiredSampleRate}Hz...`);
-        audioBuffer = await audioProcessor.resampleAudio(audioBuffer, requiredSampleRate);
-
-        // Get audio samples
-        const audioSamples = audioProcessor.getAudioSamples(audioBuffer);
-
-        // Transcribe
-        ui.addLog('🎹 Transcribing with Piano Transcription model...');
-        const noteSequence = await pianoTranscription.transcribe(
-          audioSamples,
-          (msg) => ui.addLog(msg)
-        );
-
-        // Generate MIDI
-        ui.addLog('🎵 Generating MIDI file...');
-        const midiData = midiGenerator.generateMIDI(noteSequence, {
-          maxNoteDuration: settings.maxNotes,
-          enableMaxNotesFilter: settings.enableMaxNotes
-        });
-
-        // Determine filename
-        let filename = source.name;
-        if (settings.customTitle && audioSources.length === 1) {
-          filename = settings.customTitle;
-        } else if (settings.customTitle && audioSources.length > 1) {
-          filename = `${settings.customTitle}_${i + 1}`;
-        }
-
-        filename = midiGenerator.sanitizeFilename(filename);
+    // Get MIDI files to re-process
+    const midiFiles = midiFileHandler.getSelectedFiles();
+    if (midiFiles.length > 0) {
+      ui.addLog(`Found ${midiFiles.length} MIDI file(s) to re-process`);
+      midiFiles.forEach(file => sources.push({ type: 'midi', file }));
+    }
 
-        results.push({
-          midiData: midiData,
-          filename: filename,
-          audioBuffer: source.buffer,
-          noteCount: midiGenerator.getNoteCount(noteSequence)
-        });
+    if (sources.length === 0) {
+      ui.addLog('No audio or MIDI sources provided!', 'error');
+      return;
+    }
 
-        ui.addLog(`✅ Completed: ${filename} (${midiGenerator.getNoteCount(noteSequence)} notes)`);
+    jobs = pipeline.createJobs(sources);
+    ui.updateProgress(0, jobs.length);
 
-      } catch (error) {
-        ui.addLog(`❌ Failed to process ${source.name}: ${error.message}`, 'error');
-        console.error(error);
-      }
+    const { results, aborted, notStarted, cancelled } = await pipeline.runJobs(jobs, settings, controller.signal);
 
-      ui.updateProgress(i + 1, audioSources.length);
+    if (cancelled) {
+      reportCancellation(results.map(result => result.filename), aborted, notStarted);
     }
 
     // Handle outputs
-    if (results.length > 0) {
-      outputMIDIPaths = results;
+    updateOutputs();
 
+    if (results.length > 0) {
       if (results.length === 1) {
         // Single file - direct download
         ui.addLog('\n💾 Ready to download!');
-        ui.showDownloadButton();
-
+      } else if (settings.zipOutput) {
+        ui.addLog('\n📦 Files will be packaged into a ZIP on download');
       } else {
-        // Multiple files
-        if (settings.zipOutput) {
-          ui.addLog('\n📦 Packaging files into ZIP...');
+        ui.addLog('\n💾 Ready to download multiple files!');
+      }
 
-          const zip = new JSZip();
+      if (!cancelled) {
+        ui.addLog(`\n🎉 All conversions complete! Processed ${results.length} file(s).`);
+      }
 
-          // Add MIDI files
-          results.forEach(result => {
-            zip.file(result.filename, result.midiData);
-          });
+    } else if (!cancelled) {
+      ui.addLog('No files were successfully converted.', 'warning');
+    }
 
-          // Add MP3 files if requested
-          if (settings.includeMp3) {
-            ui.addLog('Adding audio files to ZIP...');
-            results.forEach((result) => {
-              const audioName = result.filename.replace('.mid', '.mp3');
-              zip.file(audioName, result.audioBuffer);
-            });
-          }
+  } catch (error) {
+    ui.addLog(`❌ Error: ${error.message}`, 'error');
+    console.error(error);
 
-          ui.addLog('✅ ZIP file ready for download!');
-        } else {
-          ui.addLog('\n💾 Ready to download multiple files!');
-        }
+  } finally {
+    finishRun(controller);
+  }
+}
 
-        ui.showDownloadButton();
-      }
+/**
+ * Re-run a failed or cancelled file, keeping the rest of the batch
+ */
+async function retryJob(id) {
+  const job = jobs.find(job => job.id === id);
+  if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) {
+    return;
+  }
 
-      ui.addLog(`\n🎉 All conversions complete! Processed ${results.length} file(s).`);
+  // The retry runs alongside any batch in progress, with its own controller for Cancel
+  const controller = new AbortController();
+  if (runControllers.size === 0) {
+    ui.startRetry();
+  }
+  runControllers.add(controller);
 
-    } else {
-      ui.addLog('No files were successfully converted.', 'warning');
-    }
+  try {
+    ui.addLog(`\n🔁 Retrying: ${job.name}`);
+    await pipeline.runJobs([job], ui.getSettings(), controller.signal);
+    updateOutputs();
 
   } catch (error) {
     ui.addLog(`❌ Error: ${error.message}`, 'error');
     console.error(error);
 
   } finally {
+    finishRun(controller);
+  }
+}
+
+/**
+ * Drop a file from the batch, aborting it if it is still running
+ */
+function removeJob(id) {
+  const job = jobs.find(job => job.id === id);
+  if (!job) {
+    return;
+  }
+
+  pipeline.removeJob(job);
+  jobs = jobs.filter(other => other !== job);
+  ui.removeJobRow(id);
+  ui.addLog(`🗑️ Removed: ${job.name}`);
+
+  updateOutputs();
+}
+
+/**
+ * Collect finished results in batch order and show or hide the download button
+ */
+function updateOutputs() {
+  outputMIDIPaths = jobs
+    .filter(job => job.status === 'done')
+    .sort((a, b) => a.index - b.index)
+    .map(job => job.result);
+
+  if (outputMIDIPaths.length > 0) {
+    ui.showDownloadButton();
+  } else {
+    ui.hideDownloadButton();
+  }
+
+  ui.renderEvaluations(outputMIDIPaths.filter(result => result.evaluation));
+
+  selectPianoRoll(outputMIDIPaths.includes(rollResult) ? rollResult : outputMIDIPaths[0] || null);
+  ui.renderRollFiles(outputMIDIPaths, outputMIDIPaths.indexOf(rollResult));
+
+  const comparable = getComparableResults();
+  selectComparison(comparable.includes(abResult) ? abResult : comparable[0] || null);
+  ui.renderABFiles(comparable, comparable.indexOf(abResult));
+}
+
+/**
+ * Restore the idle UI once the last run (batch or retry) has finished
+ */
+function finishRun(controller) {
+  runControllers.delete(controller);
+
+  if (runControllers.size === 0) {
     ui.endConversion();
   }
 }
 
 /**
- * Cancel conversion
+ * Cancel conversion, aborting the file currently being processed
  */
 function cancelConversion() {
-  cancelRequested = true;
+  runControllers.forEach(controller => controller.abort());
   ui.addLog('🛑 Cancelling...', 'warning');
   ui.elements.cancelBtn.disabled = true;
 }
 
 /**
- * Download MIDI files
+ * Log which files finished and which were cut short by a cancel
+ */
+function reportCancellation(finished, aborted, notStarted) {
+  ui.addLog('\n🛑 Conversion cancelled', 'warning');
+
+  if (finished.length > 0) {
+    ui.addLog(`Finished: ${finished.join(', ')}`);
+  }
+  if (aborted.length > 0) {
+    ui.addLog(`Aborted: ${aborted.join(', ')}`, 'warning');
+  }
+  if (notStarted.length > 0) {
+    ui.addLog(`Not started: ${notStarted.join(', ')}`, 'warning');
+  }
+}
+
+/**
+ * Download MIDI files and/or MusicXML scores
  */
 async function downloadMIDI() {
   try {
@@ -281,12 +1306,16 @@ async function downloadMIDI() {
     }
 
     const settings = ui.getSettings();
+    const format = settings.downloadFormat;
+
+    // Downloads use the notes as edited in the piano roll
+    outputMIDIPaths.forEach(applyEdits);
 
     if (outputMIDIPaths.length === 1) {
       // Single file download
       const result = outputMIDIPaths[0];
-      midiGenerator.saveMIDI(result.midiData, result.filename);
-      ui.addLog(`Downloaded: ${result.filename}`);
+      await saveOutput(result, format, settings.includeNoteData, settings.includeRenderedAudio);
+      ui.addLog(`Downloaded: ${format === 'musicxml' ? musicXMLExporter.getFilename(result.filename) : result.filename}`);
 
     } else {
       // Multiple files
@@ -294,33 +1323,32 @@ async function downloadMIDI() {
         // Download as ZIP
         ui.addLog('Generating ZIP file...');
 
-        const zip = new JSZip();
-
-        // Add MIDI files
-        outputMIDIPaths.forEach(result => {
-          zip.file(result.filename, result.midiData);
-        });
-
-        // Add MP3 files if requested
+        if (settings.includeRenderedAudio) {
+          ui.addLog('Rendering MIDI files to WAV...');
+        }
         if (settings.includeMp3) {
-          outputMIDIPaths.forEach(result => {
-            const audioName = result.filename.replace('.mid', '.mp3');
-            zip.file(audioName, result.audioBuffer);
-          });
+          ui.addLog('Adding audio files to ZIP...');
         }
 
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-        const zipFilename = midiGenerator.sanitizeFilename(settings.zipFilename || 'midi_files') + '.zip';
+        const zipBlob = await pipeline.createZip(outputMIDIPaths, {
+          includeMidi: format !== 'musicxml',
+          includeMusicXML: format !== 'midi',
+          includeNoteData: settings.includeNoteData,
+          includeRenderedAudio: settings.includeRenderedAudio,
+          soundFont,
+          includeMp3: settings.includeMp3
+        });
+        const zipFilename = midiGenerator.sanitizeFilename(settings.zipFilename || 'midi_files', '.zip');
 
         saveAs(zipBlob, zipFilename);
         ui.addLog(`Downloaded: ${zipFilename}`);
 
       } else {
         // Download each file separately
-        outputMIDIPaths.forEach(result => {
-          midiGenerator.saveMIDI(result.midiData, result.filename);
-        });
-        ui.addLog(`Downloaded ${outputMIDIPaths.length} MIDI files`);
+        for (const result of outputMIDIPaths) {
+          await saveOutput(result, format, settings.includeNoteData, settings.includeRenderedAudio);
+        }
+        ui.addLog(`Downloaded ${outputMIDIPaths.length} ${format === 'musicxml' ? 'MusicXML' : 'MIDI'} files`);
       }
     }
 
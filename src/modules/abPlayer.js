@@ -0,0 +1,182 @@
+/**
+ * A/B Player Module
+ * Plays the source audio and the rendered transcription on one timeline and switches
+ * between them without losing the playback position, so differences are easy to hear.
+ */
+
+export class ABPlayer {
+  constructor() {
+    this.audioContext = null;
+    this.buffers = { original: null, rendered: null };
+    this.source = 'original';
+    this.node = null;
+    this.offset = 0;          // Position (seconds) when playback last started or paused
+    this.startedAt = 0;       // audioContext.currentTime at that moment
+    this.playing = false;
+    this.endTimer = null;
+    this.onEnded = null;
+  }
+
+  /**
+   * Initialize audio context
+   */
+  initAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Set the two versions to compare and rewind
+   * @param {AudioBuffer} original - Source audio, trimmed to the transcribed range
+   * @param {AudioBuffer} rendered - MIDIRenderer output
+   */
+  load(original, rendered) {
+    this.stop();
+    this.buffers = { original, rendered };
+    this.offset = 0;
+  }
+
+  /**
+   * Forget both versions
+   */
+  unload() {
+    this.load(null, null);
+  }
+
+  isLoaded() {
+    return this.buffers.original !== null && this.buffers.rendered !== null;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Start playing the selected version from the current position
+   */
+  async play() {
+    if (!this.isLoaded() || this.playing) {
+      return;
+    }
+
+    const audioContext = this.initAudioContext();
+
+    // Browsers start contexts suspended until a user gesture
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    if (this.offset >= this.getDuration()) {
+      this.offset = 0;
+    }
+
+    this.startNode();
+    this.playing = true;
+  }
+
+  /**
+   * Pause, keeping the position
+   */
+  pause() {
+    if (!this.playing) {
+      return;
+    }
+
+    this.offset = this.getPosition();
+    this.stop();
+  }
+
+  /**
+   * Switch between 'original' and 'rendered' at the current position
+   */
+  setSource(source) {
+    if (source === this.source) {
+      return;
+    }
+
+    this.source = source;
+
+    if (this.playing) {
+      this.offset = this.getPosition();
+      this.stopNode();
+      this.startNode();
+    }
+  }
+
+  /**
+   * Jump to a position in seconds
+   */
+  seek(time) {
+    this.offset = Math.max(0, Math.min(time, this.getDuration()));
+
+    if (this.playing) {
+      this.stopNode();
+      this.startNode();
+    }
+  }
+
+  /**
+   * Current playback position in seconds
+   */
+  getPosition() {
+    if (!this.playing) {
+      return this.offset;
+    }
+
+    return Math.min(this.offset + this.audioContext.currentTime - this.startedAt, this.getDuration());
+  }
+
+  /**
+   * Length of the longer version, so either can be played to its end
+   */
+  getDuration() {
+    const { original, rendered } = this.buffers;
+    return Math.max(original ? original.duration : 0, rendered ? rendered.duration : 0);
+  }
+
+  startNode() {
+    const buffer = this.buffers[this.source];
+    const node = this.audioContext.createBufferSource();
+    node.buffer = buffer;
+    node.connect(this.audioContext.destination);
+
+    // The shorter version just goes quiet until the longer one ends
+    if (this.offset < buffer.duration) {
+      node.start(0, this.offset);
+    }
+
+    this.node = node;
+    this.startedAt = this.audioContext.currentTime;
+
+    // A timer rather than onended, which the shorter version fires too early (or never)
+    this.endTimer = setTimeout(() => {
+      this.offset = 0;
+      this.stop();
+      if (this.onEnded) {
+        this.onEnded();
+      }
+    }, (this.getDuration() - this.offset) * 1000);
+  }
+
+  stopNode() {
+    clearTimeout(this.endTimer);
+
+    if (this.node) {
+      const node = this.node;
+      this.node = null;
+      try {
+        node.stop();
+      } catch (error) {
+        // Never started: the position was past the end of this version
+      }
+      node.disconnect();
+    }
+  }
+
+  stop() {
+    this.stopNode();
+    this.playing = false;
+  }
+}
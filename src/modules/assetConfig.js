@@ -0,0 +1,23 @@
+/**
+ * Asset Config Module
+ * Where the web app loads the model checkpoint and FFmpeg core from.
+ * Both are self-hosted by default so the app works offline once cached; set
+ * VITE_MODEL_CHECKPOINT_URL / VITE_FFMPEG_CORE_URL at build time to use a mirror or CDN instead.
+ */
+
+import bundledCoreURL from '@ffmpeg/core?url';
+import bundledWasmURL from '@ffmpeg/core/wasm?url';
+
+// Magenta's checkpoint (see modelCheckpoint.js), mirrored into public/models by scripts/fetch-model.js
+export const MODEL_CHECKPOINT_URL =
+  import.meta.env.VITE_MODEL_CHECKPOINT_URL ||
+  `${import.meta.env.BASE_URL}models/onsets_frames_uni`;
+
+// An override points at a directory holding ffmpeg-core.js and ffmpeg-core.wasm
+const ffmpegCoreBase = import.meta.env.VITE_FFMPEG_CORE_URL;
+
+export const FFMPEG_CORE_URL = ffmpegCoreBase ? `${ffmpegCoreBase}/ffmpeg-core.js` : bundledCoreURL;
+export const FFMPEG_WASM_URL = ffmpegCoreBase ? `${ffmpegCoreBase}/ffmpeg-core.wasm` : bundledWasmURL;
+
+// Transkun has no browser build; its backend talks to scripts/transkun-server.py
+export const TRANSKUN_SERVICE_URL = import.meta.env.VITE_TRANSKUN_URL || 'http://localhost:8765';
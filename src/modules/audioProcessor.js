@@ -1,10 +1,19 @@
 /**
  * Audio Processor Module
- * Handles audio loading, conversion, and trimming using Web Audio API and ffmpeg.wasm
+ * Handles audio loading, conversion, and trimming using Web Audio API and ffmpeg.wasm.
+ * Decoding needs a window; the raw-audio methods below also run in the transcription worker.
  */
 
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import { FFMPEG_CORE_URL, FFMPEG_WASM_URL } from './assetConfig.js';
+
+// Resampler quality: sinc lobes on each side, and lookup table steps per lobe
+const RESAMPLE_ZERO_CROSSINGS = 8;
+const RESAMPLE_KERNEL_RESOLUTION = 512;
+
+// Output samples between resampler yields, so a cancel message can get through (~20ms of work)
+const RESAMPLE_YIELD_INTERVAL = 65536;
 
 export class AudioProcessor {
   constructor() {
@@ -50,12 +59,10 @@ export class AudioProcessor {
       }
     });
 
-    // Load FFmpeg
-    const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm';
-
+    // Load FFmpeg (self-hosted core, see assetConfig.js)
     await this.ffmpeg.load({
-      coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-      wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
+      coreURL: await toBlobURL(FFMPEG_CORE_URL, 'text/javascript'),
+      wasmURL: await toBlobURL(FFMPEG_WASM_URL, 'application/wasm'),
     });
 
     this.ffmpegLoaded = true;
@@ -69,8 +76,11 @@ export class AudioProcessor {
 
   /**
    * Load and decode audio from ArrayBuffer
+   * @param {ArrayBuffer} arrayBuffer - Encoded audio
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Aborts the FFmpeg fallback
    */
-  async loadAudio(arrayBuffer, onProgress = null) {
+  async loadAudio(arrayBuffer, onProgress = null, signal = null) {
     const audioContext = this.initAudioContext();
 
     if (onProgress) {
@@ -91,44 +101,79 @@ export class AudioProcessor {
       console.error('Failed to decode audio directly, trying FFmpeg conversion...', error);
 
       // Try converting with FFmpeg if direct decode fails
-      return await this.convertAndLoadAudio(arrayBuffer, onProgress);
+      return await this.convertAndLoadAudio(arrayBuffer, onProgress, signal);
     }
   }
 
   /**
    * Convert audio format using FFmpeg and then load
+   * @param {ArrayBuffer} arrayBuffer - Encoded audio
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Terminates FFmpeg when aborted
    */
-  async convertAndLoadAudio(arrayBuffer, onProgress = null) {
+  async convertAndLoadAudio(arrayBuffer, onProgress = null, signal = null) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
     await this.initFFmpeg(onProgress);
 
     if (onProgress) {
       onProgress('Converting audio format...');
     }
 
+    // There is no way to interrupt a running exec(), so kill the FFmpeg worker instead.
+    // It is reloaded on the next conversion.
+    const terminateFFmpeg = () => {
+      this.ffmpeg.terminate();
+      this.ffmpeg = null;
+      this.ffmpegLoaded = false;
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', terminateFFmpeg, { once: true });
+    }
+
     // Write input file
     const inputName = 'input';
     const outputName = 'output.wav';
+    let data;
+
+    try {
+      // Copy, since FFmpeg takes ownership of the buffer and the source is still needed
+      await this.ffmpeg.writeFile(inputName, new Uint8Array(arrayBuffer.slice(0)));
+
+      // Convert to WAV for Web Audio API compatibility
+      await this.ffmpeg.exec([
+        '-i', inputName,
+        '-acodec', 'pcm_s16le',
+        '-ar', '44100',
+        '-ac', '1',  // Mono
+        outputName
+      ]);
+
+      // Read output
+      data = await this.ffmpeg.readFile(outputName);
 
-    await this.ffmpeg.writeFile(inputName, new Uint8Array(arrayBuffer));
+      // Clean up FFmpeg files
+      await this.ffmpeg.deleteFile(inputName);
+      await this.ffmpeg.deleteFile(outputName);
 
-    // Convert to WAV for Web Audio API compatibility
-    await this.ffmpeg.exec([
-      '-i', inputName,
-      '-acodec', 'pcm_s16le',
-      '-ar', '44100',
-      '-ac', '1',  // Mono
-      outputName
-    ]);
+    } catch (error) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      throw error;
+
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', terminateFFmpeg);
+      }
+    }
 
-    // Read output
-    const data = await this.ffmpeg.readFile(outputName);
     const blob = new Blob([data.buffer], { type: 'audio/wav' });
     const convertedArrayBuffer = await blob.arrayBuffer();
 
-    // Clean up FFmpeg files
-    await this.ffmpeg.deleteFile(inputName);
-    await this.ffmpeg.deleteFile(outputName);
-
     // Decode the converted audio
     const audioContext = this.initAudioContext();
     const audioBuffer = await audioContext.decodeAudioData(convertedArrayBuffer);
@@ -141,103 +186,228 @@ export class AudioProcessor {
   }
 
   /**
-   * Trim audio to specified time range
+   * Copy an AudioBuffer's channels into plain arrays that can be transferred to a worker
+   * @returns {{ sampleRate: number, channels: Float32Array[] }} - Raw audio
    */
-  trimAudio(audioBuffer, startTime = 0, endTime = null) {
-    const audioContext = this.initAudioContext();
+  toRawAudio(audioBuffer) {
+    const channels = [];
 
-    const sampleRate = audioBuffer.sampleRate;
-    const numberOfChannels = audioBuffer.numberOfChannels;
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = new Float32Array(audioBuffer.length);
+      audioBuffer.copyFromChannel(data, channel);
+      channels.push(data);
+    }
 
-    const startSample = Math.floor(startTime * sampleRate);
-    const endSample = endTime ? Math.floor(endTime * sampleRate) : audioBuffer.length;
+    return {
+      sampleRate: audioBuffer.sampleRate,
+      channels: channels
+    };
+  }
 
-    const trimmedLength = endSample - startSample;
+  /**
+   * Turn raw audio back into an AudioBuffer for playback
+   */
+  toAudioBuffer(rawAudio) {
+    const { sampleRate, channels } = rawAudio;
+    const audioBuffer = this.initAudioContext().createBuffer(channels.length, channels[0].length, sampleRate);
 
-    // Create new buffer with trimmed length
-    const trimmedBuffer = audioContext.createBuffer(
-      numberOfChannels,
-      trimmedLength,
-      sampleRate
-    );
+    channels.forEach((data, channel) => audioBuffer.copyToChannel(data, channel));
 
-    // Copy trimmed audio data
-    for (let channel = 0; channel < numberOfChannels; channel++) {
-      const sourceData = audioBuffer.getChannelData(channel);
-      const trimmedData = trimmedBuffer.getChannelData(channel);
+    return audioBuffer;
+  }
 
-      for (let i = 0; i < trimmedLength; i++) {
-        trimmedData[i] = sourceData[startSample + i];
-      }
+  /**
+   * Trim raw audio to specified time range
+   */
+  trimAudio(rawAudio, startTime = 0, endTime = null) {
+    const { sampleRate, channels } = rawAudio;
+    const length = channels[0].length;
+
+    const startSample = Math.min(Math.floor(startTime * sampleRate), length);
+    const endSample = endTime ? Math.min(Math.floor(endTime * sampleRate), length) : length;
+
+    if (endSample <= startSample) {
+      throw new Error(`Trim range ${startTime}s to ${endTime ? `${endTime}s` : 'end'} is outside the audio`);
     }
 
-    return trimmedBuffer;
+    // Views into the original data, so trimming costs nothing
+    return {
+      sampleRate: sampleRate,
+      channels: channels.map(data => data.subarray(startSample, endSample))
+    };
   }
 
   /**
-   * Convert AudioBuffer to mono if it's stereo
+   * Peak levels for drawing a waveform: the lowest and highest sample in each bin, across channels
+   * @param {AudioBuffer} audioBuffer - Decoded audio
+   * @param {number} bins - Number of bins the audio is split into
+   * @returns {{ min: Float32Array, max: Float32Array }}
    */
-  convertToMono(audioBuffer) {
-    if (audioBuffer.numberOfChannels === 1) {
-      return audioBuffer;
+  getPeaks(audioBuffer, bins) {
+    const min = new Float32Array(bins);
+    const max = new Float32Array(bins);
+    const binSize = audioBuffer.length / bins;
+
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+
+      for (let bin = 0; bin < bins; bin++) {
+        const start = Math.floor(bin * binSize);
+        const end = Math.min(data.length, Math.max(start + 1, Math.floor((bin + 1) * binSize)));
+
+        for (let i = start; i < end; i++) {
+          if (data[i] < min[bin]) {
+            min[bin] = data[i];
+          } else if (data[i] > max[bin]) {
+            max[bin] = data[i];
+          }
+        }
+      }
     }
 
-    const audioContext = this.initAudioContext();
-    const monoBuffer = audioContext.createBuffer(
-      1,
-      audioBuffer.length,
-      audioBuffer.sampleRate
-    );
+    return { min, max };
+  }
 
-    const monoData = monoBuffer.getChannelData(0);
+  /**
+   * Mix raw audio down to mono samples
+   */
+  convertToMono(rawAudio) {
+    const { channels } = rawAudio;
+
+    if (channels.length === 1) {
+      return channels[0];
+    }
+
+    const length = channels[0].length;
+    const monoData = new Float32Array(length);
 
     // Average all channels
-    for (let i = 0; i < audioBuffer.length; i++) {
-      let sum = 0;
-      for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-        sum += audioBuffer.getChannelData(channel)[i];
+    for (const data of channels) {
+      for (let i = 0; i < length; i++) {
+        monoData[i] += data[i];
       }
-      monoData[i] = sum / audioBuffer.numberOfChannels;
     }
 
-    return monoBuffer;
+    for (let i = 0; i < length; i++) {
+      monoData[i] /= channels.length;
+    }
+
+    return monoData;
   }
 
   /**
-   * Resample audio to target sample rate
+   * Resample mono samples to target sample rate (band-limited sinc interpolation).
+   * Runs without Web Audio so it can be used inside a worker, and yields regularly
+   * so an abort can interrupt it.
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sourceSampleRate - Sample rate of samples
+   * @param {number} targetSampleRate - Wanted sample rate
+   * @param {AbortSignal} signal - Stops resampling when aborted
+   * @returns {Promise<Float32Array>} - Resampled samples
    */
-  async resampleAudio(audioBuffer, targetSampleRate) {
-    if (audioBuffer.sampleRate === targetSampleRate) {
-      return audioBuffer;
+  async resampleAudio(samples, sourceSampleRate, targetSampleRate, signal = null) {
+    if (sourceSampleRate === targetSampleRate) {
+      return samples;
     }
 
-    const audioContext = this.initAudioContext();
+    const ratio = sourceSampleRate / targetSampleRate;
+    const outputLength = Math.floor(samples.length / ratio);
+    const output = new Float32Array(outputLength);
+
+    // Low-pass at the lower of the two Nyquist frequencies to avoid aliasing
+    const cutoff = Math.min(1, 1 / ratio);
+    const halfWidth = RESAMPLE_ZERO_CROSSINGS / cutoff;
+    const kernel = getResampleKernel();
+
+    for (let i = 0; i < outputLength; i++) {
+      if (i % RESAMPLE_YIELD_INTERVAL === 0 && i > 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal) {
+          signal.throwIfAborted();
+        }
+      }
+
+      const center = i * ratio;
+      const first = Math.max(0, Math.ceil(center - halfWidth));
+      const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+
+      let sum = 0;
+      let weightSum = 0;
 
-    // Create offline context with target sample rate
-    const offlineContext = new OfflineAudioContext(
-      audioBuffer.numberOfChannels,
-      audioBuffer.duration * targetSampleRate,
-      targetSampleRate
-    );
+      for (let j = first; j <= last; j++) {
+        const position = Math.abs(j - center) * cutoff * RESAMPLE_KERNEL_RESOLUTION;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const weight = kernel[index] + (kernel[index + 1] - kernel[index]) * fraction;
 
-    // Create buffer source
-    const source = offlineContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(offlineContext.destination);
-    source.start(0);
+        sum += samples[j] * weight;
+        weightSum += weight;
+      }
 
-    // Render
-    const resampledBuffer = await offlineContext.startRendering();
+      output[i] = weightSum !== 0 ? sum / weightSum : 0;
+    }
 
-    return resampledBuffer;
+    return output;
   }
 
   /**
-   * Get audio samples as Float32Array (for Magenta.js)
+   * Turn decoded audio into the mono samples a transcription model expects
+   * @param {Object} rawAudio - { sampleRate, channels } from toRawAudio()
+   * @param {Object} options - { sampleRate, startTime, endTime, signal }
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Float32Array>} - Mono samples at options.sampleRate
    */
-  getAudioSamples(audioBuffer) {
-    // Magenta.js expects mono audio
-    const monoBuffer = this.convertToMono(audioBuffer);
-    return monoBuffer.getChannelData(0);
+  async prepareSamples(rawAudio, options = {}, onProgress = null) {
+    const {
+      sampleRate = rawAudio.sampleRate,
+      startTime = 0,
+      endTime = 0,
+      signal = null,
+    } = options;
+
+    let audio = rawAudio;
+
+    // Apply trimming if needed
+    if (startTime > 0 || endTime > 0) {
+      if (onProgress) {
+        onProgress(`Trimming audio (${startTime}s to ${endTime > 0 ? `${endTime}s` : 'end'})`);
+      }
+      audio = this.trimAudio(audio, startTime, endTime > 0 ? endTime : null);
+    }
+
+    const monoSamples = this.convertToMono(audio);
+
+    if (onProgress && audio.sampleRate !== sampleRate) {
+      onProgress(`Resampling audio to ${sampleRate}Hz...`);
+    }
+
+    return this.resampleAudio(monoSamples, audio.sampleRate, sampleRate, signal);
   }
 }
+
+/**
+ * Windowed sinc lookup table shared by all resampleAudio() calls
+ */
+let resampleKernel = null;
+
+function getResampleKernel() {
+  if (resampleKernel) {
+    return resampleKernel;
+  }
+
+  const size = RESAMPLE_ZERO_CROSSINGS * RESAMPLE_KERNEL_RESOLUTION;
+  resampleKernel = new Float32Array(size + 2);
+
+  for (let i = 0; i <= size; i++) {
+    const x = i / RESAMPLE_KERNEL_RESOLUTION;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+
+    // Blackman window over [-zeroCrossings, zeroCrossings]
+    const phase = Math.PI * (1 + x / RESAMPLE_ZERO_CROSSINGS);
+    const window = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+
+    resampleKernel[i] = sinc * window;
+  }
+
+  return resampleKernel;
+}
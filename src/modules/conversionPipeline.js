@@ -0,0 +1,677 @@
+/**
+ * Conversion Pipeline Module
+ * Runs the audio-to-MIDI conversion for a batch of sources without touching the DOM.
+ * Each source becomes a job; up to `settings.concurrency` jobs download or read their
+ * audio at once, while decoding and transcription take one job at a time (they share
+ * the FFmpeg instance and the model). MIDI sources skip decoding and transcription and only
+ * go through post-processing. Callers subscribe to events and get structured results back:
+ *
+ *   stage-start  { job, stage, index, total, name }   stage is 'download' | 'read' | 'decode' |
+ *                                                     'import' | 'transcribe' | 'generate' | 'package'
+ *   job-status   { job }                              job.status changed (see JOB_STATUSES)
+ *   progress     { job, index, name, message, completed, total }
+ *   file-done    { job, index, total, result }
+ *   file-error   { job, index, total, name, stage, error }
+ *   complete     summary returned by run()
+ */
+
+import JSZip from 'jszip';
+import { FileHandler } from './fileHandler.js';
+import { YouTubeDownloader } from './youtubeDownloader.js';
+import { AudioProcessor } from './audioProcessor.js';
+import { TranscriptionWorkerClient } from './transcriptionWorkerClient.js';
+import { MIDIGenerator, getMidiFileOptions } from './midiGenerator.js';
+import { MusicXMLExporter } from './musicXmlExporter.js';
+import { NoteDataExporter } from './noteDataExporter.js';
+import { MIDIRenderer } from './midiRenderer.js';
+import { MIDIImporter, REPROCESSED_SUFFIX } from './midiImporter.js';
+import { JobQueue } from './jobQueue.js';
+import { getFilterOptions } from './noteFilters.js';
+import { getVelocityOptions } from './velocityProcessor.js';
+
+export const JOB_STATUSES = ['queued', 'downloading', 'decoding', 'transcribing', 'done', 'failed', 'cancelled'];
+
+// Job status shown while each stage runs
+const STAGE_STATUS = {
+  download: 'downloading',
+  read: 'decoding',
+  decode: 'decoding',
+  import: 'decoding',
+  transcribe: 'transcribing',
+  generate: 'transcribing'
+};
+
+export class ConversionPipeline {
+  /**
+   * @param {Object} modules - Optional replacements for the modules each stage uses
+   *   ({ fileHandler, youtubeDownloader, audioProcessor, transcriber, midiGenerator,
+   *   musicXMLExporter, noteDataExporter, midiRenderer, midiImporter })
+   */
+  constructor(modules = {}) {
+    this.fileHandler = modules.fileHandler || new FileHandler();
+    this.youtubeDownloader = modules.youtubeDownloader || new YouTubeDownloader();
+    this.audioProcessor = modules.audioProcessor || new AudioProcessor();
+    this.transcriber = modules.transcriber || new TranscriptionWorkerClient();
+    this.midiGenerator = modules.midiGenerator || new MIDIGenerator();
+    this.musicXMLExporter = modules.musicXMLExporter || new MusicXMLExporter();
+    this.noteDataExporter = modules.noteDataExporter || new NoteDataExporter();
+    this.midiRenderer = modules.midiRenderer || new MIDIRenderer();
+    this.midiImporter = modules.midiImporter || new MIDIImporter();
+    this.listeners = new Map();
+
+    this.jobQueue = new JobQueue(2);
+    this.processingQueue = new JobQueue(1);
+    this.nextJobId = 0;
+  }
+
+  /**
+   * Subscribe to an event
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Call every listener for an event
+   */
+  emit(type, detail) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    listeners.forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        // A broken listener shouldn't take the batch down with it
+        console.error(`ConversionPipeline ${type} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Create jobs for a batch of sources
+   * @param {Array<Object>} sources - { type: 'youtube', url, trim, segment } | { type: 'file', file, trim, segment } |
+   *   { type: 'buffer', buffer, name } | { type: 'midi', file } (a MIDI file to re-process).
+   *   `trim` ({ startTime, endTime } in seconds, optional) replaces the global trim settings for that source;
+   *   `segment` (optional) names the part of the file or video it covers, giving the output <name>_<segment>.mid
+   * @returns {Object[]} - Jobs: { id, source, index, batchSize, inputIndex, inputCount, name, status, buffer,
+   *   result, error, duration }. Segments of one file or video share an input position, used for custom titles
+   */
+  createJobs(sources) {
+    const inputs = sources.map(source => source.segment ? source.file || source.url : source);
+    const distinct = [...new Set(inputs)];
+    const downloads = new Map();   // URL -> download in progress or done, shared by the segments of a video
+
+    return sources.map((source, index) => ({
+      id: this.nextJobId++,
+      source,
+      index,
+      batchSize: sources.length,
+      inputIndex: distinct.indexOf(inputs[index]),
+      inputCount: distinct.length,
+      downloads,
+      name: this.getSourceName(source),
+      status: 'queued',
+      started: false,
+      removed: false,
+      controller: null,
+      buffer: source.type === 'buffer' ? source.buffer : null,
+      result: null,
+      error: null,
+      duration: null
+    }));
+  }
+
+  /**
+   * Convert a batch of sources
+   * @param {Array<Object>} sources - See createJobs()
+   * @param {Object} settings - Same shape as UIController.getSettings()
+   * @param {AbortSignal} signal - Stops the batch, aborting the jobs in progress
+   * @returns {Promise<Object>} - See runJobs()
+   */
+  async run(sources, settings, signal = null) {
+    return this.runJobs(this.createJobs(sources), settings, signal);
+  }
+
+  /**
+   * Run (or re-run) jobs through the queue
+   * @param {Object[]} jobs - Jobs from createJobs(); failed or cancelled ones can be passed again to retry
+   * @param {Object} settings - Same shape as UIController.getSettings()
+   * @param {AbortSignal} signal - Stops these jobs
+   * @returns {Promise<{ jobs: Object[], results: Object[], failed: Object[], aborted: string[], notStarted: string[], cancelled: boolean }>}
+   */
+  async runJobs(jobs, settings, signal = null) {
+    this.jobQueue.setConcurrency(settings.concurrency || 1);
+
+    let completed = 0;
+
+    jobs.forEach(job => {
+      job.started = false;
+      job.error = null;
+      this.setStatus(job, 'queued');
+    });
+
+    await Promise.all(jobs.map(async (job) => {
+      await this.runJob(job, settings, signal);
+
+      completed++;
+      this.emit('progress', {
+        job,
+        index: job.index,
+        name: job.name,
+        message: null,
+        completed,
+        total: jobs.length
+      });
+    }));
+
+    const kept = jobs.filter(job => !job.removed);
+    const cancelled = kept.filter(job => job.status === 'cancelled');
+
+    const summary = {
+      jobs: kept,
+      results: kept.filter(job => job.status === 'done').map(job => job.result),
+      failed: kept
+        .filter(job => job.status === 'failed')
+        .map(job => ({ name: job.name, stage: job.error.stage, error: job.error.message })),
+      aborted: cancelled.filter(job => job.started).map(job => job.name),
+      notStarted: cancelled.filter(job => !job.started).map(job => job.name),
+      cancelled: !!(signal && signal.aborted)
+    };
+
+    this.emit('complete', summary);
+
+    return summary;
+  }
+
+  /**
+   * Run one job to completion; never throws, the outcome is left in job.status
+   */
+  async runJob(job, settings, signal) {
+    // Each job gets its own controller so it can be removed without cancelling the batch
+    job.controller = new AbortController();
+    const jobSignal = job.controller.signal;
+    const abortJob = () => job.controller.abort(signal.reason);
+
+    if (signal) {
+      if (signal.aborted) {
+        abortJob();
+      }
+      signal.addEventListener('abort', abortJob, { once: true });
+    }
+
+    try {
+      await this.jobQueue.run(async () => {
+        job.started = true;
+
+        if (!job.buffer) {
+          await this.loadSource(job, jobSignal);
+        }
+
+        // Decoding and transcription wait for the previous job to leave them
+        job.result = await this.processingQueue.run(
+          () => this.convertSource(job, settings, jobSignal),
+          jobSignal
+        );
+      }, jobSignal);
+
+      this.setStatus(job, 'done');
+      this.emit('file-done', { job, index: job.index, total: job.batchSize, result: job.result });
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.setStatus(job, 'cancelled');
+        return;
+      }
+
+      job.error = error;
+      this.setStatus(job, 'failed');
+      this.emit('file-error', {
+        job,
+        index: job.index,
+        total: job.batchSize,
+        name: job.name,
+        stage: error.stage,
+        error
+      });
+
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abortJob);
+      }
+      job.controller = null;
+    }
+  }
+
+  /**
+   * Abort a job if it is running and leave it out of the batch summary
+   */
+  removeJob(job) {
+    job.removed = true;
+
+    if (job.controller) {
+      job.controller.abort();
+    }
+  }
+
+  /**
+   * Download a YouTube source or read a local file into job.buffer
+   */
+  async loadSource(job, signal) {
+    const { source } = job;
+    const stage = source.type === 'youtube' ? 'download' : 'read';
+
+    try {
+      this.startStage(job, stage);
+
+      if (source.type === 'youtube') {
+        const result = await this.downloadOnce(job, signal);
+        job.buffer = result.buffer;
+        job.name = this.withSegment(result.filename.replace('.mp3', ''), source);
+
+      } else {
+        job.buffer = await this.fileHandler.readFileAsArrayBuffer(source.file);
+      }
+
+    } catch (error) {
+      // Tag the error so file-error listeners know which stage failed
+      error.stage = stage;
+      throw error;
+    }
+  }
+
+  /**
+   * Download a job's video, sharing one download between the segments of the video
+   */
+  async downloadOnce(job, signal) {
+    const { url } = job.source;
+
+    for (;;) {
+      let download = job.downloads.get(url);
+
+      if (!download) {
+        download = this.youtubeDownloader.downloadAudio(url, (message) => this.emitProgress(job, message), signal);
+        job.downloads.set(url, download);
+
+        // A failed download is tried again by the next segment that needs it
+        download.catch(() => {
+          if (job.downloads.get(url) === download) {
+            job.downloads.delete(url);
+          }
+        });
+      }
+
+      try {
+        return await download;
+      } catch (error) {
+        // The segment that started the download was cancelled, not this one
+        if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Decode, transcribe and generate MIDI for one job
+   * @returns {Promise<Object>} - { filename, midiData, noteSequence (as transcribed), arrangement (the notes as
+   *   written, see MIDIGenerator.arrange()), noteCount, duration, sourceName, sourceType, sourceUrl, audioBuffer, settings }
+   */
+  async convertSource(job, settings, signal) {
+    if (job.source.type === 'midi') {
+      return this.reprocessSource(job, settings);
+    }
+
+    // The result keeps the range actually used, for playback, re-exports and evaluation
+    if (job.source.trim) {
+      settings = { ...settings, ...job.source.trim };
+    }
+
+    let stage = 'decode';
+    const onProgress = (message) => this.emitProgress(job, message);
+
+    const startStage = (name) => {
+      stage = name;
+      this.startStage(job, stage);
+    };
+
+    try {
+      // Decode on the main thread (workers can't call decodeAudioData)
+      startStage('decode');
+      const audioBuffer = await this.audioProcessor.loadAudio(job.buffer, onProgress, signal);
+
+      // Trim, mix down, resample and transcribe in the worker
+      startStage('transcribe');
+      const { noteSequence, duration } = await this.transcriber.transcribe(
+        this.audioProcessor.toRawAudio(audioBuffer),
+        {
+          backend: settings.modelChoice,
+          startTime: settings.startTime,
+          endTime: settings.endTime,
+          chunkDuration: settings.chunkDur,
+          chunkOverlap: settings.chunkOverlap,
+          signal
+        },
+        onProgress
+      );
+
+      startStage('generate');
+      const audio = settings.pedal === 'audio' ? this.getAnalysisAudio(audioBuffer, settings) : null;
+      const source = { name: job.name, url: job.source.url || null };
+      const { arrangement, midiData } = this.buildMIDI(noteSequence, settings, onProgress, audio, source);
+
+      const filename = this.midiGenerator.resolveFilename(
+        job.name,
+        settings.customTitle,
+        job.inputIndex,
+        job.inputCount,
+        job.source.segment
+      );
+
+      job.duration = duration;
+
+      return {
+        filename: filename,
+        midiData: midiData,
+        noteSequence: noteSequence,
+        arrangement: arrangement,
+        noteCount: arrangement.notes.length,
+        duration: duration,
+        sourceName: job.name,
+        sourceType: job.source.type,
+        sourceUrl: job.source.url || null,
+        audioBuffer: job.buffer,
+        settings: settings
+      };
+
+    } catch (error) {
+      error.stage = stage;
+      throw error;
+    }
+  }
+
+  /**
+   * Run an imported MIDI file's notes through post-processing, without audio or a model.
+   * Trimming doesn't apply; pedal detection falls back to the notes
+   * @returns {Object} - Same shape as convertSource(), with sourceType 'midi' and no audioBuffer
+   */
+  reprocessSource(job, settings) {
+    let stage = 'import';
+    const onProgress = (message) => this.emitProgress(job, message);
+
+    try {
+      this.startStage(job, stage);
+      const noteSequence = this.midiImporter.toNoteSequence(job.buffer);
+      onProgress(`Imported ${noteSequence.notes.length} notes`);
+
+      stage = 'generate';
+      this.startStage(job, stage);
+      const { arrangement, midiData } = this.buildMIDI(noteSequence, settings, onProgress, null, { name: job.name });
+
+      const filename = this.midiGenerator.resolveFilename(
+        job.name + REPROCESSED_SUFFIX,
+        settings.customTitle,
+        job.inputIndex,
+        job.inputCount
+      );
+
+      job.duration = noteSequence.totalTime;
+
+      return {
+        filename: filename,
+        midiData: midiData,
+        noteSequence: noteSequence,
+        arrangement: arrangement,
+        noteCount: arrangement.notes.length,
+        duration: noteSequence.totalTime,
+        sourceName: job.name,
+        sourceType: 'midi',
+        sourceUrl: null,
+        audioBuffer: null,
+        settings: settings
+      };
+
+    } catch (error) {
+      error.stage = stage;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the post-processing settings and build the MIDI file
+   * (also used to re-export saved NoteSequences without transcribing again)
+   * @param {Object} noteSequence - Transcribed notes
+   * @param {Object} settings - Same shape as UIController.getSettings()
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} audio - Trimmed mono audio for pedal detection, see getAnalysisAudio()
+   * @param {Object} source - { name, url, transcribedAt } recorded in the file, see getMidiFileOptions()
+   * @returns {Uint8Array} - MIDI file data
+   */
+  generateMIDI(noteSequence, settings, onProgress = null, audio = null, source = {}) {
+    return this.midiGenerator.generateMIDI(noteSequence, this.getGeneratorOptions(settings, audio, source), onProgress);
+  }
+
+  /**
+   * Like generateMIDI(), also returning the arrangement the file was written from
+   * @returns {{ arrangement: Object, midiData: Uint8Array }}
+   */
+  buildMIDI(noteSequence, settings, onProgress = null, audio = null, source = {}) {
+    const options = this.getGeneratorOptions(settings, audio, source);
+    const arrangement = this.midiGenerator.arrange(noteSequence, options, onProgress);
+
+    return {
+      arrangement,
+      midiData: this.midiGenerator.writeMIDI(arrangement, options, onProgress)
+    };
+  }
+
+  /**
+   * MIDIGenerator options for UI-style settings
+   */
+  getGeneratorOptions(settings, audio = null, source = {}) {
+    return {
+      filters: getFilterOptions(settings),
+      detectTempo: settings.detectTempo,
+      quantize: settings.quantize,
+      quantizeStrength: settings.quantizeStrength,
+      keySignature: settings.keySignature,
+      transposeTo: settings.transposeTo,
+      separateHands: settings.separateHands,
+      pedal: settings.pedal,
+      velocity: getVelocityOptions(settings),
+      audio,
+      ...getMidiFileOptions(settings, source)
+    };
+  }
+
+  /**
+   * Rebuild a result's MIDI file from its arrangement (after editing in the piano roll).
+   * The notes are written as they are: filters, velocity processing, quantizing and transposing
+   * already ran, and the tempo map, key and pedal stay as converted
+   * @param {Object} result - Pipeline result
+   * @returns {Uint8Array} - MIDI file data
+   */
+  regenerateMIDI(result) {
+    return this.midiGenerator.writeMIDI(result.arrangement, this.getGeneratorOptions(result.settings, null, {
+      name: result.sourceName,
+      url: result.sourceUrl
+    }));
+  }
+
+  /**
+   * Mono audio covering the transcribed range, so its times line up with the notes
+   * @returns {{ samples: Float32Array, sampleRate: number }}
+   */
+  getAnalysisAudio(audioBuffer, settings) {
+    const rawAudio = this.audioProcessor.trimAudio(
+      this.audioProcessor.toRawAudio(audioBuffer),
+      settings.startTime,
+      settings.endTime > 0 ? settings.endTime : null
+    );
+
+    return {
+      samples: this.audioProcessor.convertToMono(rawAudio),
+      sampleRate: rawAudio.sampleRate
+    };
+  }
+
+  /**
+   * Play a result's MIDI file back through the synth, for comparing with the source
+   * @param {Object} result - Pipeline result
+   * @param {SoundFont} soundFont - Optional SoundFont to use instead of the built-in piano
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<AudioBuffer>}
+   */
+  renderAudio(result, soundFont = null, onProgress = null) {
+    return this.midiRenderer.render(result.midiData, { soundFont }, onProgress);
+  }
+
+  /**
+   * Decode a result's source audio again, trimmed to the range that was transcribed
+   * so it starts at the same time as the MIDI file
+   * @param {Object} result - Pipeline result
+   * @returns {Promise<AudioBuffer>}
+   */
+  async loadSourceAudio(result) {
+    const { settings } = result;
+    const audioBuffer = await this.audioProcessor.loadAudio(result.audioBuffer);
+
+    return this.audioProcessor.toAudioBuffer(this.audioProcessor.trimAudio(
+      this.audioProcessor.toRawAudio(audioBuffer),
+      settings.startTime,
+      settings.endTime > 0 ? settings.endTime : null
+    ));
+  }
+
+  /**
+   * Update a job's status and tell listeners
+   */
+  setStatus(job, status) {
+    job.status = status;
+    this.emit('job-status', { job });
+  }
+
+  /**
+   * Announce a stage and move the job to the matching status
+   */
+  startStage(job, stage) {
+    this.emit('stage-start', { job, stage, index: job.index, total: job.batchSize, name: job.name });
+    this.setStatus(job, STAGE_STATUS[stage]);
+  }
+
+  /**
+   * Relay a progress message from one of the stage modules
+   */
+  emitProgress(job, message) {
+    this.emit('progress', {
+      job,
+      index: job.index,
+      name: job.name,
+      message,
+      completed: null,
+      total: job.batchSize
+    });
+  }
+
+  /**
+   * Package results into a ZIP
+   * @param {Object[]} results - Results from run()
+   * @param {Object} options - { includeMidi (default true), includeMusicXML, includeNoteData,
+   *   includeRenderedAudio, soundFont (for the rendered audio), includeMp3 }
+   * @returns {Promise<Blob>}
+   */
+  async createZip(results, options = {}) {
+    this.emit('stage-start', { stage: 'package', index: null, total: results.length, name: null });
+
+    const zip = new JSZip();
+
+    // Add MIDI files
+    if (options.includeMidi !== false) {
+      results.forEach(result => {
+        zip.file(result.filename, result.midiData);
+      });
+    }
+
+    // Add sheet music
+    if (options.includeMusicXML) {
+      results.forEach(result => {
+        const xml = this.musicXMLExporter.export(result.midiData, { title: result.sourceName });
+        zip.file(this.musicXMLExporter.getFilename(result.filename), xml);
+      });
+    }
+
+    // Add the transcribed notes as JSON and CSV
+    if (options.includeNoteData) {
+      results.forEach(result => {
+        this.noteDataExporter.getFiles(result).forEach(file => zip.file(file.filename, file.data));
+      });
+    }
+
+    // Add the transcriptions rendered back to audio
+    if (options.includeRenderedAudio) {
+      for (const result of results) {
+        const rendered = await this.renderAudio(result, options.soundFont);
+        zip.file(this.midiRenderer.getFilename(result.filename), this.midiRenderer.encodeWav(rendered));
+      }
+    }
+
+    // Add MP3 files if requested (re-processed MIDI files have no audio)
+    if (options.includeMp3) {
+      results.filter(result => result.audioBuffer).forEach(result => {
+        const audioName = result.filename.replace('.mid', '.mp3');
+        zip.file(audioName, result.audioBuffer);
+      });
+    }
+
+    return zip.generateAsync({ type: 'blob' });
+  }
+
+  /**
+   * Name a source before it has been loaded
+   */
+  getSourceName(source) {
+    if (source.type === 'youtube') {
+      return this.withSegment(source.url, source);
+    }
+    if (source.type === 'file') {
+      return this.withSegment(this.fileHandler.getFileNameWithoutExtension(source.file), source);
+    }
+    if (source.type === 'midi') {
+      return this.fileHandler.getFileNameWithoutExtension(source.file);
+    }
+    return source.name;
+  }
+
+  /**
+   * Add the segment a source covers to its name
+   */
+  withSegment(name, source) {
+    return source.segment ? `${name}_${source.segment}` : name;
+  }
+
+  /**
+   * Free the transcription model and stop its worker
+   */
+  async dispose() {
+    await this.transcriber.dispose();
+  }
+}
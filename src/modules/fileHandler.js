@@ -4,7 +4,11 @@
  */
 
 export class FileHandler {
-  constructor() {
+  /**
+   * @param {string} kind - Files the upload zone accepts: 'audio' or 'midi'
+   */
+  constructor(kind = 'audio') {
+    this.kind = kind;
     this.selectedFiles = [];
     this.supportedFormats = [
       'audio/mpeg',        // MP3
@@ -61,23 +65,26 @@ export class FileHandler {
    * Handle selected files
    */
   handleFiles(files, callback) {
-    // Filter only audio files
-    const audioFiles = files.filter(file => this.isAudioFile(file));
-
-    if (audioFiles.length === 0) {
-      alert('Please select valid audio files (MP3, WAV, FLAC, M4A, OGG, etc.)');
+    // Filter only supported files
+    const isMidi = this.kind === 'midi';
+    const supportedFiles = files.filter(file => (isMidi ? this.isMidiFile(file) : this.isAudioFile(file)));
+
+    if (supportedFiles.length === 0) {
+      alert(isMidi
+        ? 'Please select MIDI files (.mid, .midi)'
+        : 'Please select valid audio files (MP3, WAV, FLAC, M4A, OGG, etc.)');
       return;
     }
 
-    if (audioFiles.length !== files.length) {
-      const skipped = files.length - audioFiles.length;
-      console.warn(`Skipped ${skipped} non-audio file(s)`);
+    if (supportedFiles.length !== files.length) {
+      const skipped = files.length - supportedFiles.length;
+      console.warn(`Skipped ${skipped} non-${this.kind} file(s)`);
     }
 
-    this.selectedFiles = audioFiles;
+    this.selectedFiles = supportedFiles;
 
     if (callback) {
-      callback(audioFiles);
+      callback(supportedFiles);
     }
   }
 
@@ -96,6 +103,13 @@ export class FileHandler {
     return audioExtensions.includes(extension);
   }
 
+  /**
+   * Check if file is a MIDI file
+   */
+  isMidiFile(file) {
+    return /\.midi?$/i.test(file.name);
+  }
+
   /**
    * Read file as ArrayBuffer
    */
@@ -0,0 +1,109 @@
+/**
+ * Filter Presets Module
+ * Named sets of note-cleanup filter settings. The built-in presets are fixed;
+ * presets the user saves are kept in localStorage.
+ */
+
+import { DEFAULT_FILTER_SETTINGS, FILTER_SETTING_KEYS } from './noteFilters.js';
+
+const STORAGE_KEY = 'bobs-midi-filter-presets';
+const SELECTED_KEY = 'bobs-midi-filter-preset';
+
+export const BUILT_IN_PRESETS = {
+  'Default': { ...DEFAULT_FILTER_SETTINGS },
+  'Clean up artifacts': {
+    ...DEFAULT_FILTER_SETTINGS,
+    velocityFloor: 15,
+    minDuration: 0.03,
+    removeGhostNotes: true,
+    mergeRetriggers: true,
+    maxNotes: 4,
+    truncateLongNotes: true,
+    maxPolyphony: 10
+  },
+  'Keep everything': {
+    ...DEFAULT_FILTER_SETTINGS,
+    minPitch: 0,
+    maxPitch: 127,
+    enableMaxNotes: false
+  }
+};
+
+export class FilterPresets {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read the user's presets; a missing or corrupt entry counts as none
+   */
+  loadUserPresets() {
+    if (!this.storage) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Ignoring unreadable filter presets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * All preset names, built-in ones first
+   */
+  getNames() {
+    return [...Object.keys(BUILT_IN_PRESETS), ...Object.keys(this.loadUserPresets()).sort()];
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, name);
+  }
+
+  /**
+   * Get a preset's settings (missing keys filled from the defaults), or null if there is no such preset
+   */
+  get(name) {
+    const preset = this.isBuiltIn(name) ? BUILT_IN_PRESETS[name] : this.loadUserPresets()[name];
+    return preset ? { ...DEFAULT_FILTER_SETTINGS, ...preset } : null;
+  }
+
+  /**
+   * Save (or overwrite) a user preset
+   * @param {string} name - Preset name; built-in names are reserved
+   * @param {Object} settings - Settings object; only the filter settings are kept
+   */
+  save(name, settings) {
+    if (this.isBuiltIn(name)) {
+      throw new Error(`"${name}" is a built-in preset`);
+    }
+
+    const presets = this.loadUserPresets();
+    presets[name] = Object.fromEntries(FILTER_SETTING_KEYS.map(key => [key, settings[key]]));
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  /**
+   * Delete a user preset
+   */
+  delete(name) {
+    const presets = this.loadUserPresets();
+    delete presets[name];
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  /**
+   * The preset chosen last time, if it still exists
+   */
+  getSelected() {
+    const name = this.storage ? this.storage.getItem(SELECTED_KEY) : null;
+    return name && this.get(name) ? name : 'Default';
+  }
+
+  setSelected(name) {
+    if (this.storage) {
+      this.storage.setItem(SELECTED_KEY, name);
+    }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Hand Separator Module
+ * Assigns transcribed piano notes to the left or right hand. Notes that start together
+ * are split as a group; the split follows each hand's recent register instead of a fixed
+ * middle-C cut, and avoids giving one hand more than it can span or hold at once.
+ */
+
+const CHORD_TOLERANCE = 0.03;     // Seconds; onsets closer than this are played together
+const MAX_SPAN = 14;              // Semitones one hand can reach (a ninth plus a little)
+const MAX_POLYPHONY = 5;          // Fingers per hand
+const ADAPT_RATE = 0.3;           // How quickly a hand's centre follows its new notes
+const MIN_SEPARATION = 7;         // Semitones the two hand centres are kept apart
+
+// Cost weights: distance from a hand's centre is the baseline, physical limits cost far more
+const SPAN_PENALTY = 10;
+const POLYPHONY_PENALTY = 20;
+
+export class HandSeparator {
+  /**
+   * Split notes between the hands
+   * @param {Array<Object>} notes - NoteSequence notes ({ pitch, startTime, endTime })
+   * @returns {{ left: Object[], right: Object[] }} - The same note objects, in onset order
+   */
+  separate(notes) {
+    const left = [];
+    const right = [];
+
+    // Start either side of middle C
+    const hands = {
+      left: { centre: 48, notes: left },
+      right: { centre: 72, notes: right }
+    };
+
+    this.groupOnsets(notes).forEach(group => {
+      const onset = group[0].startTime;
+      const leftHeld = this.heldNotes(left, onset);
+      const rightHeld = this.heldNotes(right, onset);
+
+      // Try every split of the pitch-sorted group: the lowest `split` notes go to the left hand
+      let bestSplit = 0;
+      let bestCost = Infinity;
+
+      for (let split = 0; split <= group.length; split++) {
+        const cost =
+          this.handCost(group.slice(0, split), leftHeld, hands.left.centre) +
+          this.handCost(group.slice(split), rightHeld, hands.right.centre);
+
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestSplit = split;
+        }
+      }
+
+      this.assign(hands.left, group.slice(0, bestSplit));
+      this.assign(hands.right, group.slice(bestSplit));
+      this.keepApart(hands);
+    });
+
+    return { left, right };
+  }
+
+  /**
+   * Group notes whose onsets fall within CHORD_TOLERANCE, each group sorted by pitch
+   */
+  groupOnsets(notes) {
+    const sorted = [...notes].sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+    const groups = [];
+
+    sorted.forEach(note => {
+      const group = groups[groups.length - 1];
+
+      if (group && note.startTime - group[0].startTime <= CHORD_TOLERANCE) {
+        group.push(note);
+      } else {
+        groups.push([note]);
+      }
+    });
+
+    groups.forEach(group => group.sort((a, b) => a.pitch - b.pitch));
+
+    return groups;
+  }
+
+  /**
+   * Notes already given to a hand that are still sounding at `time`
+   */
+  heldNotes(handNotes, time) {
+    const held = [];
+
+    // Only recent notes can still be sounding, so scan back from the end
+    for (let i = handNotes.length - 1; i >= 0 && held.length < MAX_POLYPHONY * 2; i--) {
+      const note = handNotes[i];
+
+      if (note.endTime > time + CHORD_TOLERANCE) {
+        held.push(note);
+      } else if (time - note.startTime > 10) {
+        break;
+      }
+    }
+
+    return held;
+  }
+
+  /**
+   * Cost of giving a hand these new notes on top of the ones it is holding
+   */
+  handCost(added, held, centre) {
+    if (added.length === 0) {
+      return 0;
+    }
+
+    const pitches = [...held, ...added].map(note => note.pitch);
+    const span = Math.max(...pitches) - Math.min(...pitches);
+
+    let cost = 0;
+    added.forEach(note => {
+      cost += Math.abs(note.pitch - centre);
+    });
+
+    cost += SPAN_PENALTY * Math.max(0, span - MAX_SPAN) * added.length;
+    cost += POLYPHONY_PENALTY * Math.max(0, pitches.length - MAX_POLYPHONY);
+
+    return cost;
+  }
+
+  /**
+   * Give notes to a hand and move its centre towards them
+   */
+  assign(hand, notes) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    notes.forEach(note => hand.notes.push(note));
+
+    const mean = notes.reduce((sum, note) => sum + note.pitch, 0) / notes.length;
+    hand.centre += (mean - hand.centre) * ADAPT_RATE;
+  }
+
+  /**
+   * Stop the hand centres drifting into each other, which would make every split a coin toss
+   */
+  keepApart(hands) {
+    const gap = hands.right.centre - hands.left.centre;
+
+    if (gap < MIN_SEPARATION) {
+      const middle = (hands.left.centre + hands.right.centre) / 2;
+      hands.left.centre = middle - MIN_SEPARATION / 2;
+      hands.right.centre = middle + MIN_SEPARATION / 2;
+    }
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * History Store Module
+ * Keeps finished conversions in IndexedDB so they survive closing the tab
+ */
+
+const DB_NAME = 'bobs-midi-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversions';
+
+// Settings that affect the output, saved with each entry
+export const SAVED_SETTINGS = [
+  'modelChoice',
+  'startTime',
+  'endTime',
+  'chunkDur',
+  'chunkOverlap',
+  'filterPreset',
+  'maxNotes',
+  'enableMaxNotes',
+  'truncateLongNotes',
+  'minDuration',
+  'velocityFloor',
+  'minPitch',
+  'maxPitch',
+  'removeGhostNotes',
+  'mergeRetriggers',
+  'maxPolyphony',
+  'detectTempo',
+  'quantize',
+  'quantizeStrength',
+  'keySignature',
+  'transposeTo',
+  'separateHands',
+  'pedal',
+  'velocityMode',
+  'fixedVelocity',
+  'velocityNormalize',
+  'velocityMin',
+  'velocityMax',
+  'velocityDynamics',
+  'velocityCurve',
+  'velocityCurvePoints',
+  'midiFormat',
+  'ppq',
+  'midiProgram',
+  'midiChannel',
+  'trackName',
+  'sequenceName',
+  'copyright',
+  'embedMetadata',
+  'customTitle'
+];
+
+/**
+ * Pick the settings that affect the output, leaving out ones that aren't set
+ * @param {Object} settings - Same shape as UIController.getSettings()
+ */
+export function getSavedSettings(settings) {
+  return Object.fromEntries(SAVED_SETTINGS
+    .filter(key => settings[key] !== undefined)
+    .map(key => [key, settings[key]]));
+}
+
+export class HistoryStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Check whether the browser has IndexedDB
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to open history: ${request.error.message}`));
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Run a request against the store inside its own transaction
+   */
+  async withStore(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Save a finished conversion
+   * @param {Object} result - Result from ConversionPipeline (carries the settings it ran with)
+   * @returns {Promise<number>} - The new entry's id
+   */
+  async add(result) {
+    const { settings } = result;
+
+    const entry = {
+      sourceName: result.sourceName,
+      sourceType: result.sourceType,
+      sourceUrl: result.sourceUrl,
+      filename: result.filename,
+      midiData: result.midiData,
+      noteSequence: result.noteSequence,
+      arrangement: result.arrangement,
+      noteCount: result.noteCount,
+      duration: result.duration,
+      settings: getSavedSettings(settings),
+      createdAt: Date.now()
+    };
+
+    try {
+      return await this.withStore('readwrite', store => store.add(entry));
+    } catch (error) {
+      throw new Error(`Saving to history failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the output of a saved conversion, e.g. after its notes were edited
+   * @param {number} id - Entry id from add()
+   * @param {Object} result - Result carrying the new { midiData, arrangement, noteCount }
+   */
+  async update(id, result) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return;
+    }
+
+    const updated = {
+      ...entry,
+      midiData: result.midiData,
+      arrangement: result.arrangement,
+      noteCount: result.noteCount
+    };
+
+    try {
+      await this.withStore('readwrite', store => store.put(updated));
+    } catch (error) {
+      throw new Error(`Updating the history failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every entry, newest first
+   */
+  async getAll() {
+    const entries = await this.withStore('readonly', store => store.index('createdAt').getAll());
+    return entries.reverse();
+  }
+
+  /**
+   * Get one entry
+   */
+  async get(id) {
+    return this.withStore('readonly', store => store.get(id));
+  }
+
+  /**
+   * Delete one entry
+   */
+  async delete(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Delete every entry
+   */
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+  }
+
+  /**
+   * Ask the browser not to evict the history under storage pressure
+   * @returns {Promise<boolean>} - Whether storage is persistent
+   */
+  async requestPersistence() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return false;
+    }
+
+    if (await navigator.storage.persisted()) {
+      return true;
+    }
+
+    return navigator.storage.persist();
+  }
+
+  /**
+   * Get the origin's storage usage (includes the offline model cache)
+   * @returns {Promise<{ usage: number, quota: number } | null>}
+   */
+  async getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+}
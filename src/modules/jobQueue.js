@@ -0,0 +1,77 @@
+/**
+ * Job Queue Module
+ * Runs async tasks with a limit on how many run at once, in the order they were queued
+ */
+
+export class JobQueue {
+  constructor(concurrency = 1) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Change the limit; extra slots are handed out straight away
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.startWaiting();
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @param {AbortSignal} signal - Rejects the task without running it if aborted while waiting
+   * @returns {Promise<*>} - The task's result
+   */
+  run(task, signal = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          this.waiting = this.waiting.filter(waiting => waiting !== entry);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      this.startWaiting();
+    });
+  }
+
+  /**
+   * Start queued tasks while there are free slots
+   */
+  startWaiting() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+
+      this.active++;
+
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.startWaiting();
+        });
+    }
+  }
+
+  /**
+   * Number of tasks running or waiting
+   */
+  get size() {
+    return this.active + this.waiting.length;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Key Detector Module
+ * Estimates the key of a NoteSequence by matching its pitch-class profile against
+ * the Krumhansl-Kessler major and minor key profiles, and names keys with the
+ * conventional spelling and signature for key-signature meta events.
+ */
+
+// Krumhansl-Kessler probe-tone ratings, starting from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const MIN_NOTES = 8;              // Fewer notes than this say nothing about the key
+const MAX_WEIGHT_DURATION = 2;    // Seconds; stops one held bass note outweighing a melody
+
+// Conventional spelling and signature (positive = sharps, negative = flats) for each tonic
+const MAJOR_KEYS = [
+  ['C', 0], ['Db', -5], ['D', 2], ['Eb', -3], ['E', 4], ['F', -1],
+  ['F#', 6], ['G', 1], ['Ab', -4], ['A', 3], ['Bb', -2], ['B', 5]
+];
+const MINOR_KEYS = [
+  ['C', -3], ['C#', 4], ['D', -1], ['Eb', -6], ['E', 1], ['F', -4],
+  ['F#', 3], ['G', -2], ['G#', 5], ['A', 0], ['Bb', -5], ['B', 2]
+];
+
+const LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };   // Signature of each letter's major key
+const MAX_ACCIDENTALS = 7;
+
+/**
+ * Every major and minor key: { name, tonic, mode, tonicName, sharps }
+ */
+export const KEYS = [
+  ...MAJOR_KEYS.map(([tonicName, sharps], tonic) => ({ tonicName, sharps, tonic, mode: 'major' })),
+  ...MINOR_KEYS.map(([tonicName, sharps], tonic) => ({ tonicName, sharps, tonic, mode: 'minor' }))
+].map(key => ({ ...key, name: `${key.tonicName} ${key.mode}` }));
+
+/**
+ * Look up a key by tonic pitch class and mode
+ */
+export function findKey(tonic, mode) {
+  return KEYS.find(key => key.tonic === ((tonic % 12) + 12) % 12 && key.mode === mode);
+}
+
+/**
+ * Parse a key or tonic name such as "Eb major", "F# minor", "Am" or "D". The key keeps the
+ * spelling it was named with ("Gb" is Gb major, six flats, not F# major), unless that would
+ * need more than seven sharps or flats
+ * @param {string} name - Key name (mode defaults to major)
+ * @returns {Object|null} - Entry from KEYS, respelled as named, or null if the name isn't a key
+ */
+export function parseKeyName(name) {
+  const match = String(name).trim().match(/^([A-Ga-g])([#b]?)\s*(m|min|minor|maj|major)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, letter, accidental, quality] = match;
+  const tonic = LETTER_PITCHES[letter.toUpperCase()] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+  const mode = ['m', 'min', 'minor'].includes(quality) ? 'minor' : 'major';
+  const key = findKey(tonic, mode);
+
+  // Sharps move a key seven places round the circle of fifths; minor keys sit three places behind
+  const tonicName = letter.toUpperCase() + accidental;
+  const sharps = LETTER_FIFTHS[letter.toUpperCase()] + (accidental === '#' ? 7 : accidental === 'b' ? -7 : 0) -
+    (mode === 'minor' ? 3 : 0);
+
+  if (Math.abs(sharps) > MAX_ACCIDENTALS) {
+    return key;
+  }
+
+  return { ...key, tonicName, sharps, name: `${tonicName} ${mode}` };
+}
+
+export class KeyDetector {
+  /**
+   * Estimate the key of a set of notes
+   * @param {Array<Object>} notes - NoteSequence notes ({ pitch, startTime, endTime, velocity })
+   * @returns {Object|null} - Entry from KEYS plus `confidence` (0-1, the profile correlation),
+   *   or null if there are too few notes to tell
+   */
+  detect(notes) {
+    if (notes.length < MIN_NOTES) {
+      return null;
+    }
+
+    const profile = this.pitchClassProfile(notes);
+
+    if (profile.every(weight => weight === 0)) {
+      return null;
+    }
+
+    let best = null;
+    let bestCorrelation = -Infinity;
+
+    KEYS.forEach(key => {
+      const reference = key.mode === 'major' ? MAJOR_PROFILE : MINOR_PROFILE;
+      // Rotate the piece's profile so the candidate tonic lines up with the reference
+      const rotated = reference.map((_, i) => profile[(i + key.tonic) % 12]);
+      const correlation = this.correlate(rotated, reference);
+
+      if (correlation > bestCorrelation) {
+        bestCorrelation = correlation;
+        best = key;
+      }
+    });
+
+    return { ...best, confidence: Math.max(0, bestCorrelation) };
+  }
+
+  /**
+   * Sum each pitch class's duration, weighted by velocity
+   */
+  pitchClassProfile(notes) {
+    const profile = new Array(12).fill(0);
+
+    notes.forEach(note => {
+      const duration = Math.min(Math.max(0, note.endTime - note.startTime), MAX_WEIGHT_DURATION);
+      const velocity = note.velocity !== undefined ? note.velocity : 64;
+      profile[note.pitch % 12] += duration * (velocity / 127);
+    });
+
+    return profile;
+  }
+
+  /**
+   * Pearson correlation of two equal-length arrays
+   */
+  correlate(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+
+    return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Magenta.js Compatibility Shim
+ * Stands in for @magenta/music's core/compat/global module (wired up in vite.config.js)
+ * so the transcription model can be loaded outside a browser window (the transcription worker and the Node CLI)
+ */
+
+const globalObject = globalThis;
+
+export const fetch = (...args) => globalObject.fetch(...args);
+export const performance = globalObject.performance;
+export const navigator = globalObject.navigator;
+export const isSafari = !!globalObject.webkitOfflineAudioContext;
+
+/**
+ * Create the offline context Magenta uses for decoding audio files
+ */
+export function getOfflineAudioContext(sampleRate) {
+  if (isSafari) {
+    return new globalObject.webkitOfflineAudioContext(1, 44100, 44100);
+  }
+
+  if (typeof globalObject.OfflineAudioContext === 'undefined') {
+    // Magenta creates this context when its audio utils are imported, but we only ever
+    // hand it decoded samples, so a placeholder is enough where Web Audio doesn't exist
+    return {
+      decodeAudioData: () => Promise.reject(new Error('Audio decoding is not available in this environment'))
+    };
+  }
+
+  return new globalObject.OfflineAudioContext(1, sampleRate, sampleRate);
+}
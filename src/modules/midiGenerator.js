@@ -5,59 +5,621 @@
 
 import { Midi } from '@tonejs/midi';
 import { saveAs } from 'file-saver';
+import { TempoDetector } from './tempoDetector.js';
+import { KeyDetector, parseKeyName } from './keyDetector.js';
+import { HandSeparator } from './handSeparator.js';
+import { PedalDetector } from './pedalDetector.js';
+import { NoteFilterChain } from './noteFilters.js';
+import { VelocityProcessor } from './velocityProcessor.js';
+import { getSavedSettings } from './historyStore.js';
+
+// Grid steps per quarter-note beat for each quantize setting
+export const QUANTIZE_SUBDIVISIONS = {
+  '1/8': 2,
+  '1/8T': 3,
+  '1/16': 4,
+  '1/16T': 6
+};
+
+// General MIDI program for Acoustic Grand Piano
+const PIANO_PROGRAM = 0;
+const SUSTAIN_CC = 64;
+const DEFAULT_PPQ = 480;
+const PERCUSSION_CHANNEL = 9;     // GM drums; the left hand skips it
+
+/**
+ * Turn UI-style settings into the MIDI file options of generateMIDI(), filling in defaults
+ * @param {Object} settings - Same shape as UIController.getSettings()
+ * @param {Object} source - { name, url, transcribedAt } of the conversion, for the sequence name and metadata
+ * @returns {Object} - format, ppq, program, channel, trackName, sequenceName, copyright, metadata
+ */
+export function getMidiFileOptions(settings, source = {}) {
+  const metadata = settings.embedMetadata === false ? null : {
+    source: source.url || source.name || null,
+    transcribedAt: source.transcribedAt || Date.now(),
+    settings: getSavedSettings(settings)
+  };
+
+  return {
+    format: settings.midiFormat === 0 ? 0 : 1,
+    ppq: settings.ppq || DEFAULT_PPQ,
+    program: settings.midiProgram !== undefined ? settings.midiProgram : PIANO_PROGRAM,
+    // Channels are numbered 1-16 in the settings
+    channel: settings.midiChannel ? settings.midiChannel - 1 : 0,
+    trackName: settings.trackName || '',
+    sequenceName: settings.sequenceName || source.name || '',
+    copyright: settings.copyright || '',
+    metadata
+  };
+}
 
 export class MIDIGenerator {
   constructor() {
     this.defaultVelocity = 64;
+    this.tempoDetector = new TempoDetector();
+    this.keyDetector = new KeyDetector();
+    this.handSeparator = new HandSeparator();
+    this.pedalDetector = new PedalDetector();
+    this.filterChain = new NoteFilterChain();
+    this.velocityProcessor = new VelocityProcessor();
   }
 
   /**
    * Convert Magenta NoteSequence to MIDI file
    * @param {Object} noteSequence - Magenta.js NoteSequence
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options: filters (NoteFilterChain options, see
+   *   getFilterOptions()), or just maxNoteDuration and enableMaxNotesFilter for the duration filter,
+   *   detectTempo, quantize ('off' or a QUANTIZE_SUBDIVISIONS key), quantizeStrength (0-100),
+   *   keySignature ('auto', 'off' or a key name to use instead of the detected one),
+   *   transposeTo ('off' or a tonic name; the output moves to that tonic in the same mode),
+   *   separateHands (write Right Hand and Left Hand tracks instead of one track),
+   *   pedal ('off', 'notes' or 'audio': infer sustain pedal from the notes, optionally refined
+   *   by the audio), audio ({ samples, sampleRate } mono audio aligned with the notes, for pedal 'audio'),
+   *   velocity (VelocityProcessor options, see getVelocityOptions(); null keeps the model's velocities),
+   *   format (SMF type 0 or 1), ppq (ticks per quarter note), program (GM program 0-127),
+   *   channel (0-15; the left hand takes the next one), trackName, sequenceName, copyright,
+   *   metadata ({ source, transcribedAt, settings } written as text events, or null for none)
+   * @param {Function} onProgress - Progress callback
    * @returns {Uint8Array} - MIDI file data
    */
-  generateMIDI(noteSequence, options = {}) {
+  generateMIDI(noteSequence, options = {}, onProgress = null) {
+    return this.writeMIDI(this.arrange(noteSequence, options, onProgress), options, onProgress);
+  }
+
+  /**
+   * Run the post-processing: tempo and key detection, sustain pedal inference, note filters,
+   * velocity processing, quantizing and transposing
+   * @param {Object} noteSequence - Magenta.js NoteSequence
+   * @param {Object} options - Same as generateMIDI()
+   * @param {Function} onProgress - Progress callback
+   * @returns {Object} - Arrangement for writeMIDI(): { notes (exactly as they will be written, in
+   *   seconds), tempo (TempoDetector.detect() result, or null for 120 BPM), key (KEYS entry to write
+   *   as the key signature, or null), pedalRegions }
+   */
+  arrange(noteSequence, options = {}, onProgress = null) {
     const {
+      filters = null,
       maxNoteDuration = null,
       enableMaxNotesFilter = true,
+      detectTempo = false,
+      quantize = 'off',
+      quantizeStrength = 100,
+      keySignature = 'off',
+      transposeTo = 'off',
+      pedal = 'off',
+      audio = null,
+      velocity = null,
+      ppq = DEFAULT_PPQ,
     } = options;
 
-    // Create new MIDI file
-    const midi = new Midi();
-    const track = midi.addTrack();
+    // Tempo comes from every onset, before any filtering thins them out
+    let tempo = null;
+
+    if (detectTempo) {
+      tempo = this.tempoDetector.detect(noteSequence.notes || []);
+
+      if (onProgress) {
+        onProgress(tempo
+          ? `Detected tempo: ${Math.round(tempo.bpm)} BPM, ${tempo.beatsPerBar}/4`
+          : 'Too few notes to detect tempo, using 120 BPM');
+      }
+    }
+
+    // Transposing needs the source key even when no signature is written
+    let key = null;
+    let transpose = 0;
+
+    if (keySignature !== 'off' || transposeTo !== 'off') {
+      key = this.resolveKey(noteSequence.notes || [], keySignature, onProgress);
+    }
+
+    if (key && transposeTo !== 'off') {
+      const target = parseKeyName(transposeTo);
+
+      if (!target) {
+        throw new Error(`Unknown transpose key: ${transposeTo}`);
+      }
 
-    // Filter and add notes
+      // Take the shorter way round, so pitches move at most a tritone, spelling the new key as named
+      transpose = ((target.tonic - key.tonic + 18) % 12) - 6;
+      const transposed = parseKeyName(`${target.tonicName} ${key.mode}`);
+
+      if (onProgress) {
+        onProgress(`Transposed ${key.name} → ${transposed.name} (${transpose >= 0 ? '+' : ''}${transpose} semitones)`);
+      }
+
+      key = transposed;
+    } else if (transposeTo !== 'off' && onProgress) {
+      onProgress('Key unknown, output not transposed');
+    }
+
+
+    // Filter notes
     let notes = noteSequence.notes || [];
 
-    if (enableMaxNotesFilter && maxNoteDuration !== null) {
-      notes = this.filterByDuration(notes, maxNoteDuration);
+    // Pedal lifts show up as long notes released together, so look before filtering them out
+    let pedalRegions = [];
+
+    if (pedal !== 'off') {
+      if (pedal === 'audio' && !audio && onProgress) {
+        onProgress('No audio available, inferring sustain pedal from notes only');
+      }
+
+      pedalRegions = this.pedalDetector.detect(notes, pedal === 'audio' ? audio : null);
+
+      if (onProgress) {
+        onProgress(`Sustain pedal: ${pedalRegions.length} pedal-down regions`);
+      }
+    }
+
+    const filterOptions = filters || {
+      maxDuration: enableMaxNotesFilter ? maxNoteDuration : null
+    };
+    notes = this.filterChain.run(notes, filterOptions, { pedalRegions }, onProgress);
+
+    if (velocity) {
+      notes = this.velocityProcessor.process(notes, velocity);
+    }
+
+    const subdivision = QUANTIZE_SUBDIVISIONS[quantize];
+    notes = this.placeNotes(notes, this.createMidi(ppq, tempo).header, {
+      grid: subdivision ? ppq / subdivision : 0,
+      strength: Math.min(100, Math.max(0, quantizeStrength)) / 100,
+      transpose
+    });
+
+    return {
+      notes,
+      tempo,
+      key: keySignature !== 'off' ? key : null,
+      pedalRegions
+    };
+  }
+
+  /**
+   * Write an arrangement as a MIDI file, leaving its notes as they are
+   * (so notes edited after arrange() are exported exactly as edited)
+   * @param {Object} arrangement - From arrange()
+   * @param {Object} options - The track and file options of generateMIDI(): separateHands, format, ppq,
+   *   program, channel, trackName, sequenceName, copyright, metadata
+   * @param {Function} onProgress - Progress callback
+   * @returns {Uint8Array} - MIDI file data
+   */
+  writeMIDI(arrangement, options = {}, onProgress = null) {
+    const {
+      separateHands = false,
+      format = 1,
+      ppq = DEFAULT_PPQ,
+      program = PIANO_PROGRAM,
+      channel = 0,
+      trackName = '',
+      sequenceName = '',
+      copyright = '',
+      metadata = null,
+    } = options;
+    const { notes, key, pedalRegions } = arrangement;
+
+    const midi = this.createMidi(ppq, arrangement.tempo);
+    midi.header.name = sequenceName;
+    this.addMetaEvents(midi.header, copyright, metadata);
+
+    if (separateHands) {
+      const { left, right } = this.handSeparator.separate(notes);
+      const rightName = trackName ? `${trackName} (Right Hand)` : 'Right Hand';
+      const leftName = trackName ? `${trackName} (Left Hand)` : 'Left Hand';
+
+      // Right hand first so notation software puts it on the upper staff
+      this.addNotes(this.addPianoTrack(midi, rightName, channel, program), right, midi.header);
+      this.addNotes(this.addPianoTrack(midi, leftName, this.nextChannel(channel), program), left, midi.header);
+
+      if (onProgress) {
+        onProgress(`Split into hands: ${right.length} right, ${left.length} left`);
+      }
+    } else {
+      this.addNotes(this.addPianoTrack(midi, trackName || 'Piano', channel, program), notes, midi.header);
+    }
+
+    // Every track's channel needs the pedal to sustain its notes
+    midi.tracks.forEach(track => this.addPedal(track, pedalRegions, midi.header));
+
+    // Convert to array (MIDI bytes)
+    let bytes = midi.toArray();
+
+    if (key) {
+      bytes = this.insertKeySignature(bytes, key);
+    }
+
+    return format === 0 ? this.toFormat0(bytes) : bytes;
+  }
+
+  /**
+   * An empty MIDI file with the given PPQ and the tempo map of a tempo analysis
+   * @param {Object|null} tempo - TempoDetector.detect() result, or null for 120 BPM
+   */
+  createMidi(ppq, tempo) {
+    // The PPQ can only be set through fromJSON
+    const midi = new Midi();
+    midi.header.fromJSON({ ...midi.header.toJSON(), ppq });
+
+    if (tempo) {
+      this.applyTempoMap(midi.header, tempo);
+    }
+
+    return midi;
+  }
+
+  /**
+   * Quantize and transpose notes against the file's tempo map, returning new notes
+   * @param {Array<Object>} notes - NoteSequence notes
+   * @param {Header} header - The file's header (tempo map and PPQ)
+   * @param {Object} placement - { grid (ticks, 0 = no quantize), strength (0-1), transpose (semitones) }
+   */
+  placeNotes(notes, header, placement) {
+    const { grid, strength, transpose } = placement;
+
+    if (!grid && !transpose) {
+      return notes;
     }
 
-    // Add each note to the track
+    return notes.map(note => {
+      let startTime = note.startTime;
+      let endTime = note.endTime;
+
+      if (grid) {
+        const startTicks = this.quantizeTicks(header.secondsToTicks(startTime), grid, strength);
+        let endTicks = this.quantizeTicks(header.secondsToTicks(endTime), grid, strength);
+
+        // A note squeezed to nothing keeps one grid step
+        if (endTicks <= startTicks) {
+          endTicks = startTicks + grid;
+        }
+
+        startTime = header.ticksToSeconds(startTicks);
+        endTime = header.ticksToSeconds(endTicks);
+      }
+
+      return { ...note, pitch: this.transposePitch(note.pitch, transpose), startTime, endTime };
+    });
+  }
+
+  /**
+   * Add notes to a track, placed in ticks so they line up with the tempo map
+   * @param {Track} track - @tonejs/midi track
+   * @param {Array<Object>} notes - NoteSequence notes
+   * @param {Header} header - The file's header (tempo map and PPQ)
+   */
+  addNotes(track, notes, header) {
     notes.forEach(note => {
-      const duration = note.endTime - note.startTime;
+      const startTicks = header.secondsToTicks(note.startTime);
 
       track.addNote({
         midi: note.pitch,
-        time: note.startTime,
-        duration: duration,
+        ticks: startTicks,
+        durationTicks: Math.max(1, header.secondsToTicks(note.endTime) - startTicks),
         velocity: note.velocity !== undefined ? note.velocity / 127 : this.defaultVelocity / 127
       });
     });
+  }
 
-    // Convert to array (MIDI bytes)
-    return midi.toArray();
+  /**
+   * Write sustain pedal regions as CC64 down/up pairs
+   */
+  addPedal(track, regions, header) {
+    regions.forEach(region => {
+      track.addCC({ number: SUSTAIN_CC, value: 1, ticks: header.secondsToTicks(region.start) });
+      track.addCC({ number: SUSTAIN_CC, value: 0, ticks: header.secondsToTicks(region.end) });
+    });
+  }
+
+  /**
+   * Add a named track on its own channel
+   * @param {number} program - General MIDI program (default Acoustic Grand Piano)
+   */
+  addPianoTrack(midi, name, channel, program = PIANO_PROGRAM) {
+    const track = midi.addTrack();
+    track.name = name;
+    track.channel = channel;
+    track.instrument.number = program;
+    return track;
+  }
+
+  /**
+   * The channel after this one, skipping the GM percussion channel
+   */
+  nextChannel(channel) {
+    const next = (channel + 1) % 16;
+    return next === PERCUSSION_CHANNEL ? next + 1 : next;
+  }
+
+  /**
+   * Record where the file came from as a copyright notice and text events at tick 0,
+   * so it can still be traced after being renamed
+   * @param {Header} header - @tonejs/midi header
+   * @param {string} copyright - Copyright notice ('' for none)
+   * @param {Object} metadata - { source (title or URL), transcribedAt (Date or timestamp), settings }, or null
+   */
+  addMetaEvents(header, copyright, metadata) {
+    if (copyright) {
+      header.meta.push({ type: 'copyrightNotice', text: copyright, ticks: 0 });
+    }
+
+    if (!metadata) {
+      return;
+    }
+
+    const lines = [];
+
+    if (metadata.source) {
+      lines.push(`Source: ${metadata.source}`);
+    }
+    if (metadata.transcribedAt) {
+      lines.push(`Transcribed: ${new Date(metadata.transcribedAt).toISOString()}`);
+    }
+    if (metadata.settings) {
+      lines.push(`Converter settings: ${JSON.stringify(metadata.settings)}`);
+    }
+
+    lines.forEach(text => header.meta.push({ type: 'text', text, ticks: 0 }));
   }
 
   /**
-   * Filter notes by maximum duration
+   * Merge every track of a type 1 file into the single track of a type 0 file.
+   * Events keep their channels; at equal ticks the tempo track's events come first.
+   * Track names after the first are dropped, since in type 0 the only one names the sequence.
+   * @param {Uint8Array} bytes - Type 1 MIDI file data
+   * @returns {Uint8Array} - Type 0 MIDI file data
    */
-  filterByDuration(notes, maxDuration) {
-    return notes.filter(note => {
-      const duration = note.endTime - note.startTime;
-      return duration <= maxDuration;
+  toFormat0(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const division = view.getUint16(12);
+    const events = [];
+    let offset = 14;
+    let trackIndex = 0;
+
+    const readVarLen = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[offset++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    while (offset < bytes.length) {
+      const length = view.getUint32(offset + 4);
+      const end = offset + 8 + length;
+      let ticks = 0;
+      let runningStatus = 0;
+      offset += 8;
+
+      while (offset < end) {
+        ticks += readVarLen();
+        const start = offset;
+        let status = bytes[offset];
+
+        if (status < 0x80) {
+          // Running status: reuse the previous status byte
+          status = runningStatus;
+        } else {
+          offset++;
+        }
+
+        if (status === 0xff) {
+          const type = bytes[offset++];
+          const dataLength = readVarLen();
+          offset += dataLength;
+
+          const isEnd = type === 0x2f;
+          const isLaterName = type === 0x03 && trackIndex > 0;
+
+          if (!isEnd && !isLaterName) {
+            events.push({ ticks, trackIndex, data: bytes.subarray(start, offset) });
+          }
+        } else if (status === 0xf0 || status === 0xf7) {
+          const dataLength = readVarLen();
+          offset += dataLength;
+          events.push({ ticks, trackIndex, data: bytes.subarray(start, offset) });
+        } else {
+          runningStatus = status;
+          const dataLength = (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+          const data = new Uint8Array(1 + dataLength);
+          data[0] = status;
+          data.set(bytes.subarray(offset, offset + dataLength), 1);
+          offset += dataLength;
+          events.push({ ticks, trackIndex, data });
+        }
+      }
+
+      offset = end;
+      trackIndex++;
+    }
+
+    // The sort is stable, so events at the same tick keep their order within a track
+    events.sort((a, b) => a.ticks - b.ticks || a.trackIndex - b.trackIndex);
+
+    const track = [];
+    let lastTicks = 0;
+
+    const writeVarLen = (value) => {
+      const groups = [value & 0x7f];
+      while ((value >>= 7) > 0) {
+        groups.unshift((value & 0x7f) | 0x80);
+      }
+      track.push(...groups);
+    };
+
+    events.forEach(event => {
+      writeVarLen(event.ticks - lastTicks);
+      lastTicks = event.ticks;
+      event.data.forEach(byte => track.push(byte));
     });
+    track.push(0x00, 0xff, 0x2f, 0x00);
+
+    const output = new Uint8Array(14 + 8 + track.length);
+    const out = new DataView(output.buffer);
+
+    output.set([0x4d, 0x54, 0x68, 0x64], 0);   // MThd
+    out.setUint32(4, 6);
+    out.setUint16(8, 0);                        // Format 0
+    out.setUint16(10, 1);                       // One track
+    out.setUint16(12, division);
+    output.set([0x4d, 0x54, 0x72, 0x6b], 14);  // MTrk
+    out.setUint32(18, track.length);
+    output.set(track, 22);
+
+    return output;
+  }
+
+  /**
+   * Add a key-signature meta event at the start of the first track.
+   * Written by hand because @tonejs/midi encodes the sharps/flats count off by 14
+   * @param {Uint8Array} bytes - MIDI file data
+   * @param {Object} key - Entry from KEYS
+   * @returns {Uint8Array} - MIDI file data with the key signature
+   */
+  insertKeySignature(bytes, key) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const trackStart = 14 + 8;     // After the header chunk and the first track's chunk header
+    const event = [0x00, 0xff, 0x59, 0x02, key.sharps & 0xff, key.mode === 'minor' ? 1 : 0];
+
+    const output = new Uint8Array(bytes.length + event.length);
+    output.set(bytes.subarray(0, trackStart));
+    output.set(event, trackStart);
+    output.set(bytes.subarray(trackStart), trackStart + event.length);
+
+    // Grow the first track's length field to cover the new event
+    new DataView(output.buffer).setUint32(18, view.getUint32(18) + event.length);
+
+    return output;
+  }
+
+  /**
+   * Pick the key to write: the one named in the settings, or the detected one
+   * @param {Array<Object>} notes - All transcribed notes
+   * @param {string} keySignature - 'auto', 'off' or a key name
+   * @param {Function} onProgress - Progress callback
+   * @returns {Object|null} - Entry from KEYS, or null if it couldn't be detected
+   */
+  resolveKey(notes, keySignature, onProgress) {
+    if (keySignature !== 'auto' && keySignature !== 'off') {
+      const key = parseKeyName(keySignature);
+
+      if (!key) {
+        throw new Error(`Unknown key signature: ${keySignature}`);
+      }
+
+      if (onProgress) {
+        onProgress(`Key: ${key.name} (set manually)`);
+      }
+
+      return key;
+    }
+
+    const key = this.keyDetector.detect(notes);
+
+    if (onProgress) {
+      onProgress(key
+        ? `Detected key: ${key.name} (${Math.round(key.confidence * 100)}% confidence)`
+        : 'Too few notes to detect the key');
+    }
+
+    return key;
+  }
+
+  /**
+   * Shift a pitch, folding it back by octaves if it leaves the MIDI range
+   */
+  transposePitch(pitch, semitones) {
+    let shifted = pitch + semitones;
+
+    while (shifted > 127) {
+      shifted -= 12;
+    }
+    while (shifted < 0) {
+      shifted += 12;
+    }
+
+    return shifted;
+  }
+
+  /**
+   * Write detected beats into the header as a tempo map and time signature,
+   * so each detected beat falls on a quarter note and detected downbeats on bar lines
+   * @param {Header} header - @tonejs/midi header
+   * @param {Object} analysis - Result of TempoDetector.detect()
+   */
+  applyTempoMap(header, analysis) {
+    const { beats, bpm, beatsPerBar, downbeat } = analysis;
+    const period = 60 / bpm;
+    const ppq = header.ppq;
+
+    // Anchor on the first beat far enough in for a lead-in of whole beats
+    let first = beats.findIndex(time => time >= period / 2);
+    if (first === -1) {
+      first = beats.length - 1;
+    }
+
+    let leadIn = Math.max(1, Math.round(beats[first] / period));
+
+    // Shift the lead-in so the downbeat lands at the start of a bar,
+    // unless that would make the lead-in tempo implausible
+    const offset = (((leadIn + downbeat - first) % beatsPerBar) + beatsPerBar) % beatsPerBar;
+    if (offset !== 0) {
+      const aligned = leadIn - offset >= 1 && offset <= beatsPerBar / 2
+        ? leadIn - offset
+        : leadIn + (beatsPerBar - offset);
+
+      const alignedBPM = (60 * aligned) / beats[first];
+      if (alignedBPM >= bpm / 2 && alignedBPM <= bpm * 2) {
+        leadIn = aligned;
+      }
+    }
+
+    const tempos = [{ ticks: 0, bpm: (60 * leadIn) / beats[first] }];
+
+    for (let i = first; i < beats.length - 1; i++) {
+      const beatBPM = 60 / (beats[i + 1] - beats[i]);
+
+      if (Math.abs(beatBPM - tempos[tempos.length - 1].bpm) >= 0.01) {
+        tempos.push({ ticks: (leadIn + i - first) * ppq, bpm: beatBPM });
+      }
+    }
+
+    header.tempos = tempos;
+    header.timeSignatures = [{ ticks: 0, timeSignature: [beatsPerBar, 4], measures: 0 }];
+    header.update();
+  }
+
+  /**
+   * Move a tick position towards the nearest grid line
+   * @param {number} ticks - Position in ticks
+   * @param {number} grid - Grid step in ticks
+   * @param {number} strength - 0 (unchanged) to 1 (fully snapped)
+   */
+  quantizeTicks(ticks, grid, strength) {
+    const snapped = Math.round(ticks / grid) * grid;
+    return Math.round(ticks + (snapped - ticks) * strength);
   }
 
   /**
@@ -80,17 +642,43 @@ export class MIDIGenerator {
   /**
    * Sanitize filename
    */
-  sanitizeFilename(filename) {
-    // Ensure .mid extension
-    if (!filename.endsWith('.mid')) {
-      filename += '.mid';
+  sanitizeFilename(filename, extension = '.mid') {
+    // Strip the extension so its dot survives the character filter
+    if (filename.endsWith(extension)) {
+      filename = filename.slice(0, -extension.length);
     }
 
     // Remove invalid characters
-    return filename
+    const baseName = filename
       .replace(/[^\w\s-]/g, '')
       .replace(/[-\s]+/g, '_')
       .substring(0, 200);
+
+    return baseName + extension;
+  }
+
+  /**
+   * Pick the output filename for a source, honouring the custom title setting
+   * @param {string} sourceName - Source name without extension (including the segment name, if any)
+   * @param {string} customTitle - Custom title ('' to use the source name)
+   * @param {number} index - Position of the source in the batch; segments of one input share its position
+   * @param {number} total - Number of sources in the batch, counting each segmented input once
+   * @param {string|null} segment - Name of the segment the source covers, kept after a custom title
+   */
+  resolveFilename(sourceName, customTitle, index, total, segment = null) {
+    let filename = sourceName;
+
+    if (customTitle && total === 1) {
+      filename = customTitle;
+    } else if (customTitle && total > 1) {
+      filename = `${customTitle}_${index + 1}`;
+    }
+
+    if (customTitle && segment) {
+      filename = `${filename}_${segment}`;
+    }
+
+    return this.sanitizeFilename(filename);
   }
 
   /**
@@ -0,0 +1,55 @@
+/**
+ * MIDI Importer Module
+ * Reads an existing MIDI file (from an earlier run or another tool) into the NoteSequence
+ * shape the transcription models produce, so it can go through post-processing and export
+ * again without audio or a model. Notes from every non-percussion track are merged; tempo,
+ * key, pedal and track layout are left for post-processing to work out afresh.
+ */
+
+import { Midi } from '@tonejs/midi';
+
+// Added to the source name so the output doesn't overwrite the file it came from
+export const REPROCESSED_SUFFIX = '_processed';
+
+const PERCUSSION_CHANNEL = 9;
+
+export class MIDIImporter {
+  /**
+   * Parse MIDI data into a NoteSequence
+   * @param {ArrayBuffer|Uint8Array} midiData - MIDI file data
+   * @returns {Object} - { notes: [{ pitch, startTime, endTime, velocity (0-127) }], totalTime }, in onset order
+   */
+  toNoteSequence(midiData) {
+    let midi;
+
+    try {
+      midi = new Midi(midiData);
+    } catch (error) {
+      // The parser throws plain strings
+      throw new Error(`MIDI import failed: ${error && error.message ? error.message : String(error)}`);
+    }
+
+    const notes = midi.tracks
+      .filter(track => track.channel !== PERCUSSION_CHANNEL)
+      .flatMap(track => track.notes)
+      .map(note => ({
+        pitch: note.midi,
+        startTime: note.time,
+        endTime: note.time + note.duration,
+        velocity: Math.round(note.velocity * 127)
+      }))
+      .sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+
+    return {
+      notes: notes,
+      totalTime: notes.reduce((end, note) => Math.max(end, note.endTime), 0)
+    };
+  }
+
+  /**
+   * Check a filename's extension for MIDI
+   */
+  isMidiName(name) {
+    return /\.midi?$/i.test(name);
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * MIDI Renderer Module
+ * Renders a generated MIDI file back to audio in an OfflineAudioContext, so the
+ * transcription can be heard next to the source. Notes are played by a built-in
+ * piano-like synth, or by a SoundFont when one is loaded. The sustain pedal (CC64)
+ * holds notes the way it would on a piano.
+ */
+
+import { Midi } from '@tonejs/midi';
+import { saveAs } from 'file-saver';
+
+const DEFAULT_SAMPLE_RATE = 44100;
+const SUSTAIN_CC = 64;
+const RELEASE_TAIL = 2;           // Seconds rendered after the last note-off
+const MASTER_GAIN = 0.5;
+
+// Built-in synth
+const HARMONICS = 24;
+const BASE_DECAY = 4;             // Seconds (time constant) for the lowest key...
+const DECAY_HALVING = 26;         // ...halved every this many semitones up
+const ATTACK = 0.004;             // Seconds
+const RELEASE = 0.08;             // Time constant after the key (and pedal) come up
+const UNISON_DETUNE = 2;          // Cents between the two "strings" of each note
+
+// SoundFont envelopes: exponential segments reach their target after about this many time constants
+const TIME_CONSTANTS = 5;
+
+export class MIDIRenderer {
+  constructor() {
+    // SoundFont samples turned into AudioBuffers, reused across renders
+    this.sampleBuffers = new WeakMap();
+  }
+
+  /**
+   * Render MIDI data to audio
+   * @param {Uint8Array} midiData - MIDI file data
+   * @param {Object} options - { soundFont (SoundFont, or null for the built-in synth), sampleRate }
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<AudioBuffer>} - Stereo audio starting at the MIDI file's time 0
+   */
+  async render(midiData, options = {}, onProgress = null) {
+    const { soundFont = null, sampleRate = DEFAULT_SAMPLE_RATE } = options;
+
+    try {
+      const notes = this.collectNotes(new Midi(midiData));
+      const end = notes.reduce((latest, note) => Math.max(latest, note.end), 0);
+      const length = Math.ceil((end + RELEASE_TAIL) * sampleRate);
+
+      if (onProgress) {
+        onProgress(`Rendering ${notes.length} notes with ${soundFont ? soundFont.name : 'the built-in piano'}...`);
+      }
+
+      const context = new OfflineAudioContext(2, length, sampleRate);
+
+      // Dense chords add up; the compressor keeps them from clipping
+      const compressor = context.createDynamicsCompressor();
+      compressor.threshold.value = -12;
+      compressor.ratio.value = 4;
+      compressor.connect(context.destination);
+
+      const master = context.createGain();
+      master.gain.value = MASTER_GAIN;
+      master.connect(compressor);
+
+      const waves = new Map();
+
+      notes.forEach(note => {
+        if (soundFont) {
+          this.playSample(context, master, note, soundFont);
+        } else {
+          this.playSynth(context, master, note, waves);
+        }
+      });
+
+      return await context.startRendering();
+
+    } catch (error) {
+      throw new Error(`Rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flatten every track's notes, each lasting until the pedal lets go of it
+   * @returns {Object[]} - { pitch, velocity (0-1), program, start, end } in seconds
+   */
+  collectNotes(midi) {
+    const notes = [];
+
+    midi.tracks.forEach(track => {
+      const pedal = (track.controlChanges[SUSTAIN_CC] || [])
+        .map(cc => ({ time: cc.time, down: cc.value >= 0.5 }))
+        .sort((a, b) => a.time - b.time);
+
+      track.notes.forEach(note => {
+        notes.push({
+          pitch: note.midi,
+          velocity: note.velocity,
+          program: track.instrument.number,
+          start: note.time,
+          end: this.sustainedEnd(note.time + note.duration, pedal)
+        });
+      });
+    });
+
+    // Striking a key again damps the sound it was still making
+    const byPitch = new Map();
+    notes
+      .sort((a, b) => a.start - b.start)
+      .forEach(note => {
+        const previous = byPitch.get(note.pitch);
+        if (previous && previous.end > note.start) {
+          previous.end = Math.max(previous.start + ATTACK, note.start);
+        }
+        byPitch.set(note.pitch, note);
+      });
+
+    return notes;
+  }
+
+  /**
+   * When a note released with the pedal down actually stops
+   */
+  sustainedEnd(end, pedal) {
+    let down = false;
+    let i = 0;
+
+    for (; i < pedal.length && pedal[i].time <= end; i++) {
+      down = pedal[i].down;
+    }
+
+    if (!down) {
+      return end;
+    }
+
+    const lift = pedal.slice(i).find(event => !event.down);
+    return lift ? lift.time : end;
+  }
+
+  /**
+   * Built-in voice: two slightly detuned oscillators with a piano-like spectrum,
+   * a filter that darkens as the note decays, and a decay that is shorter up high
+   */
+  playSynth(context, destination, note, waves) {
+    const frequency = 440 * 2 ** ((note.pitch - 69) / 12);
+    const decay = BASE_DECAY * 2 ** (-(note.pitch - 21) / DECAY_HALVING);
+    const end = Math.max(note.end, note.start + ATTACK * 2);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(Math.min(context.sampleRate / 2, frequency * (3 + 12 * note.velocity)), note.start);
+    filter.frequency.setTargetAtTime(frequency * 2, note.start, decay / 2);
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0, note.start);
+    gain.gain.linearRampToValueAtTime(0.3 * note.velocity ** 1.6, note.start + ATTACK);
+    gain.gain.setTargetAtTime(0, note.start + ATTACK, decay);
+    gain.gain.setTargetAtTime(0, end, RELEASE);
+
+    filter.connect(gain);
+    gain.connect(destination);
+
+    [-UNISON_DETUNE / 2, UNISON_DETUNE / 2].forEach(detune => {
+      const oscillator = context.createOscillator();
+      oscillator.setPeriodicWave(this.getWave(context, note.pitch, waves));
+      oscillator.frequency.value = frequency;
+      oscillator.detune.value = detune;
+      oscillator.connect(filter);
+      oscillator.start(note.start);
+      oscillator.stop(end + RELEASE * TIME_CONSTANTS);
+    });
+  }
+
+  /**
+   * Harmonic spectrum for a register: bass notes are rich, treble notes nearly pure
+   */
+  getWave(context, pitch, waves) {
+    const register = Math.floor(pitch / 12);
+
+    if (!waves.has(register)) {
+      const real = new Float32Array(HARMONICS + 1);
+      const imag = new Float32Array(HARMONICS + 1);
+      const rolloff = 1 + register * 0.15;
+
+      for (let n = 1; n <= HARMONICS; n++) {
+        imag[n] = 1 / n ** rolloff;
+      }
+
+      waves.set(register, context.createPeriodicWave(real, imag));
+    }
+
+    return waves.get(register);
+  }
+
+  /**
+   * SoundFont voice: each matching zone's sample, pitched, looped and enveloped
+   */
+  playSample(context, destination, note, soundFont) {
+    const velocity = Math.max(1, Math.round(note.velocity * 127));
+
+    soundFont.getVoices(note.program, note.pitch, velocity).forEach(voice => {
+      const source = context.createBufferSource();
+      source.buffer = this.getSampleBuffer(voice);
+      source.playbackRate.value = voice.playbackRate;
+
+      if (voice.loop) {
+        source.loop = true;
+        source.loopStart = voice.loop.start;
+        source.loopEnd = voice.loop.end;
+      }
+
+      const gain = context.createGain();
+      this.scheduleEnvelope(gain.gain, voice.envelope, voice.gain * note.velocity ** 2, note.start, note.end);
+
+      let output = gain;
+      if (voice.pan !== 0) {
+        const panner = context.createStereoPanner();
+        panner.pan.value = voice.pan;
+        gain.connect(panner);
+        output = panner;
+      }
+
+      source.connect(gain);
+      output.connect(destination);
+      source.start(note.start);
+      source.stop(note.end + voice.envelope.release + 0.05);
+    });
+  }
+
+  /**
+   * Delay, attack, hold and decay to sustain, cut short by the release at `end`
+   */
+  scheduleEnvelope(param, envelope, peak, start, end) {
+    const attackStart = start + envelope.delay;
+    const holdStart = attackStart + envelope.attack;
+    const decayStart = holdStart + envelope.hold;
+
+    param.setValueAtTime(0, start);
+
+    if (attackStart < end) {
+      param.setValueAtTime(0, attackStart);
+      param.linearRampToValueAtTime(peak, Math.min(holdStart, end));
+    }
+    if (decayStart < end) {
+      param.setTargetAtTime(peak * envelope.sustain, decayStart, envelope.decay / TIME_CONSTANTS);
+    }
+
+    param.setTargetAtTime(0, end, envelope.release / TIME_CONSTANTS);
+  }
+
+  getSampleBuffer(voice) {
+    let buffer = this.sampleBuffers.get(voice.data);
+
+    if (!buffer) {
+      buffer = new AudioBuffer({ length: voice.data.length, sampleRate: voice.sampleRate });
+      buffer.copyToChannel(voice.data, 0);
+      this.sampleBuffers.set(voice.data, buffer);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Encode audio as a 16-bit PCM WAV file
+   * @param {AudioBuffer} audioBuffer - Rendered audio
+   * @returns {Uint8Array} - WAV file data
+   */
+  encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const { length, sampleRate } = audioBuffer;
+    const dataSize = length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                          // fmt chunk size
+    view.setUint16(20, 1, true);                           // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true);   // byte rate
+    view.setUint16(32, channels * 2, true);                // block align
+    view.setUint16(34, 16, true);                          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let channel = 0; channel < channels; channel++) {
+      data.push(audioBuffer.getChannelData(channel));
+    }
+
+    // Interleave the channels
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = Math.max(-1, Math.min(1, data[channel][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        offset += 2;
+      }
+    }
+
+    return new Uint8Array(view.buffer);
+  }
+
+  /**
+   * Save rendered audio to disk as WAV
+   */
+  save(audioBuffer, filename) {
+    const blob = new Blob([this.encodeWav(audioBuffer)], { type: 'audio/wav' });
+    saveAs(blob, filename);
+  }
+
+  /**
+   * Name the rendered audio after its MIDI file
+   */
+  getFilename(midiFilename) {
+    return midiFilename.replace(/\.mid$/i, '') + '.wav';
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Model Checkpoint Module
+ * Magenta's hosted OnsetsAndFrames checkpoint. Free of Vite-only imports, so
+ * scripts/fetch-model.js can read it under plain Node when mirroring the checkpoint.
+ */
+
+export const REMOTE_CHECKPOINT_URL =
+  'https://storage.googleapis.com/magentadata/js/checkpoints/transcription/onsets_frames_uni';
@@ -0,0 +1,317 @@
+/**
+ * MusicXML Exporter Module
+ * Turns a generated MIDI file into a two-staff piano score in MusicXML.
+ * Working from the MIDI means the score gets everything post-processing did:
+ * the tempo map that puts beats on quarter notes, the time and key signature,
+ * the hand split and the cleaned-up notes. Positions are rounded to sixteenth
+ * notes, and each staff is written as one voice, so a note held past the next
+ * onset in the same hand is cut off there.
+ */
+
+import { Midi } from '@tonejs/midi';
+import { saveAs } from 'file-saver';
+
+const DIVISIONS = 4;              // Per quarter note: sixteenth-note resolution
+const TREBLE_SPLIT = 60;          // Lowest pitch on the treble staff when there is only one track
+
+// Note values that fit in DIVISIONS units, longest first: [duration, type, dotted]
+const NOTE_VALUES = [
+  [16, 'whole', false],
+  [12, 'half', true],
+  [8, 'half', false],
+  [6, 'quarter', true],
+  [4, 'quarter', false],
+  [3, 'eighth', true],
+  [2, 'eighth', false],
+  [1, '16th', false]
+];
+
+// Major key with each signature from 7 flats to 7 sharps, as @tonejs/midi names them
+const SIGNATURE_NAMES = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+
+const SHARP_SPELLING = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0],
+  ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]];
+const FLAT_SPELLING = [['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0],
+  ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]];
+
+export class MusicXMLExporter {
+  /**
+   * Convert MIDI data to a MusicXML score
+   * @param {Uint8Array} midiData - MIDI file from MIDIGenerator.generateMIDI()
+   * @param {Object} options - { title }
+   * @returns {string} - MusicXML document
+   */
+  export(midiData, options = {}) {
+    const midi = new Midi(midiData);
+    const { header } = midi;
+
+    const [beats, beatType] = header.timeSignatures.length > 0
+      ? header.timeSignatures[0].timeSignature
+      : [4, 4];
+    const measureLength = (beats * DIVISIONS * 4) / beatType;
+
+    const keySignature = header.keySignatures[0];
+    const fifths = keySignature ? SIGNATURE_NAMES.indexOf(keySignature.key) - 7 : 0;
+    const mode = keySignature ? keySignature.scale : 'major';
+    const spelling = fifths < 0 ? FLAT_SPELLING : SHARP_SPELLING;
+
+    const toDivisions = (ticks) => Math.round((ticks / header.ppq) * DIVISIONS);
+    const staves = this.splitStaves(midi.tracks).map(notes => this.buildChords(notes, toDivisions));
+
+    const end = Math.max(1, ...staves.flat().map(chord => chord.start + chord.duration));
+    const measureCount = Math.ceil(end / measureLength);
+    const staffMeasures = staves.map(chords => this.fillMeasures(chords, measureLength, measureCount));
+
+    const measures = [];
+    for (let m = 0; m < measureCount; m++) {
+      const parts = [];
+
+      if (m === 0) {
+        parts.push(this.attributesXML(fifths, mode, beats, beatType));
+        parts.push(this.tempoXML(this.typicalTempo(header.tempos)));
+      }
+
+      staffMeasures.forEach((staff, index) => {
+        if (index > 0) {
+          parts.push(`      <backup><duration>${measureLength}</duration></backup>`);
+        }
+        staff[m].forEach(item => parts.push(this.itemXML(item, index + 1, spelling)));
+      });
+
+      measures.push(`    <measure number="${m + 1}">\n${parts.join('\n')}\n    </measure>`);
+    }
+
+    const title = this.escape(options.title || 'Transcription');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
+<score-partwise version="3.1">
+  <work><work-title>${title}</work-title></work>
+  <identification>
+    <encoding>
+      <software>Bob's MIDI Converter</software>
+      <encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date>
+    </encoding>
+  </identification>
+  <part-list>
+    <score-part id="P1"><part-name>Piano</part-name></score-part>
+  </part-list>
+  <part id="P1">
+${measures.join('\n')}
+  </part>
+</score-partwise>
+`;
+  }
+
+  /**
+   * Treble and bass staff notes: the hand tracks if there are two, otherwise split at middle C
+   */
+  splitStaves(tracks) {
+    const noteTracks = tracks.filter(track => track.notes.length > 0);
+
+    if (noteTracks.length >= 2) {
+      // MIDIGenerator writes the right hand first
+      return [noteTracks[0].notes, noteTracks.slice(1).flatMap(track => track.notes)];
+    }
+
+    const notes = noteTracks.length > 0 ? noteTracks[0].notes : [];
+    return [
+      notes.filter(note => note.midi >= TREBLE_SPLIT),
+      notes.filter(note => note.midi < TREBLE_SPLIT)
+    ];
+  }
+
+  /**
+   * Group notes that start together into chords, each lasting until its longest
+   * note ends or the next chord starts, whichever comes first
+   * @returns {Array<{ start: number, duration: number, pitches: number[] }>} - In divisions
+   */
+  buildChords(notes, toDivisions) {
+    const byStart = new Map();
+
+    notes.forEach(note => {
+      const start = toDivisions(note.ticks);
+      const end = Math.max(start + 1, toDivisions(note.ticks + note.durationTicks));
+      const chord = byStart.get(start) || { start, end, pitches: new Set() };
+
+      chord.end = Math.max(chord.end, end);
+      chord.pitches.add(note.midi);
+      byStart.set(start, chord);
+    });
+
+    const chords = [...byStart.values()].sort((a, b) => a.start - b.start);
+
+    return chords.map((chord, i) => {
+      const next = chords[i + 1];
+      const end = next ? Math.min(chord.end, next.start) : chord.end;
+
+      return {
+        start: chord.start,
+        duration: end - chord.start,
+        pitches: [...chord.pitches].sort((a, b) => a - b)
+      };
+    });
+  }
+
+  /**
+   * Lay chords and the rests between them out in measures, splitting anything that
+   * crosses a bar line (or has no single note value) into tied notes
+   * @returns {Array<Array<Object>>} - Per measure: { duration, type, dotted, pitches, tieStart, tieStop, wholeRest }
+   */
+  fillMeasures(chords, measureLength, measureCount) {
+    const total = measureLength * measureCount;
+    const timeline = [];
+    let position = 0;
+
+    chords.forEach(chord => {
+      if (chord.start > position) {
+        timeline.push({ start: position, duration: chord.start - position, pitches: null });
+      }
+      timeline.push(chord);
+      position = chord.start + chord.duration;
+    });
+
+    if (position < total) {
+      timeline.push({ start: position, duration: total - position, pitches: null });
+    }
+
+    const measures = Array.from({ length: measureCount }, () => []);
+
+    timeline.forEach(event => {
+      const pieces = [];
+      let start = event.start;
+      const end = event.start + event.duration;
+
+      // Cut at bar lines, then into note values that exist
+      while (start < end) {
+        const barEnd = (Math.floor(start / measureLength) + 1) * measureLength;
+        let remaining = Math.min(end, barEnd) - start;
+        const measure = Math.floor(start / measureLength);
+
+        while (remaining > 0) {
+          const [duration, type, dotted] = NOTE_VALUES.find(([value]) => value <= remaining);
+          pieces.push({ measure, duration, type, dotted, pitches: event.pitches });
+          remaining -= duration;
+          start += duration;
+        }
+      }
+
+      pieces.forEach((piece, i) => {
+        const tied = piece.pitches !== null;
+        measures[piece.measure].push({
+          ...piece,
+          tieStart: tied && i < pieces.length - 1,
+          tieStop: tied && i > 0
+        });
+      });
+    });
+
+    // A measure of nothing but rests becomes one whole-measure rest
+    return measures.map(items => (items.every(item => item.pitches === null)
+      ? [{ duration: measureLength, pitches: null, wholeRest: true }]
+      : items));
+  }
+
+  /**
+   * Key, time signature, staves and clefs for the first measure
+   */
+  attributesXML(fifths, mode, beats, beatType) {
+    return `      <attributes>
+        <divisions>${DIVISIONS}</divisions>
+        <key><fifths>${fifths}</fifths><mode>${mode}</mode></key>
+        <time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>
+        <staves>2</staves>
+        <clef number="1"><sign>G</sign><line>2</line></clef>
+        <clef number="2"><sign>F</sign><line>4</line></clef>
+      </attributes>`;
+  }
+
+  /**
+   * Metronome mark
+   */
+  tempoXML(bpm) {
+    const rounded = Math.round(bpm);
+    return `      <direction placement="above">
+        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${rounded}</per-minute></metronome></direction-type>
+        <staff>1</staff>
+        <sound tempo="${rounded}"/>
+      </direction>`;
+  }
+
+  /**
+   * Median of the tempo map, so a lead-in tempo doesn't become the marking
+   */
+  typicalTempo(tempos) {
+    if (tempos.length === 0) {
+      return 120;
+    }
+
+    const sorted = tempos.map(tempo => tempo.bpm).sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * One rest, note or chord (as consecutive <note> elements)
+   */
+  itemXML(item, staff, spelling) {
+    // Voice 1 on the treble staff, voice 5 on the bass staff, as MuseScore numbers them
+    const voice = staff === 1 ? 1 : 5;
+
+    if (item.pitches === null) {
+      if (item.wholeRest) {
+        return `      <note><rest measure="yes"/><duration>${item.duration}</duration><voice>${voice}</voice><staff>${staff}</staff></note>`;
+      }
+
+      return `      <note><rest/><duration>${item.duration}</duration><voice>${voice}</voice><type>${item.type}</type>${item.dotted ? '<dot/>' : ''}<staff>${staff}</staff></note>`;
+    }
+
+    return item.pitches.map((pitch, i) => {
+      const [step, alter] = spelling[pitch % 12];
+      const octave = Math.floor(pitch / 12) - 1;
+      const ties = [];
+      const tied = [];
+
+      if (item.tieStop) {
+        ties.push('<tie type="stop"/>');
+        tied.push('<tied type="stop"/>');
+      }
+      if (item.tieStart) {
+        ties.push('<tie type="start"/>');
+        tied.push('<tied type="start"/>');
+      }
+
+      return '      <note>' +
+        (i > 0 ? '<chord/>' : '') +
+        `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>` +
+        `<duration>${item.duration}</duration>` +
+        ties.join('') +
+        `<voice>${voice}</voice><type>${item.type}</type>${item.dotted ? '<dot/>' : ''}` +
+        `<staff>${staff}</staff>` +
+        (tied.length > 0 ? `<notations>${tied.join('')}</notations>` : '') +
+        '</note>';
+    }).join('\n');
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Save a MusicXML document to disk
+   */
+  save(xml, filename) {
+    const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+    saveAs(blob, filename);
+  }
+
+  /**
+   * Name the score after its MIDI file
+   */
+  getFilename(midiFilename) {
+    return midiFilename.replace(/\.mid$/i, '') + '.musicxml';
+  }
+}
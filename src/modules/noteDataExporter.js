@@ -0,0 +1,143 @@
+/**
+ * Note Data Exporter Module
+ * Writes a conversion's notes as JSON (with file-level metadata) and as a flat CSV with
+ * one row per note, for analysis scripts that shouldn't have to parse MIDI. Both hold the
+ * notes exactly as written to the MIDI file (after post-processing and any edits), and the
+ * track column says which MIDI track each note is on.
+ */
+
+import { saveAs } from 'file-saver';
+import { HandSeparator } from './handSeparator.js';
+import { getSavedSettings } from './historyStore.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const CSV_COLUMNS = ['pitch', 'note_name', 'onset', 'offset', 'duration', 'velocity', 'track'];
+
+export class NoteDataExporter {
+  constructor() {
+    this.handSeparator = new HandSeparator();
+  }
+
+  /**
+   * Build the JSON export
+   * @param {Object} result - Pipeline result or history entry ({ arrangement, sourceName, sourceType, sourceUrl,
+   *   duration, settings })
+   * @returns {string} - JSON text: { source, model, duration, settings, exportedAt, noteSequence },
+   *   where model is the modelChoice id and noteSequence holds the notes as written
+   */
+  toJSON(result) {
+    const settings = result.settings || {};
+
+    return JSON.stringify({
+      source: {
+        name: result.sourceName || null,
+        type: result.sourceType || null,
+        url: result.sourceUrl || null
+      },
+      model: settings.modelChoice || null,
+      duration: result.duration !== undefined ? result.duration : null,
+      settings: getSavedSettings(settings),
+      exportedAt: new Date().toISOString(),
+      noteSequence: this.getNoteSequence(result)
+    }, null, 2);
+  }
+
+  /**
+   * Build the CSV export, one row per note in onset order
+   * @param {Object} result - Pipeline result or history entry ({ arrangement, settings })
+   * @returns {string} - CSV text with a header row
+   */
+  toCSV(result) {
+    const { notes } = this.getNoteSequence(result);
+    // Split in the arrangement's own order, as the MIDI file was
+    const tracks = this.assignTracks(this.getWrittenNotes(result), result.settings || {});
+
+    const rows = notes
+      .map(note => [
+        note.pitch,
+        this.noteName(note.pitch),
+        this.round(note.startTime),
+        this.round(note.endTime),
+        this.round(note.endTime - note.startTime),
+        note.velocity !== undefined ? note.velocity : '',
+        tracks.get(note)
+      ].join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * The notes written to the result's MIDI file (see MIDIGenerator.arrange()), in the order written.
+   * History entries saved before the arrangement was kept only have the transcribed notes
+   */
+  getWrittenNotes(result) {
+    return result.arrangement ? result.arrangement.notes : result.noteSequence.notes;
+  }
+
+  /**
+   * The notes written to the result's MIDI file, in onset order
+   */
+  getNoteSequence(result) {
+    const notes = [...this.getWrittenNotes(result)].sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+
+    return {
+      notes: notes,
+      totalTime: notes.reduce((end, note) => Math.max(end, note.endTime), 0)
+    };
+  }
+
+  /**
+   * Track name for each note, as MIDIGenerator.writeMIDI() splits them
+   * @returns {Map<Object, string>}
+   */
+  assignTracks(notes, settings) {
+    const tracks = new Map();
+
+    if (settings.separateHands) {
+      const { left, right } = this.handSeparator.separate(notes);
+      right.forEach(note => tracks.set(note, 'Right Hand'));
+      left.forEach(note => tracks.set(note, 'Left Hand'));
+    } else {
+      notes.forEach(note => tracks.set(note, 'Piano'));
+    }
+
+    return tracks;
+  }
+
+  /**
+   * Scientific pitch name, e.g. 60 -> C4
+   */
+  noteName(pitch) {
+    return `${NOTE_NAMES[pitch % 12]}${Math.floor(pitch / 12) - 1}`;
+  }
+
+  /**
+   * Round seconds to the microsecond so subtraction noise doesn't reach the CSV
+   */
+  round(seconds) {
+    return Math.round(seconds * 1e6) / 1e6;
+  }
+
+  /**
+   * Save both exports to disk, named after the MIDI file
+   */
+  save(result) {
+    const files = this.getFiles(result);
+
+    files.forEach(file => {
+      saveAs(new Blob([file.data], { type: file.type }), file.filename);
+    });
+  }
+
+  /**
+   * The JSON and CSV exports as { filename, data, type }
+   */
+  getFiles(result) {
+    const base = result.filename.replace(/\.mid$/i, '');
+
+    return [
+      { filename: `${base}.json`, data: this.toJSON(result), type: 'application/json' },
+      { filename: `${base}.csv`, data: this.toCSV(result), type: 'text/csv' }
+    ];
+  }
+}
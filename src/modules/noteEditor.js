@@ -0,0 +1,127 @@
+/**
+ * Note Editor Module
+ * Holds a result's notes while they are edited in the piano roll, with multi-level
+ * undo and redo. Each change saves a copy of the notes first, so a whole drag or a
+ * bulk delete undoes in one step.
+ */
+
+const MAX_HISTORY = 100;          // Undo steps kept
+
+export const MIN_NOTE_LENGTH = 0.02;   // Seconds; resizing stops here
+export const DEFAULT_VELOCITY = 80;    // For added notes
+
+export class NoteEditor {
+  /**
+   * @param {Object} noteSequence - NoteSequence to edit; it isn't modified
+   */
+  constructor(noteSequence) {
+    this.noteSequence = noteSequence;
+    this.notes = this.copyNotes(noteSequence.notes || []);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange = null;
+  }
+
+  copyNotes(notes) {
+    return notes.map(note => ({ ...note }));
+  }
+
+  /**
+   * Save the current notes as an undo step, before changing them
+   */
+  checkpoint() {
+    this.undoStack.push(this.copyNotes(this.notes));
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Tell the listener a change is complete
+   */
+  commit() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * @param {Object} note - { pitch, startTime, endTime, velocity }
+   * @returns {Object} - The added note
+   */
+  addNote(note) {
+    this.checkpoint();
+    this.notes.push(note);
+    this.commit();
+    return note;
+  }
+
+  deleteNotes(notes) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    const deleted = new Set(notes);
+    this.checkpoint();
+    this.notes = this.notes.filter(note => !deleted.has(note));
+    this.commit();
+  }
+
+  setVelocity(notes, velocity) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    this.checkpoint();
+    notes.forEach(note => {
+      note.velocity = velocity;
+    });
+    this.commit();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  isEdited() {
+    return this.undoStack.length > 0;
+  }
+
+  undo() {
+    if (!this.canUndo()) {
+      return;
+    }
+
+    this.redoStack.push(this.notes);
+    this.notes = this.undoStack.pop();
+    this.commit();
+  }
+
+  redo() {
+    if (!this.canRedo()) {
+      return;
+    }
+
+    this.undoStack.push(this.notes);
+    this.notes = this.redoStack.pop();
+    this.commit();
+  }
+
+  /**
+   * The edited notes as a NoteSequence, in onset order
+   */
+  getNoteSequence() {
+    const notes = this.copyNotes(this.notes).sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+
+    return {
+      ...this.noteSequence,
+      notes: notes,
+      totalTime: notes.reduce((end, note) => Math.max(end, note.endTime), this.noteSequence.totalTime || 0)
+    };
+  }
+}
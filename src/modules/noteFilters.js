@@ -0,0 +1,274 @@
+/**
+ * Note Filters Module
+ * Cleans up transcribed notes with an ordered chain of filters. Each filter can be
+ * switched off, and reports how many notes it removed (or shortened) to the log.
+ */
+
+const PEDAL_RELEASE_TOLERANCE = 0.1;  // Seconds between a note-off and the pedal lift that caused it
+const GHOST_WINDOW = 0.05;            // Seconds; a ghost starts this close to the loud note
+const GHOST_RATIO = 0.5;              // ...at less than this fraction of its velocity
+const GHOST_INTERVALS = [1, 12, 19, 24];  // Semitones: neighbour key, octave, twelfth, two octaves
+const RETRIGGER_GAP = 0.05;           // Seconds; a same-pitch onset this soon after a note-off is the same note
+
+/**
+ * Filter settings as the UI and history store them, with their defaults
+ * (maxNotes and enableMaxNotes predate the chain and keep their names)
+ */
+export const DEFAULT_FILTER_SETTINGS = {
+  minPitch: 21,
+  maxPitch: 108,
+  velocityFloor: 0,
+  minDuration: 0,
+  removeGhostNotes: false,
+  mergeRetriggers: false,
+  maxNotes: 0.2,
+  enableMaxNotes: true,
+  truncateLongNotes: false,
+  maxPolyphony: 0
+};
+
+export const FILTER_SETTING_KEYS = Object.keys(DEFAULT_FILTER_SETTINGS);
+
+/**
+ * Turn UI-style settings into NoteFilterChain options, filling in defaults
+ * @param {Object} settings - Same shape as UIController.getSettings()
+ * @returns {Object} - Options for NoteFilterChain.run()
+ */
+export function getFilterOptions(settings) {
+  const value = (key) => (settings[key] !== undefined && !Number.isNaN(settings[key])
+    ? settings[key]
+    : DEFAULT_FILTER_SETTINGS[key]);
+
+  return {
+    minPitch: value('minPitch'),
+    maxPitch: value('maxPitch'),
+    velocityFloor: value('velocityFloor'),
+    minDuration: value('minDuration'),
+    removeGhostNotes: value('removeGhostNotes'),
+    mergeRetriggers: value('mergeRetriggers'),
+    maxDuration: value('enableMaxNotes') ? value('maxNotes') : null,
+    truncateLong: value('truncateLongNotes'),
+    maxPolyphony: value('maxPolyphony')
+  };
+}
+
+export class NoteFilterChain {
+  constructor() {
+    // Cheap per-note checks first, so the filters that compare notes see less noise;
+    // the polyphony cap goes last so it only counts notes that survived everything else
+    this.filters = [
+      {
+        label: 'Pitch range',
+        enabled: (options) => options.minPitch > 0 || options.maxPitch < 127,
+        apply: (notes, options) => this.filterPitchRange(notes, options.minPitch, options.maxPitch)
+      },
+      {
+        label: 'Velocity floor',
+        enabled: (options) => options.velocityFloor > 0,
+        apply: (notes, options) => notes.filter(note => this.velocityOf(note) >= options.velocityFloor)
+      },
+      {
+        label: 'Minimum duration',
+        enabled: (options) => options.minDuration > 0,
+        apply: (notes, options) => notes.filter(note => note.endTime - note.startTime >= options.minDuration)
+      },
+      {
+        label: 'Ghost notes',
+        enabled: (options) => options.removeGhostNotes,
+        apply: (notes) => this.removeGhostNotes(notes)
+      },
+      {
+        label: 'Retrigger merge',
+        verb: 'merged',
+        enabled: (options) => options.mergeRetriggers,
+        apply: (notes) => this.mergeRetriggers(notes)
+      },
+      {
+        label: 'Max duration',
+        enabled: (options) => options.maxDuration !== null && options.maxDuration !== undefined,
+        apply: (notes, options, context) => this.filterByDuration(notes, options, context)
+      },
+      {
+        label: 'Polyphony cap',
+        enabled: (options) => options.maxPolyphony > 0,
+        apply: (notes, options, context) => this.capPolyphony(notes, options.maxPolyphony, context)
+      }
+    ];
+  }
+
+  /**
+   * Run every enabled filter in order
+   * @param {Array<Object>} notes - NoteSequence notes (not modified)
+   * @param {Object} options - From getFilterOptions(): minPitch, maxPitch, velocityFloor, minDuration,
+   *   removeGhostNotes, mergeRetriggers, maxDuration (null = off), truncateLong, maxPolyphony (0 = off)
+   * @param {Object} context - { pedalRegions } from PedalDetector, so pedalled notes aren't treated as too long
+   * @param {Function} onProgress - Progress callback
+   * @returns {Object[]} - The notes that are left
+   */
+  run(notes, options, context = {}, onProgress = null) {
+    let current = [...notes];
+
+    this.filters.forEach(filter => {
+      if (!filter.enabled(options)) {
+        return;
+      }
+
+      // Filters that shorten notes rather than remove them count those separately
+      const filterContext = { pedalRegions: context.pedalRegions || [], shortened: 0 };
+      const before = current.length;
+      current = filter.apply(current, options, filterContext);
+
+      if (onProgress) {
+        const removed = before - current.length;
+        let message = `${filter.label}: ${filter.verb || 'removed'} ${removed} note${removed === 1 ? '' : 's'}`;
+
+        if (filterContext.shortened > 0) {
+          message += `, shortened ${filterContext.shortened}`;
+        }
+
+        onProgress(message);
+      }
+    });
+
+    return current;
+  }
+
+  velocityOf(note) {
+    return note.velocity !== undefined ? note.velocity : 64;
+  }
+
+  /**
+   * Drop notes outside [minPitch, maxPitch]
+   */
+  filterPitchRange(notes, minPitch, maxPitch) {
+    return notes.filter(note => note.pitch >= minPitch && note.pitch <= maxPitch);
+  }
+
+  /**
+   * Drop quiet notes struck with a much louder note a semitone or a strong harmonic away;
+   * the model often hears those as separate notes
+   */
+  removeGhostNotes(notes) {
+    const sorted = [...notes].sort((a, b) => a.startTime - b.startTime);
+
+    return sorted.filter((note, index) => {
+      const velocity = this.velocityOf(note);
+
+      for (const direction of [-1, 1]) {
+        for (let i = index + direction; i >= 0 && i < sorted.length; i += direction) {
+          const other = sorted[i];
+
+          if (Math.abs(other.startTime - note.startTime) > GHOST_WINDOW) {
+            break;
+          }
+
+          const interval = Math.abs(other.pitch - note.pitch);
+          if (GHOST_INTERVALS.includes(interval) && velocity < this.velocityOf(other) * GHOST_RATIO) {
+            return false;
+          }
+        }
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Join same-pitch notes that restart almost as soon as they stop (or before)
+   */
+  mergeRetriggers(notes) {
+    const sorted = [...notes].sort((a, b) => a.pitch - b.pitch || a.startTime - b.startTime);
+    const merged = [];
+
+    sorted.forEach(note => {
+      const previous = merged[merged.length - 1];
+
+      if (previous && previous.pitch === note.pitch && note.startTime - previous.endTime <= RETRIGGER_GAP) {
+        merged[merged.length - 1] = {
+          ...previous,
+          endTime: Math.max(previous.endTime, note.endTime),
+          velocity: Math.max(this.velocityOf(previous), this.velocityOf(note))
+        };
+      } else {
+        merged.push(note);
+      }
+    });
+
+    return merged.sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+  }
+
+  /**
+   * Drop (or truncate) notes longer than maxDuration. Long notes a pedal region
+   * explains are always truncated, since the pedal holds the rest of them.
+   */
+  filterByDuration(notes, options, context) {
+    const { maxDuration, truncateLong } = options;
+    const kept = [];
+
+    notes.forEach(note => {
+      if (note.endTime - note.startTime <= maxDuration) {
+        kept.push(note);
+        return;
+      }
+
+      const region = context.pedalRegions.find(region =>
+        region.start <= note.endTime && note.endTime <= region.end + PEDAL_RELEASE_TOLERANCE);
+
+      if (region || truncateLong) {
+        // Under the pedal the finger has to hold the key until the pedal catches it
+        const release = region
+          ? Math.max(note.startTime + maxDuration, region.start + PEDAL_RELEASE_TOLERANCE)
+          : note.startTime + maxDuration;
+
+        kept.push({ ...note, endTime: Math.min(note.endTime, release) });
+        context.shortened++;
+      }
+    });
+
+    return kept;
+  }
+
+  /**
+   * Keep at most maxPolyphony notes sounding at once. When a new note would go over,
+   * the quietest sounding note is cut off at the new onset, or the new note is dropped
+   * if it is the quietest.
+   */
+  capPolyphony(notes, maxPolyphony, context) {
+    const sorted = [...notes]
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(note => ({ ...note }));
+    const kept = [];
+    let sounding = [];
+
+    sorted.forEach(note => {
+      sounding = sounding.filter(other => other.endTime > note.startTime);
+
+      if (sounding.length < maxPolyphony) {
+        sounding.push(note);
+        kept.push(note);
+        return;
+      }
+
+      const quietest = sounding.reduce((min, other) =>
+        this.velocityOf(other) < this.velocityOf(min) ? other : min);
+
+      if (this.velocityOf(note) <= this.velocityOf(quietest)) {
+        return;
+      }
+
+      if (quietest.startTime >= note.startTime) {
+        // Struck together: nothing left to keep, so drop it outright
+        kept.splice(kept.indexOf(quietest), 1);
+      } else {
+        quietest.endTime = note.startTime;
+        context.shortened++;
+      }
+
+      sounding = sounding.filter(other => other !== quietest);
+      sounding.push(note);
+      kept.push(note);
+    });
+
+    return kept;
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Note Sequence Stitcher Module
+ * Plans overlapping transcription chunks and merges their notes back into one sequence
+ */
+
+export class NoteSequenceStitcher {
+  constructor(options = {}) {
+    const {
+      onsetTolerance = 0.05,
+      edgeTolerance = 0.1,
+    } = options;
+
+    // Same pitch with onsets this close (seconds) inside an overlap = the same note
+    this.onsetTolerance = onsetTolerance;
+
+    // A note starting this close to a chunk's first frame is likely the cut, not a real onset
+    this.edgeTolerance = edgeTolerance;
+  }
+
+  /**
+   * Split audio into chunks of chunkDuration, each extended by overlap into the next one
+   * @param {number} totalSamples - Audio length in samples
+   * @param {number} sampleRate - Audio sample rate
+   * @param {number} chunkDuration - Chunk length in seconds (0 = single chunk)
+   * @param {number} overlap - Overlap between neighbouring chunks in seconds
+   * @returns {Array<{ startSample: number, endSample: number, startTime: number, endTime: number }>}
+   */
+  planChunks(totalSamples, sampleRate, chunkDuration, overlap = 0) {
+    const stepSamples = Math.floor(chunkDuration * sampleRate);
+    const overlapSamples = Math.max(0, Math.floor(overlap * sampleRate));
+
+    if (stepSamples <= 0 || totalSamples <= stepSamples + overlapSamples) {
+      return [this.createChunk(0, totalSamples, sampleRate)];
+    }
+
+    const chunks = [];
+
+    for (let startSample = 0; ; startSample += stepSamples) {
+      const endSample = Math.min(totalSamples, startSample + stepSamples + overlapSamples);
+      chunks.push(this.createChunk(startSample, endSample, sampleRate));
+
+      if (endSample >= totalSamples) {
+        break;
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Describe a chunk in samples and seconds
+   */
+  createChunk(startSample, endSample, sampleRate) {
+    return {
+      startSample: startSample,
+      endSample: endSample,
+      startTime: startSample / sampleRate,
+      endTime: endSample / sampleRate
+    };
+  }
+
+  /**
+   * Shift a chunk's notes from chunk-relative to absolute times
+   */
+  offsetNotes(notes, offset) {
+    return notes.map(note => ({
+      pitch: note.pitch,
+      startTime: note.startTime + offset,
+      endTime: note.endTime + offset,
+      velocity: note.velocity
+    }));
+  }
+
+  /**
+   * Merge the next chunk's notes into the notes gathered so far.
+   * Inside the overlap, the same note heard by both chunks is kept once, and a note cut off
+   * by the end of the previous chunk is joined with its continuation. Anything else is taken
+   * from the previous chunk before the middle of the overlap and from the next chunk after it.
+   * @param {Object[]} mergedNotes - Notes so far (absolute times)
+   * @param {Object[]} chunkNotes - Next chunk's notes (absolute times)
+   * @param {Object} previousChunk - Chunk the latest merged notes came from
+   * @param {Object} chunk - Chunk chunkNotes came from
+   * @returns {Object[]} - Merged notes
+   */
+  merge(mergedNotes, chunkNotes, previousChunk, chunk) {
+    const overlapStart = chunk.startTime;
+    const overlapEnd = previousChunk.endTime;
+    const seam = (overlapStart + overlapEnd) / 2;
+
+    // Only notes still sounding when this chunk begins can pair with its notes
+    const candidates = mergedNotes.filter(note => note.endTime >= overlapStart - this.onsetTolerance);
+    const matched = new Set();
+    const added = [];
+
+    for (const note of chunkNotes) {
+      const match = note.startTime <= overlapEnd
+        ? this.findMatch(candidates, matched, note, overlapStart)
+        : null;
+
+      if (match) {
+        matched.add(match);
+        match.endTime = Math.max(match.endTime, note.endTime);
+        match.velocity = Math.max(match.velocity || 0, note.velocity || 0);
+      } else if (note.startTime >= seam) {
+        added.push(note);
+      }
+    }
+
+    // The previous chunk heard less context for late onsets, so unmatched ones past the seam go
+    const kept = mergedNotes.filter(note => note.startTime < seam || matched.has(note));
+
+    return kept.concat(added);
+  }
+
+  /**
+   * Find the already-merged note that a note from the next chunk duplicates or continues
+   */
+  findMatch(candidates, matched, note, chunkStart) {
+    const startsAtCut = note.startTime - chunkStart <= this.edgeTolerance;
+
+    return candidates.find(candidate => {
+      if (candidate.pitch !== note.pitch || matched.has(candidate)) {
+        return false;
+      }
+
+      // Same onset seen from both sides of the overlap
+      if (Math.abs(candidate.startTime - note.startTime) <= this.onsetTolerance) {
+        return true;
+      }
+
+      // Held note whose "onset" in the next chunk is only where the audio was cut
+      return startsAtCut &&
+        candidate.startTime < note.startTime &&
+        candidate.endTime >= chunkStart - this.onsetTolerance;
+    }) || null;
+  }
+}
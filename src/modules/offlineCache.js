@@ -0,0 +1,128 @@
+/**
+ * Offline Cache Module
+ * Registers the service worker (public/sw.js) and downloads the model checkpoint
+ * and FFmpeg core into Cache Storage so later conversions don't need the network
+ */
+
+import { MODEL_CHECKPOINT_URL, FFMPEG_CORE_URL, FFMPEG_WASM_URL } from './assetConfig.js';
+
+// Must match CACHE_NAME in public/sw.js
+const CACHE_NAME = 'bobs-midi-assets-v1';
+
+export class OfflineCache {
+  constructor() {
+    this.registration = null;
+  }
+
+  /**
+   * Check whether the browser can cache the app for offline use
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+  }
+
+  /**
+   * Register the service worker
+   */
+  async registerServiceWorker() {
+    try {
+      this.registration = await navigator.serviceWorker.register(
+        `${import.meta.env.BASE_URL}sw.js`,
+        { scope: import.meta.env.BASE_URL }
+      );
+      return this.registration;
+    } catch (error) {
+      throw new Error(`Service worker registration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the URLs needed to transcribe and convert without the network
+   * @returns {Promise<string[]>} - Absolute URLs
+   */
+  async getAssetURLs() {
+    const checkpointURL = new URL(MODEL_CHECKPOINT_URL, location.href).href;
+    const manifestURL = `${checkpointURL}/weights_manifest.json`;
+
+    // The shard list lives in the manifest, so read it from the cache when offline
+    const cache = await caches.open(CACHE_NAME);
+    const response = (await cache.match(manifestURL)) || (await fetch(manifestURL));
+
+    if (!response.ok) {
+      throw new Error(`Model manifest not found at ${manifestURL} (HTTP ${response.status})`);
+    }
+
+    const manifest = await response.json();
+    const shards = manifest.flatMap(group => group.paths.map(path => `${checkpointURL}/${path}`));
+
+    return [
+      manifestURL,
+      ...shards,
+      new URL(FFMPEG_CORE_URL, location.href).href,
+      new URL(FFMPEG_WASM_URL, location.href).href
+    ];
+  }
+
+  /**
+   * Find out how much of the offline assets is already cached
+   * @returns {Promise<{ cached: number, total: number, missing: string[] }>}
+   */
+  async getStatus() {
+    const urls = await this.getAssetURLs();
+    const cache = await caches.open(CACHE_NAME);
+    const missing = [];
+
+    for (const url of urls) {
+      if (!(await cache.match(url))) {
+        missing.push(url);
+      }
+    }
+
+    return {
+      cached: urls.length - missing.length,
+      total: urls.length,
+      missing
+    };
+  }
+
+  /**
+   * Download whatever isn't cached yet
+   * @param {Function} onProgress - Called with the percentage of assets cached so far
+   * @returns {Promise<boolean>} - true once everything is cached
+   */
+  async cacheAssets(onProgress = null) {
+    const status = await this.getStatus();
+
+    if (status.missing.length === 0) {
+      return true;
+    }
+
+    // Don't pull ~80MB over a metered connection unprompted - assets are still cached as they're used
+    if (navigator.connection && navigator.connection.saveData) {
+      return false;
+    }
+
+    const cache = await caches.open(CACHE_NAME);
+    let cached = status.cached;
+
+    for (const url of status.missing) {
+      if (onProgress) {
+        onProgress(Math.round((cached / status.total) * 100));
+      }
+
+      try {
+        await cache.add(url);
+      } catch (error) {
+        throw new Error(`Caching ${url.split('/').pop()} failed: ${error.message}`);
+      }
+
+      cached++;
+    }
+
+    if (onProgress) {
+      onProgress(100);
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Pedal Detector Module
+ * Infers sustain pedal regions for transcriptions that only have note on/off.
+ * From notes: a pedal lift releases many notes at once that were struck at different
+ * times, so clusters of simultaneous releases mark lifts and the notes they release
+ * mark how long the pedal was down. From audio: dampers falling cause a sharp drop in
+ * level with no new onset, and while the pedal is down the sound keeps ringing after
+ * the transcribed note-offs.
+ */
+
+const RELEASE_TOLERANCE = 0.06;   // Seconds; note-offs this close together are one release
+const MIN_RELEASED = 3;           // Notes a release must end to count as a pedal lift
+const MIN_ONSET_SPREAD = 0.2;     // Seconds between the first and last struck of those notes
+const PEDAL_DELAY = 0.05;         // Pianists press the pedal just after the notes it should catch
+const CHANGE_GAP = 0.02;          // Seconds the pedal is up during a quick change
+
+const FRAME_RATE = 100;           // Audio envelope frames per second
+const DROP_DB = 10;               // Level drop that marks dampers falling...
+const DROP_TIME = 0.05;           // ...within this many seconds
+const ONSET_GUARD = 0.05;         // Drops this close to an onset are a new note, not a lift
+const RING_DB = 6;                // Less decay than this after a note-off means it's still ringing
+const RING_DELAY = 0.15;          // Seconds after a note-off to measure the decay
+const LIFT_SNAP = 0.15;           // Seconds a note-derived lift may move to meet an audio lift
+
+export class PedalDetector {
+  /**
+   * Find sustain pedal regions
+   * @param {Array<Object>} notes - NoteSequence notes ({ pitch, startTime, endTime })
+   * @param {Object} audio - Optional { samples (mono Float32Array), sampleRate }, aligned with the notes
+   * @returns {Array<{ start: number, end: number }>} - Pedal-down regions in seconds, in order
+   */
+  detect(notes, audio = null) {
+    const sorted = [...notes].sort((a, b) => a.startTime - b.startTime);
+    let regions = this.fromNotes(sorted);
+
+    if (audio && audio.samples.length > 0) {
+      const envelope = this.levelEnvelope(audio.samples, audio.sampleRate);
+      const lifts = this.findLifts(envelope, sorted);
+
+      regions = [
+        ...this.snapToLifts(regions, lifts),
+        ...this.fromAudio(sorted, envelope, lifts)
+      ];
+    }
+
+    return this.normalize(regions);
+  }
+
+  /**
+   * Regions from clusters of simultaneous note-offs
+   */
+  fromNotes(notes) {
+    const byEnd = [...notes].sort((a, b) => a.endTime - b.endTime);
+    const regions = [];
+
+    let cluster = [];
+    const flush = () => {
+      if (cluster.length >= MIN_RELEASED) {
+        const firstStart = Math.min(...cluster.map(note => note.startTime));
+        const lastStart = Math.max(...cluster.map(note => note.startTime));
+
+        if (lastStart - firstStart >= MIN_ONSET_SPREAD) {
+          regions.push({
+            start: firstStart + PEDAL_DELAY,
+            end: Math.max(...cluster.map(note => note.endTime))
+          });
+        }
+      }
+      cluster = [];
+    };
+
+    byEnd.forEach(note => {
+      if (cluster.length > 0 && note.endTime - cluster[0].endTime > RELEASE_TOLERANCE) {
+        flush();
+      }
+      cluster.push(note);
+    });
+    flush();
+
+    return regions;
+  }
+
+  /**
+   * Smoothed RMS level in dB, FRAME_RATE frames per second
+   */
+  levelEnvelope(samples, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate / FRAME_RATE));
+    const window = hop * 2;
+    const frames = Math.ceil(samples.length / hop);
+    const envelope = new Float32Array(frames);
+
+    for (let frame = 0; frame < frames; frame++) {
+      const start = frame * hop;
+      const end = Math.min(samples.length, start + window);
+      let sum = 0;
+
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+
+      envelope[frame] = 10 * Math.log10(sum / Math.max(1, end - start) + 1e-10);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Times where the level falls sharply without a new onset nearby
+   */
+  findLifts(envelope, notes) {
+    const span = Math.round(DROP_TIME * FRAME_RATE);
+    const onsets = notes.map(note => note.startTime);
+    const lifts = [];
+
+    for (let frame = 0; frame + span < envelope.length; frame++) {
+      if (envelope[frame] - envelope[frame + span] < DROP_DB) {
+        continue;
+      }
+
+      // Place the lift at the steepest point of the drop
+      let steepest = frame;
+      for (let k = frame; k < frame + span; k++) {
+        if (envelope[k] - envelope[k + 1] > envelope[steepest] - envelope[steepest + 1]) {
+          steepest = k;
+        }
+      }
+
+      const time = (steepest + 1) / FRAME_RATE;
+      const nearOnset = onsets.some(onset => Math.abs(onset - time) <= ONSET_GUARD);
+
+      // One lift per drop: skip the frames still inside the previous one
+      if (!nearOnset && (lifts.length === 0 || time - lifts[lifts.length - 1] > DROP_TIME * 2)) {
+        lifts.push(time);
+      }
+    }
+
+    return lifts;
+  }
+
+  /**
+   * Move note-derived lifts onto audio lifts close to them, which are more precise
+   */
+  snapToLifts(regions, lifts) {
+    return regions.map(region => {
+      const nearest = lifts.reduce((best, lift) =>
+        Math.abs(lift - region.end) < Math.abs(best - region.end) ? lift : best, Infinity);
+
+      return Math.abs(nearest - region.end) <= LIFT_SNAP && nearest > region.start
+        ? { start: region.start, end: nearest }
+        : region;
+    });
+  }
+
+  /**
+   * Regions between audio lifts where the sound kept ringing after notes were released
+   */
+  fromAudio(notes, envelope, lifts) {
+    const levelAt = (time) => envelope[Math.min(envelope.length - 1, Math.max(0, Math.round(time * FRAME_RATE)))];
+    const regions = [];
+    let previousLift = 0;
+
+    lifts.forEach(lift => {
+      const struck = notes.filter(note => note.startTime >= previousLift && note.startTime < lift);
+      const released = struck.filter(note => note.endTime < lift - RING_DELAY);
+      const ringing = released.filter(note =>
+        levelAt(note.endTime + RING_DELAY) > levelAt(note.endTime - 0.02) - RING_DB);
+
+      if (struck.length > 0 && ringing.length >= 2 && ringing.length * 2 >= released.length) {
+        regions.push({ start: struck[0].startTime + PEDAL_DELAY, end: lift });
+      }
+
+      previousLift = lift;
+    });
+
+    return regions;
+  }
+
+  /**
+   * Sort regions and turn overlaps into pedal changes
+   */
+  normalize(regions) {
+    const sorted = regions
+      .filter(region => region.end > region.start)
+      .sort((a, b) => a.start - b.start);
+    const result = [];
+
+    sorted.forEach(region => {
+      const previous = result[result.length - 1];
+
+      if (!previous || region.start >= previous.end + CHANGE_GAP) {
+        result.push({ ...region });
+      } else if (region.end > previous.end + CHANGE_GAP * 2) {
+        // Overlaps the previous region: lift at its end and press again straight after
+        result.push({ start: previous.end + CHANGE_GAP, end: region.end });
+      }
+    });
+
+    return result;
+  }
+}
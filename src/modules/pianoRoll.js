@@ -0,0 +1,682 @@
+/**
+ * Piano Roll Module
+ * Draws a NoteSequence on a canvas: time runs left to right, pitch bottom to top, and
+ * each note is coloured by velocity. Only the visible stretch is drawn, so long files
+ * can be zoomed in without hitting canvas size limits. In editing mode notes can be
+ * selected, moved, resized, added and deleted; the NoteEditor keeps the undo history.
+ */
+
+import { MIN_NOTE_LENGTH, DEFAULT_VELOCITY } from './noteEditor.js';
+
+const KEYBOARD_WIDTH = 40;        // Pixels for the key strip on the left
+const RULER_HEIGHT = 18;          // Pixels for the time labels along the top
+const DEFAULT_ZOOM = 100;         // Pixels per second
+const MIN_ZOOM = 5;
+const MAX_ZOOM = 2000;
+const MIN_PITCH_SPAN = 24;        // Semitones shown even for a narrow range
+const PITCH_MARGIN = 2;           // Empty rows above and below the notes
+const MIN_GRID_SPACING = 60;      // Pixels between time grid lines
+const GRID_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+const FOLLOW_MARGIN = 0.1;        // Fraction of the view kept ahead of the playhead when paging
+const RESIZE_HANDLE = 6;          // Pixels at a note's end that resize it instead of moving it
+const DRAG_THRESHOLD = 3;         // Pixels a pointer moves before a click becomes a drag
+const DEFAULT_NOTE_LENGTH = 0.25; // Seconds, for added notes until a note is clicked
+
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+
+export class PianoRoll {
+  /**
+   * @param {HTMLCanvasElement} canvas - Sized by CSS; the drawing buffer follows its size
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.editor = null;
+    this.baseDuration = 0;
+    this.duration = 0;
+    this.lowPitch = 48;
+    this.highPitch = 72;
+    this.pixelsPerSecond = DEFAULT_ZOOM;
+    this.scrollTime = 0;
+    this.playhead = 0;
+    this.editing = false;
+    this.selection = new Set();
+    this.drag = null;
+    this.noteLength = DEFAULT_NOTE_LENGTH;
+    this.onSeek = null;           // Called with a time when the roll is clicked
+    this.onViewChange = null;     // Called after zooming or scrolling
+    this.onSelectionChange = null;
+
+    // Focusable, so the editing shortcuts only apply while working in the roll
+    this.canvas.tabIndex = 0;
+
+    this.canvas.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+    this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+    this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+    this.canvas.addEventListener('pointerup', () => this.endDrag());
+    this.canvas.addEventListener('pointercancel', () => this.endDrag());
+    this.canvas.addEventListener('dblclick', (event) => this.handleDoubleClick(event));
+    this.canvas.addEventListener('keydown', (event) => this.handleKey(event));
+
+    // Redraw at the new width when the page is resized
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => this.scrollTo(this.scrollTime)).observe(this.canvas);
+    }
+  }
+
+  /**
+   * Notes being shown ({ pitch, startTime, endTime, velocity 0-127 })
+   */
+  get notes() {
+    return this.editor ? this.editor.notes : [];
+  }
+
+  /**
+   * Show a different result's notes, fitting the pitch range and rewinding the view
+   * @param {NoteEditor|null} editor - Holds the notes and their edit history
+   * @param {number} duration - Length of the source in seconds
+   */
+  setEditor(editor, duration) {
+    this.editor = editor;
+    this.baseDuration = duration;
+    this.selection = new Set();
+    this.drag = null;
+    this.scrollTime = 0;
+    this.playhead = 0;
+    this.updateDuration();
+    this.fitPitchRange();
+    this.draw();
+    this.emitViewChange();
+    this.emitSelectionChange();
+  }
+
+  /**
+   * Redraw after the editor's notes changed (an edit, undo or redo), dropping
+   * selected notes that are gone
+   */
+  refresh() {
+    const notes = new Set(this.notes);
+    this.selection = new Set([...this.selection].filter(note => notes.has(note)));
+    this.updateDuration();
+    this.draw();
+    this.emitSelectionChange();
+  }
+
+  /**
+   * Timeline length: the source, or further if notes were moved past its end
+   */
+  updateDuration() {
+    this.duration = this.notes.reduce((end, note) => Math.max(end, note.endTime), this.baseDuration);
+  }
+
+  /**
+   * Switch between viewing (clicks move the playhead) and editing notes
+   */
+  setEditing(enabled) {
+    this.editing = enabled;
+    this.selection = new Set();
+    this.canvas.style.cursor = '';
+    this.draw();
+    this.emitSelectionChange();
+  }
+
+  /**
+   * Show every pitch in use plus a margin, at least MIN_PITCH_SPAN semitones
+   */
+  fitPitchRange() {
+    if (this.notes.length === 0) {
+      this.lowPitch = 48;
+      this.highPitch = 72;
+      return;
+    }
+
+    let low = Math.min(...this.notes.map(note => note.pitch)) - PITCH_MARGIN;
+    let high = Math.max(...this.notes.map(note => note.pitch)) + PITCH_MARGIN;
+
+    const missing = MIN_PITCH_SPAN - (high - low);
+    if (missing > 0) {
+      low -= Math.floor(missing / 2);
+      high += Math.ceil(missing / 2);
+    }
+
+    this.lowPitch = Math.max(0, low);
+    this.highPitch = Math.min(127, high);
+  }
+
+  /**
+   * Zoom by a factor, keeping the given time (default: the middle of the view) in place
+   */
+  zoomBy(factor, anchorTime = null) {
+    const anchor = anchorTime !== null ? anchorTime : this.scrollTime + this.getVisibleDuration() / 2;
+    const anchorX = this.timeToX(anchor);
+
+    this.pixelsPerSecond = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.pixelsPerSecond * factor));
+    this.scrollTo(anchor - (anchorX - KEYBOARD_WIDTH) / this.pixelsPerSecond);
+  }
+
+  /**
+   * Scroll so the view starts at a time
+   */
+  scrollTo(time) {
+    this.scrollTime = Math.max(0, Math.min(time, this.getMaxScroll()));
+    this.draw();
+    this.emitViewChange();
+  }
+
+  /**
+   * Move the playhead, paging the view along when following playback
+   * @param {number} time - Seconds
+   * @param {boolean} follow - Keep the playhead in view
+   */
+  setPlayhead(time, follow = false) {
+    this.playhead = time;
+    const visible = this.getVisibleDuration();
+
+    if (follow && (time < this.scrollTime || time > this.scrollTime + visible)) {
+      this.scrollTo(time - visible * FOLLOW_MARGIN);
+    } else {
+      this.draw();
+    }
+  }
+
+  /**
+   * Seconds of timeline that fit in the view
+   */
+  getVisibleDuration() {
+    return Math.max(0, this.canvas.clientWidth - KEYBOARD_WIDTH) / this.pixelsPerSecond;
+  }
+
+  /**
+   * Furthest the view can scroll
+   */
+  getMaxScroll() {
+    return Math.max(0, this.duration - this.getVisibleDuration());
+  }
+
+  /**
+   * Scroll with the wheel, zoom around the pointer with Ctrl (or a trackpad pinch)
+   */
+  handleWheel(event) {
+    event.preventDefault();
+
+    if (event.ctrlKey || event.metaKey) {
+      this.zoomBy(Math.exp(-event.deltaY * 0.002), this.xToTime(this.eventX(event)));
+    } else {
+      const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+      this.scrollTo(this.scrollTime + delta / this.pixelsPerSecond);
+    }
+  }
+
+  /**
+   * Clicking the ruler moves the playhead, as does clicking anywhere when not editing.
+   * When editing, a note is selected (Shift adds to the selection) and dragged to move
+   * it, or by its end to resize it; dragging across empty space selects a box of notes
+   */
+  handlePointerDown(event) {
+    const x = this.eventX(event);
+    const y = this.eventY(event);
+    const time = this.xToTime(x);
+
+    if (time < 0 || !this.editor) {
+      return;
+    }
+
+    if (!this.editing || y < RULER_HEIGHT) {
+      if (this.onSeek) {
+        this.onSeek(Math.min(time, this.duration));
+      }
+      return;
+    }
+
+    this.canvas.focus();
+    this.canvas.setPointerCapture(event.pointerId);
+    const note = this.noteAt(x, y);
+
+    if (note && event.shiftKey) {
+      if (this.selection.has(note)) {
+        this.selection.delete(note);
+      } else {
+        this.selection.add(note);
+      }
+    } else if (note) {
+      if (!this.selection.has(note)) {
+        this.selection = new Set([note]);
+      }
+
+      this.noteLength = note.endTime - note.startTime;
+      this.drag = {
+        mode: this.isResizeHandle(note, x) ? 'resize' : 'move',
+        note,
+        x,
+        y,
+        originals: new Map([...this.selection].map(selected => [selected, { ...selected }])),
+        changed: false
+      };
+    } else {
+      const kept = event.shiftKey ? new Set(this.selection) : new Set();
+      this.selection = new Set(kept);
+      this.drag = { mode: 'select', x, y, currentX: x, currentY: y, kept };
+    }
+
+    this.draw();
+    this.emitSelectionChange();
+  }
+
+  handlePointerMove(event) {
+    const x = this.eventX(event);
+    const y = this.eventY(event);
+    const { drag } = this;
+
+    if (!drag) {
+      this.updateCursor(x, y);
+      return;
+    }
+
+    if (drag.mode === 'select') {
+      drag.currentX = x;
+      drag.currentY = y;
+      this.selection = new Set([...drag.kept, ...this.notesInBox(drag)]);
+      this.draw();
+      this.emitSelectionChange();
+      return;
+    }
+
+    // The undo step is saved once the click turns into a drag
+    if (!drag.changed) {
+      if (Math.abs(x - drag.x) < DRAG_THRESHOLD && Math.abs(y - drag.y) < DRAG_THRESHOLD) {
+        return;
+      }
+      this.editor.checkpoint();
+      drag.changed = true;
+    }
+
+    const deltaTime = (x - drag.x) / this.pixelsPerSecond;
+    const originals = [...drag.originals.values()];
+
+    if (drag.mode === 'resize') {
+      drag.originals.forEach((original, note) => {
+        note.endTime = Math.max(original.startTime + MIN_NOTE_LENGTH, original.endTime + deltaTime);
+      });
+    } else {
+      // Keep the notes after time 0 and on the keys shown
+      const shift = Math.max(deltaTime, -Math.min(...originals.map(note => note.startTime)));
+      const pitches = originals.map(note => note.pitch);
+      const transpose = Math.min(this.highPitch - Math.max(...pitches),
+        Math.max(this.lowPitch - Math.min(...pitches), Math.round((drag.y - y) / this.getRowHeight())));
+
+      drag.originals.forEach((original, note) => {
+        note.startTime = original.startTime + shift;
+        note.endTime = original.endTime + shift;
+        note.pitch = original.pitch + transpose;
+      });
+    }
+
+    this.updateDuration();
+    this.draw();
+  }
+
+  endDrag() {
+    const { drag } = this;
+    if (!drag) {
+      return;
+    }
+
+    this.drag = null;
+
+    if (drag.changed) {
+      if (drag.mode === 'resize' && drag.originals.size === 1) {
+        const [note] = drag.originals.keys();
+        this.noteLength = note.endTime - note.startTime;
+      }
+      this.editor.commit();
+    } else {
+      // A plain click on a note in a bigger selection selects just that note
+      if (drag.mode !== 'select') {
+        this.selection = new Set([drag.note]);
+        this.emitSelectionChange();
+      }
+      this.draw();
+    }
+  }
+
+  /**
+   * Double-clicking empty space adds a note as long as the last one clicked
+   */
+  handleDoubleClick(event) {
+    const x = this.eventX(event);
+    const y = this.eventY(event);
+    const time = this.xToTime(x);
+
+    if (!this.editing || time < 0 || y < RULER_HEIGHT || this.noteAt(x, y)) {
+      return;
+    }
+
+    const note = this.editor.addNote({
+      pitch: this.yToPitch(y),
+      startTime: time,
+      endTime: time + this.noteLength,
+      velocity: DEFAULT_VELOCITY
+    });
+
+    this.selection = new Set([note]);
+    this.refresh();
+  }
+
+  /**
+   * Delete removes the selection; Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes,
+   * Ctrl+A selects every note and Escape clears the selection
+   */
+  handleKey(event) {
+    if (!this.editing || !this.editor) {
+      return;
+    }
+
+    const command = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+      this.deleteSelection();
+    } else if (command && key === 'z') {
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (command && key === 'y') {
+      this.redo();
+    } else if (command && key === 'a') {
+      this.selection = new Set(this.notes);
+      this.draw();
+      this.emitSelectionChange();
+    } else if (event.key === 'Escape') {
+      this.selection = new Set();
+      this.draw();
+      this.emitSelectionChange();
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+  }
+
+  deleteSelection() {
+    this.editor.deleteNotes([...this.selection]);
+  }
+
+  /**
+   * @param {number} velocity - 1-127, for every selected note
+   */
+  setSelectionVelocity(velocity) {
+    this.editor.setVelocity([...this.selection], velocity);
+  }
+
+  undo() {
+    this.selection = new Set();
+    this.editor.undo();
+  }
+
+  redo() {
+    this.selection = new Set();
+    this.editor.redo();
+  }
+
+  /**
+   * Topmost note under a point, allowing for the minimum drawn width
+   */
+  noteAt(x, y) {
+    const pitch = this.yToPitch(y);
+
+    for (let i = this.notes.length - 1; i >= 0; i--) {
+      const note = this.notes[i];
+      const left = this.timeToX(note.startTime);
+
+      if (note.pitch === pitch && x >= left && x <= left + this.noteWidth(note)) {
+        return note;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a point is on a note's end, or the right third of a short note
+   */
+  isResizeHandle(note, x) {
+    const width = this.noteWidth(note);
+    return x >= this.timeToX(note.startTime) + width - Math.min(RESIZE_HANDLE, width / 3);
+  }
+
+  /**
+   * Notes overlapping the box being dragged out
+   */
+  notesInBox(drag) {
+    const startTime = this.xToTime(Math.max(KEYBOARD_WIDTH, Math.min(drag.x, drag.currentX)));
+    const endTime = this.xToTime(Math.max(KEYBOARD_WIDTH, drag.x, drag.currentX));
+    const highPitch = this.yToPitch(Math.min(drag.y, drag.currentY));
+    const lowPitch = this.yToPitch(Math.max(drag.y, drag.currentY));
+
+    return this.notes.filter(note => note.pitch >= lowPitch && note.pitch <= highPitch &&
+      note.endTime >= startTime && note.startTime <= endTime);
+  }
+
+  updateCursor(x, y) {
+    let cursor = '';
+
+    if (this.editing && y >= RULER_HEIGHT && x >= KEYBOARD_WIDTH) {
+      const note = this.noteAt(x, y);
+      cursor = !note ? 'crosshair' : this.isResizeHandle(note, x) ? 'ew-resize' : 'move';
+    }
+
+    this.canvas.style.cursor = cursor;
+  }
+
+  emitSelectionChange() {
+    if (this.onSelectionChange) {
+      this.onSelectionChange([...this.selection]);
+    }
+  }
+
+  emitViewChange() {
+    if (this.onViewChange) {
+      this.onViewChange({
+        scrollTime: this.scrollTime,
+        maxScroll: this.getMaxScroll(),
+        pixelsPerSecond: this.pixelsPerSecond
+      });
+    }
+  }
+
+  /**
+   * Pointer position in CSS pixels from the canvas's left edge
+   */
+  eventX(event) {
+    return event.clientX - this.canvas.getBoundingClientRect().left;
+  }
+
+  eventY(event) {
+    return event.clientY - this.canvas.getBoundingClientRect().top;
+  }
+
+  timeToX(time) {
+    return KEYBOARD_WIDTH + (time - this.scrollTime) * this.pixelsPerSecond;
+  }
+
+  xToTime(x) {
+    return x < KEYBOARD_WIDTH ? -1 : this.scrollTime + (x - KEYBOARD_WIDTH) / this.pixelsPerSecond;
+  }
+
+  getRowHeight() {
+    return (this.canvas.clientHeight - RULER_HEIGHT) / (this.highPitch - this.lowPitch + 1);
+  }
+
+  pitchToY(pitch) {
+    return RULER_HEIGHT + (this.highPitch - pitch) * this.getRowHeight();
+  }
+
+  yToPitch(y) {
+    const pitch = this.highPitch - Math.floor((y - RULER_HEIGHT) / this.getRowHeight());
+    return Math.max(this.lowPitch, Math.min(this.highPitch, pitch));
+  }
+
+  noteWidth(note) {
+    return Math.max(2, (note.endTime - note.startTime) * this.pixelsPerSecond - 1);
+  }
+
+  /**
+   * Soft notes blue, loud notes red
+   */
+  velocityColor(velocity) {
+    const amount = Math.min(127, Math.max(0, velocity !== undefined ? velocity : 100)) / 127;
+    return `hsl(${Math.round(220 - 220 * amount)}, 80%, 60%)`;
+  }
+
+  /**
+   * Match the drawing buffer to the displayed size (and pixel density)
+   * @returns {boolean} - Whether the canvas is visible at all
+   */
+  resize() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+
+    if (width === 0 || height === 0) {
+      return false;
+    }
+
+    if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+    }
+
+    this.canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+    return true;
+  }
+
+  /**
+   * Redraw the visible part of the roll
+   */
+  draw() {
+    if (!this.resize()) {
+      return;
+    }
+
+    const context = this.canvas.getContext('2d');
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const rowHeight = this.getRowHeight();
+    const endTime = this.scrollTime + this.getVisibleDuration();
+
+    context.fillStyle = '#1e293b';
+    context.fillRect(0, 0, width, height);
+
+    // Rows for the black keys, and a line under every C
+    for (let pitch = this.lowPitch; pitch <= this.highPitch; pitch++) {
+      const y = this.pitchToY(pitch);
+
+      if (BLACK_KEYS.has(pitch % 12)) {
+        context.fillStyle = '#172033';
+        context.fillRect(KEYBOARD_WIDTH, y, width - KEYBOARD_WIDTH, rowHeight);
+      }
+      if (pitch % 12 === 0) {
+        context.fillStyle = '#334155';
+        context.fillRect(KEYBOARD_WIDTH, y + rowHeight - 1, width - KEYBOARD_WIDTH, 1);
+      }
+    }
+
+    this.drawTimeGrid(context, width, height, endTime);
+
+    this.notes.forEach(note => {
+      if (note.endTime < this.scrollTime || note.startTime > endTime ||
+          note.pitch < this.lowPitch || note.pitch > this.highPitch) {
+        return;
+      }
+
+      const x = this.timeToX(note.startTime);
+      const y = this.pitchToY(note.pitch) + 0.5;
+      const noteHeight = Math.max(1, rowHeight - 1);
+
+      context.fillStyle = this.velocityColor(note.velocity);
+      context.fillRect(x, y, this.noteWidth(note), noteHeight);
+
+      if (this.selection.has(note)) {
+        context.strokeStyle = '#f8fafc';
+        context.lineWidth = 1.5;
+        context.strokeRect(x, y, this.noteWidth(note), noteHeight);
+      }
+    });
+
+    if (this.drag && this.drag.mode === 'select') {
+      const { x, y, currentX, currentY } = this.drag;
+      context.fillStyle = 'rgba(129, 140, 248, 0.15)';
+      context.strokeStyle = '#818cf8';
+      context.lineWidth = 1;
+      context.fillRect(Math.min(x, currentX), Math.min(y, currentY), Math.abs(currentX - x), Math.abs(currentY - y));
+      context.strokeRect(Math.min(x, currentX), Math.min(y, currentY), Math.abs(currentX - x), Math.abs(currentY - y));
+    }
+
+    this.drawKeyboard(context, height);
+
+    if (this.playhead >= this.scrollTime && this.playhead <= endTime) {
+      const x = Math.round(this.timeToX(this.playhead));
+      context.fillStyle = '#f8fafc';
+      context.fillRect(x, 0, 1, height);
+    }
+  }
+
+  /**
+   * Vertical lines and labels at a round interval that keeps them apart
+   */
+  drawTimeGrid(context, width, height, endTime) {
+    const step = GRID_STEPS.find(seconds => seconds * this.pixelsPerSecond >= MIN_GRID_SPACING) ||
+      GRID_STEPS[GRID_STEPS.length - 1];
+
+    context.font = '10px sans-serif';
+    context.textBaseline = 'middle';
+
+    for (let i = Math.floor(this.scrollTime / step); i * step <= endTime; i++) {
+      const time = i * step;
+      const x = Math.round(this.timeToX(time));
+      if (x < KEYBOARD_WIDTH) {
+        continue;
+      }
+
+      context.fillStyle = '#334155';
+      context.fillRect(x, RULER_HEIGHT, 1, height - RULER_HEIGHT);
+      context.fillStyle = '#94a3b8';
+      context.fillText(this.formatTime(time, step), x + 3, RULER_HEIGHT / 2);
+    }
+  }
+
+  /**
+   * Key strip with the Cs labelled
+   */
+  drawKeyboard(context, height) {
+    const rowHeight = this.getRowHeight();
+
+    context.fillStyle = '#0f172a';
+    context.fillRect(0, 0, KEYBOARD_WIDTH, height);
+    context.font = '9px sans-serif';
+    context.textBaseline = 'middle';
+
+    for (let pitch = this.lowPitch; pitch <= this.highPitch; pitch++) {
+      const y = this.pitchToY(pitch);
+
+      context.fillStyle = BLACK_KEYS.has(pitch % 12) ? '#334155' : '#cbd5e1';
+      context.fillRect(KEYBOARD_WIDTH - 14, y, 14, Math.max(1, rowHeight - 0.5));
+
+      if (pitch % 12 === 0 && rowHeight * 12 >= 40) {
+        context.fillStyle = '#94a3b8';
+        context.fillText(`C${pitch / 12 - 1}`, 3, y + rowHeight / 2);
+      }
+    }
+  }
+
+  /**
+   * m:ss, with fractions of a second when the grid is finer than that
+   */
+  formatTime(seconds, step) {
+    const decimals = step >= 1 ? 0 : Number.isInteger(step * 10) ? 1 : 2;
+    const total = Number(seconds.toFixed(decimals));
+    const minutes = Math.floor(total / 60);
+    const rest = (total - minutes * 60).toFixed(decimals);
+    return `${minutes}:${rest.padStart(decimals > 0 ? 3 + decimals : 2, '0')}`;
+  }
+}
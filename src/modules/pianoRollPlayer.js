@@ -0,0 +1,274 @@
+/**
+ * Piano Roll Player Module
+ * Transport for the piano roll: plays the source audio, the transcribed notes through
+ * the built-in synth, or both, on one timeline. Notes are scheduled a little ahead of
+ * the playhead rather than all at once, so seeking and muting take effect straight away.
+ * Loaded with no notes, it also previews uploaded files on the trim waveform.
+ */
+
+const LOOKAHEAD = 0.25;           // Seconds of notes scheduled ahead of the playhead
+const SCHEDULE_INTERVAL = 50;     // Milliseconds between scheduling passes
+const SYNTH_GAIN = 0.5;
+
+export class PianoRollPlayer {
+  /**
+   * @param {MIDIRenderer} midiRenderer - Provides the built-in synth voice
+   */
+  constructor(midiRenderer) {
+    this.midiRenderer = midiRenderer;
+    this.audioContext = null;
+    this.synthOutput = null;
+    this.waves = new Map();
+    this.notes = [];
+    this.audioBuffer = null;
+    this.audioMuted = false;
+    this.playNotes = false;
+    this.audioNode = null;
+    this.audioGain = null;
+    this.synthBus = null;
+    this.nextNote = 0;
+    this.offset = 0;          // Position (seconds) when playback last started or paused
+    this.startedAt = 0;       // audioContext.currentTime at that moment
+    this.playing = false;
+    this.endTimer = null;
+    this.scheduleTimer = null;
+    this.onEnded = null;
+  }
+
+  /**
+   * Initialize audio context and the synth's output chain
+   */
+  initAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+      // Same chain as MIDIRenderer, so the synth sounds the same here as in a render
+      const compressor = this.audioContext.createDynamicsCompressor();
+      compressor.threshold.value = -12;
+      compressor.ratio.value = 4;
+      compressor.connect(this.audioContext.destination);
+
+      this.synthOutput = this.audioContext.createGain();
+      this.synthOutput.gain.value = SYNTH_GAIN;
+      this.synthOutput.connect(compressor);
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Set the notes to play and rewind; the source audio is added with setAudio()
+   * @param {Object[]} notes - NoteSequence notes ({ pitch, startTime, endTime, velocity 0-127 })
+   */
+  load(notes) {
+    this.stop();
+    this.setNotes(notes);
+    this.audioBuffer = null;
+    this.offset = 0;
+  }
+
+  /**
+   * Swap in edited notes, carrying on from the same position if playing
+   */
+  setNotes(notes) {
+    this.restart(() => {
+      this.notes = [...notes].sort((a, b) => a.startTime - b.startTime);
+    });
+  }
+
+  /**
+   * Attach the source audio, trimmed to the transcribed range
+   * @param {AudioBuffer} audioBuffer - Source audio
+   */
+  setAudio(audioBuffer) {
+    this.restart(() => {
+      this.audioBuffer = audioBuffer;
+    });
+  }
+
+  hasAudio() {
+    return this.audioBuffer !== null;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Silence the source audio without losing its place
+   */
+  setAudioMuted(muted) {
+    this.audioMuted = muted;
+
+    if (this.audioGain) {
+      this.audioGain.gain.value = muted ? 0 : 1;
+    }
+  }
+
+  /**
+   * Play the notes through the synth (always on when there is no source audio)
+   */
+  setPlayNotes(enabled) {
+    this.restart(() => {
+      this.playNotes = enabled;
+    });
+  }
+
+  /**
+   * Start playing from the current position
+   */
+  async play() {
+    if (this.playing) {
+      return;
+    }
+
+    const audioContext = this.initAudioContext();
+
+    // Browsers start contexts suspended until a user gesture
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    if (this.offset >= this.getDuration()) {
+      this.offset = 0;
+    }
+
+    this.startNodes();
+    this.playing = true;
+  }
+
+  /**
+   * Pause, keeping the position
+   */
+  pause() {
+    if (!this.playing) {
+      return;
+    }
+
+    this.offset = this.getPosition();
+    this.stop();
+  }
+
+  /**
+   * Jump to a position in seconds
+   */
+  seek(time) {
+    this.restart(() => {
+      this.offset = Math.max(0, Math.min(time, this.getDuration()));
+    });
+  }
+
+  /**
+   * Current playback position in seconds
+   */
+  getPosition() {
+    if (!this.playing) {
+      return this.offset;
+    }
+
+    return Math.min(this.offset + this.audioContext.currentTime - this.startedAt, this.getDuration());
+  }
+
+  /**
+   * Length of the source audio or the last note, whichever is longer
+   */
+  getDuration() {
+    const lastNote = this.notes.reduce((end, note) => Math.max(end, note.endTime), 0);
+    return Math.max(this.audioBuffer ? this.audioBuffer.duration : 0, lastNote);
+  }
+
+  /**
+   * Apply a change, picking playback up again at the same position if it was running
+   */
+  restart(change) {
+    if (!this.playing) {
+      change();
+      return;
+    }
+
+    this.offset = this.getPosition();
+    this.stopNodes();
+    change();
+    this.startNodes();
+  }
+
+  startNodes() {
+    const context = this.audioContext;
+    this.startedAt = context.currentTime;
+
+    if (this.audioBuffer && this.offset < this.audioBuffer.duration) {
+      this.audioGain = context.createGain();
+      this.audioGain.gain.value = this.audioMuted ? 0 : 1;
+      this.audioGain.connect(context.destination);
+
+      this.audioNode = context.createBufferSource();
+      this.audioNode.buffer = this.audioBuffer;
+      this.audioNode.connect(this.audioGain);
+      this.audioNode.start(0, this.offset);
+    }
+
+    if (this.playNotes || !this.audioBuffer) {
+      // A fresh bus per start: disconnecting it silences notes already scheduled
+      this.synthBus = context.createGain();
+      this.synthBus.connect(this.synthOutput);
+
+      this.nextNote = this.notes.findIndex(note => note.startTime >= this.offset);
+      if (this.nextNote === -1) {
+        this.nextNote = this.notes.length;
+      }
+
+      this.scheduleNotes();
+      this.scheduleTimer = setInterval(() => this.scheduleNotes(), SCHEDULE_INTERVAL);
+    }
+
+    // A timer rather than onended, which never fires when only notes are playing
+    this.endTimer = setTimeout(() => {
+      this.offset = 0;
+      this.stop();
+      if (this.onEnded) {
+        this.onEnded();
+      }
+    }, (this.getDuration() - this.offset) * 1000);
+  }
+
+  /**
+   * Hand the synth every note starting within the lookahead window
+   */
+  scheduleNotes() {
+    const until = this.offset + this.audioContext.currentTime - this.startedAt + LOOKAHEAD;
+
+    while (this.nextNote < this.notes.length && this.notes[this.nextNote].startTime < until) {
+      const note = this.notes[this.nextNote++];
+      const toContextTime = (time) => this.startedAt + time - this.offset;
+
+      this.midiRenderer.playSynth(this.audioContext, this.synthBus, {
+        pitch: note.pitch,
+        velocity: (note.velocity !== undefined ? note.velocity : 100) / 127,
+        start: toContextTime(note.startTime),
+        end: toContextTime(note.endTime)
+      }, this.waves);
+    }
+  }
+
+  stopNodes() {
+    clearTimeout(this.endTimer);
+    clearInterval(this.scheduleTimer);
+
+    if (this.audioNode) {
+      this.audioNode.stop();
+      this.audioNode.disconnect();
+      this.audioGain.disconnect();
+      this.audioNode = null;
+      this.audioGain = null;
+    }
+
+    if (this.synthBus) {
+      this.synthBus.disconnect();
+      this.synthBus = null;
+    }
+  }
+
+  stop() {
+    this.stopNodes();
+    this.playing = false;
+  }
+}
@@ -3,13 +3,21 @@
  * Uses Magenta.js OnsetsAndFrames model for piano transcription
  */
 
-import * as mm from '@magenta/music';
+// Only the transcription entry point - the full bundle pulls in Tone.js, which needs a window
+import * as mm from '@magenta/music/esm/transcription';
+import { NoteSequenceStitcher } from './noteSequenceStitcher.js';
+import { REMOTE_CHECKPOINT_URL } from './modelCheckpoint.js';
 
 export class PianoTranscription {
-  constructor() {
+  /**
+   * @param {string} checkpointURL - OnsetsAndFrames checkpoint directory (weights_manifest.json + shards)
+   */
+  constructor(checkpointURL = REMOTE_CHECKPOINT_URL) {
+    this.checkpointURL = checkpointURL;
     this.model = null;
     this.modelLoaded = false;
     this.sampleRate = 16000;  // Magenta.js expects 16kHz audio
+    this.stitcher = new NoteSequenceStitcher();
   }
 
   /**
@@ -27,10 +35,8 @@ export class PianoTranscription {
       }
 
       // Initialize OnsetsAndFrames model
-      // The model will be downloaded from CDN on first use
-      this.model = new mm.OnsetsAndFrames(
-        'https://storage.googleapis.com/magentadata/js/checkpoints/transcription/onsets_frames_uni'
-      );
+      // The weights are downloaded on first use (and served from the offline cache after that in the web app)
+      this.model = new mm.OnsetsAndFrames(this.checkpointURL);
 
       await this.model.initialize();
 
@@ -51,36 +57,101 @@ export class PianoTranscription {
   /**
    * Transcribe audio to MIDI notes
    * @param {Float32Array} audioSamples - Audio samples at 16kHz sample rate
+   * @param {Object} options - { chunkDuration, chunkOverlap } in seconds (chunkDuration 0 = one pass),
+   *   and an optional AbortSignal checked between chunks
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<NoteSequence>} - Magenta.js NoteSequence object
+   * @returns {Promise<NoteSequence>} - NoteSequence with notes in absolute seconds
    */
-  async transcribe(audioSamples, onProgress = null) {
+  async transcribe(audioSamples, options = {}, onProgress = null) {
+    const {
+      chunkDuration = 0,
+      chunkOverlap = 0,
+      signal = null,
+    } = options;
+
     if (!this.modelLoaded) {
       await this.initialize(onProgress);
     }
 
     try {
+      const chunks = this.stitcher.planChunks(
+        audioSamples.length,
+        this.sampleRate,
+        chunkDuration,
+        chunkOverlap
+      );
+
       if (onProgress) {
         onProgress('Transcribing audio to MIDI...');
-        onProgress('This may take a few moments depending on audio length');
+        if (chunks.length > 1) {
+          onProgress(`Splitting into ${chunks.length} chunks of ${chunkDuration}s (${chunkOverlap}s overlap)`);
+        } else {
+          onProgress('This may take a few moments depending on audio length');
+        }
       }
 
-      // Transcribe the audio
-      const noteSequence = await this.model.transcribeFromAudioArray(audioSamples);
+      // Transcribe one chunk at a time so memory stays bounded by the chunk length
+      let notes = [];
+
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+
+        if (signal) {
+          signal.throwIfAborted();
+        }
+
+        if (onProgress && chunks.length > 1) {
+          onProgress(`Transcribing chunk ${i + 1}/${chunks.length} (${chunk.startTime.toFixed(1)}s to ${chunk.endTime.toFixed(1)}s)...`);
+        }
+
+        const chunkSequence = await this.model.transcribeFromAudioBuffer(
+          this.createMonoBuffer(audioSamples.subarray(chunk.startSample, chunk.endSample))
+        );
+
+        const chunkNotes = this.stitcher.offsetNotes(chunkSequence.notes || [], chunk.startTime);
+
+        notes = i === 0
+          ? chunkNotes
+          : this.stitcher.merge(notes, chunkNotes, chunks[i - 1], chunk);
+      }
+
+      notes.sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+
+      const noteSequence = {
+        notes: notes,
+        totalTime: audioSamples.length / this.sampleRate
+      };
 
       if (onProgress) {
-        const noteCount = noteSequence.notes ? noteSequence.notes.length : 0;
-        onProgress(`Transcription complete! Found ${noteCount} notes`);
+        onProgress(`Transcription complete! Found ${notes.length} notes`);
       }
 
       return noteSequence;
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
       console.error('Transcription failed:', error);
       throw new Error(`Transcription failed: ${error.message}`);
     }
   }
 
+  /**
+   * Wrap mono samples in the AudioBuffer shape Magenta.js reads from.
+   * Samples are already at the model rate, so Magenta skips its own resampling.
+   */
+  createMonoBuffer(audioSamples) {
+    return {
+      sampleRate: this.sampleRate,
+      numberOfChannels: 1,
+      length: audioSamples.length,
+      duration: audioSamples.length / this.sampleRate,
+      getChannelData: () => audioSamples
+    };
+  }
+
   /**
    * Get required sample rate for the model
    */
@@ -0,0 +1,324 @@
+/**
+ * SoundFont Module
+ * Reads SoundFont 2 (.sf2) files well enough to play melodic presets: key and velocity
+ * zones, root key and tuning, loops, attenuation, pan and the volume envelope.
+ * Modulators, filters, LFOs and the modulation envelope are ignored.
+ */
+
+// Generator numbers from the SoundFont 2.04 specification
+const GEN = {
+  startAddrsOffset: 0,
+  endAddrsOffset: 1,
+  startloopAddrsOffset: 2,
+  endloopAddrsOffset: 3,
+  startAddrsCoarseOffset: 4,
+  endAddrsCoarseOffset: 12,
+  pan: 17,
+  delayVolEnv: 33,
+  attackVolEnv: 34,
+  holdVolEnv: 35,
+  decayVolEnv: 36,
+  sustainVolEnv: 37,
+  releaseVolEnv: 38,
+  instrument: 41,
+  keyRange: 43,
+  velRange: 44,
+  startloopAddrsCoarseOffset: 45,
+  initialAttenuation: 48,
+  endloopAddrsCoarseOffset: 50,
+  coarseTune: 51,
+  fineTune: 52,
+  sampleID: 53,
+  sampleModes: 54,
+  scaleTuning: 56,
+  overridingRootKey: 58
+};
+
+// Generators whose preset-level values are added to the instrument's rather than ignored
+const ADDITIVE = [
+  GEN.pan, GEN.delayVolEnv, GEN.attackVolEnv, GEN.holdVolEnv, GEN.decayVolEnv, GEN.sustainVolEnv,
+  GEN.releaseVolEnv, GEN.initialAttenuation, GEN.coarseTune, GEN.fineTune
+];
+
+const ENVELOPE_DEFAULT = -12000;  // Timecents: about a millisecond
+const COARSE_OFFSET = 32768;      // Sample points per coarse address offset
+
+export class SoundFont {
+  /**
+   * @param {string} name - Bank name from the file's INFO chunk
+   * @param {Object[]} presets - { name, program, bank, global, zones }
+   * @param {Object[]} instruments - { name, global, zones }
+   * @param {Object[]} samples - Sample headers
+   * @param {Int16Array} sampleData - The smpl chunk
+   */
+  constructor(name, presets, instruments, samples, sampleData) {
+    this.name = name;
+    this.presets = presets;
+    this.instruments = instruments;
+    this.samples = samples;
+    this.sampleData = sampleData;
+    this.sampleCache = new Map();
+  }
+
+  /**
+   * Parse an .sf2 file
+   * @param {ArrayBuffer} arrayBuffer - File contents
+   * @param {string} fallbackName - Name to use if the file doesn't have one
+   * @returns {SoundFont}
+   */
+  static parse(arrayBuffer, fallbackName = 'SoundFont') {
+    const view = new DataView(arrayBuffer);
+    const tag = (offset) => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+
+    if (arrayBuffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'sfbk') {
+      throw new Error('Not a SoundFont 2 file');
+    }
+
+    // Collect the leaf chunks inside the LIST chunks
+    const chunks = {};
+    const walk = (start, end) => {
+      let offset = start;
+      while (offset + 8 <= end) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+
+        if (id === 'LIST') {
+          walk(offset + 12, offset + 8 + size);
+        } else {
+          chunks[id] = { offset: offset + 8, size };
+        }
+
+        offset += 8 + size + (size & 1);
+      }
+    };
+    walk(12, Math.min(arrayBuffer.byteLength, 8 + view.getUint32(4, true)));
+
+    for (const id of ['smpl', 'phdr', 'pbag', 'pgen', 'inst', 'ibag', 'igen', 'shdr']) {
+      if (!chunks[id]) {
+        throw new Error(`SoundFont is missing its ${id} chunk`);
+      }
+    }
+
+    const readString = (offset, length) => {
+      const bytes = new Uint8Array(arrayBuffer, offset, length);
+      const end = bytes.indexOf(0);
+      return String.fromCharCode(...(end === -1 ? bytes : bytes.subarray(0, end))).trim();
+    };
+
+    const records = (id, size, read) => {
+      const { offset, size: chunkSize } = chunks[id];
+      const list = [];
+      for (let i = 0; i < Math.floor(chunkSize / size); i++) {
+        list.push(read(offset + i * size));
+      }
+      return list;
+    };
+
+    const bagIndexes = (id) => records(id, 4, offset => view.getUint16(offset, true));
+    const generators = (id) => records(id, 4, offset => ({
+      oper: view.getUint16(offset, true),
+      amount: view.getInt16(offset + 2, true),
+      range: [view.getUint8(offset + 2), view.getUint8(offset + 3)]
+    }));
+
+    const presetHeaders = records('phdr', 38, offset => ({
+      name: readString(offset, 20),
+      program: view.getUint16(offset + 20, true),
+      bank: view.getUint16(offset + 22, true),
+      bagIndex: view.getUint16(offset + 24, true)
+    }));
+    const instrumentHeaders = records('inst', 22, offset => ({
+      name: readString(offset, 20),
+      bagIndex: view.getUint16(offset + 20, true)
+    }));
+    const samples = records('shdr', 46, offset => ({
+      name: readString(offset, 20),
+      start: view.getUint32(offset + 20, true),
+      end: view.getUint32(offset + 24, true),
+      startLoop: view.getUint32(offset + 28, true),
+      endLoop: view.getUint32(offset + 32, true),
+      sampleRate: view.getUint32(offset + 36, true),
+      originalPitch: view.getUint8(offset + 40),
+      pitchCorrection: view.getInt8(offset + 41)
+    }));
+
+    const presets = SoundFont.buildZones(presetHeaders, bagIndexes('pbag'), generators('pgen'), GEN.instrument);
+    const instruments = SoundFont.buildZones(instrumentHeaders, bagIndexes('ibag'), generators('igen'), GEN.sampleID);
+
+    const smpl = chunks.smpl;
+    const sampleData = new Int16Array(arrayBuffer.slice(smpl.offset, smpl.offset + smpl.size - (smpl.size & 1)));
+
+    const name = chunks.INAM ? readString(chunks.INAM.offset, chunks.INAM.size) : '';
+
+    return new SoundFont(name || fallbackName, presets, instruments, samples, sampleData);
+  }
+
+  /**
+   * Turn header, bag and generator records into zones. The last header is the
+   * terminal record; a first zone without the `terminal` generator is the global zone.
+   */
+  static buildZones(headers, bags, gens, terminal) {
+    return headers.slice(0, -1).map((header, i) => {
+      const zones = [];
+      let global = null;
+
+      for (let bag = header.bagIndex; bag < headers[i + 1].bagIndex; bag++) {
+        const zone = { gens: {}, keyRange: [0, 127], velRange: [0, 127] };
+
+        for (let g = bags[bag]; g < (bags[bag + 1] !== undefined ? bags[bag + 1] : gens.length); g++) {
+          const { oper, amount, range } = gens[g];
+
+          if (oper === GEN.keyRange) {
+            zone.keyRange = range;
+          } else if (oper === GEN.velRange) {
+            zone.velRange = range;
+          } else {
+            zone.gens[oper] = amount;
+          }
+        }
+
+        if (zone.gens[terminal] === undefined) {
+          if (zones.length === 0 && global === null) {
+            global = zone;
+          }
+        } else {
+          zones.push(zone);
+        }
+      }
+
+      return { ...header, global, zones };
+    });
+  }
+
+  /**
+   * Find the preset for a program, preferring the melodic bank
+   */
+  findPreset(program, bank = 0) {
+    return this.presets.find(preset => preset.program === program && preset.bank === bank) ||
+      this.presets.find(preset => preset.program === program) ||
+      this.presets.find(preset => preset.bank === bank) ||
+      this.presets[0] ||
+      null;
+  }
+
+  /**
+   * Everything needed to play one note: one voice per matching instrument zone
+   * @param {number} program - General MIDI program
+   * @param {number} pitch - MIDI note number
+   * @param {number} velocity - 1-127
+   * @returns {Object[]} - { data (Float32Array), sampleRate, playbackRate, loop ({ start, end } seconds, or null),
+   *   gain (linear), pan (-1 to 1), envelope ({ delay, attack, hold, decay, release } seconds, sustain 0-1) }
+   */
+  getVoices(program, pitch, velocity) {
+    const preset = this.findPreset(program);
+    const voices = [];
+
+    if (!preset) {
+      return voices;
+    }
+
+    const inRange = (zone) =>
+      pitch >= zone.keyRange[0] && pitch <= zone.keyRange[1] &&
+      velocity >= zone.velRange[0] && velocity <= zone.velRange[1];
+
+    preset.zones.filter(inRange).forEach(presetZone => {
+      const instrument = this.instruments[presetZone.gens[GEN.instrument]];
+      if (!instrument) {
+        return;
+      }
+
+      const presetGens = { ...(preset.global ? preset.global.gens : {}), ...presetZone.gens };
+
+      instrument.zones.filter(inRange).forEach(zone => {
+        const gens = { ...(instrument.global ? instrument.global.gens : {}), ...zone.gens };
+
+        ADDITIVE.forEach(oper => {
+          if (presetGens[oper] !== undefined) {
+            gens[oper] = (gens[oper] !== undefined ? gens[oper] : this.defaultValue(oper)) + presetGens[oper];
+          }
+        });
+
+        const voice = this.buildVoice(gens, pitch);
+        if (voice) {
+          voices.push(voice);
+        }
+      });
+    });
+
+    return voices;
+  }
+
+  defaultValue(oper) {
+    const envelope = [GEN.delayVolEnv, GEN.attackVolEnv, GEN.holdVolEnv, GEN.decayVolEnv, GEN.releaseVolEnv];
+    return envelope.includes(oper) ? ENVELOPE_DEFAULT : 0;
+  }
+
+  /**
+   * Resolve a zone's generators into playback parameters
+   */
+  buildVoice(gens, pitch) {
+    const value = (oper) => (gens[oper] !== undefined ? gens[oper] : this.defaultValue(oper));
+    const sample = this.samples[gens[GEN.sampleID]];
+
+    if (!sample) {
+      return null;
+    }
+
+    const start = sample.start + value(GEN.startAddrsOffset) + COARSE_OFFSET * value(GEN.startAddrsCoarseOffset);
+    const end = sample.end + value(GEN.endAddrsOffset) + COARSE_OFFSET * value(GEN.endAddrsCoarseOffset);
+    const loopStart = sample.startLoop + value(GEN.startloopAddrsOffset) + COARSE_OFFSET * value(GEN.startloopAddrsCoarseOffset);
+    const loopEnd = sample.endLoop + value(GEN.endloopAddrsOffset) + COARSE_OFFSET * value(GEN.endloopAddrsCoarseOffset);
+
+    if (end <= start || end > this.sampleData.length) {
+      return null;
+    }
+
+    const overridingRoot = gens[GEN.overridingRootKey];
+    const rootKey = overridingRoot !== undefined && overridingRoot >= 0
+      ? overridingRoot
+      : (sample.originalPitch <= 127 ? sample.originalPitch : 60);
+    const scaleTuning = gens[GEN.scaleTuning] !== undefined ? gens[GEN.scaleTuning] : 100;
+    const cents = (pitch - rootKey) * scaleTuning + value(GEN.coarseTune) * 100 + value(GEN.fineTune) + sample.pitchCorrection;
+
+    // Sample modes 1 and 3 loop (3 plays the rest of the sample on release, which is close enough)
+    const loops = (value(GEN.sampleModes) & 1) === 1 && loopEnd > loopStart && loopStart >= start && loopEnd <= end;
+    const seconds = (timecents) => 2 ** (timecents / 1200);
+
+    return {
+      data: this.getSampleData(start, end),
+      sampleRate: sample.sampleRate,
+      playbackRate: 2 ** (cents / 1200),
+      loop: loops
+        ? { start: (loopStart - start) / sample.sampleRate, end: (loopEnd - start) / sample.sampleRate }
+        : null,
+      gain: 10 ** (-Math.max(0, value(GEN.initialAttenuation)) / 200),
+      pan: Math.max(-1, Math.min(1, value(GEN.pan) / 500)),
+      envelope: {
+        delay: seconds(value(GEN.delayVolEnv)),
+        attack: seconds(value(GEN.attackVolEnv)),
+        hold: seconds(value(GEN.holdVolEnv)),
+        decay: seconds(value(GEN.decayVolEnv)),
+        sustain: 10 ** (-Math.max(0, value(GEN.sustainVolEnv)) / 200),
+        release: seconds(value(GEN.releaseVolEnv))
+      }
+    };
+  }
+
+  /**
+   * Sample points as floats, converted once per range
+   */
+  getSampleData(start, end) {
+    const key = `${start}:${end}`;
+    let data = this.sampleCache.get(key);
+
+    if (!data) {
+      data = new Float32Array(end - start);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = this.sampleData[start + i] / 32768;
+      }
+      this.sampleCache.set(key, data);
+    }
+
+    return data;
+  }
+}
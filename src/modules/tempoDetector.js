@@ -0,0 +1,236 @@
+/**
+ * Tempo Detector Module
+ * Estimates tempo, beat positions and meter from transcribed note onsets.
+ * Onsets are turned into an onset-strength envelope; autocorrelation picks the beat
+ * period and a dynamic-programming beat tracker (Ellis, 2007) places the beats.
+ */
+
+const FRAME_RATE = 100;           // Envelope frames per second
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const PRIOR_BPM = 120;            // Centre of the tempo prior (log-Gaussian, one octave wide)
+const TIGHTNESS = 100;            // How strongly the beat tracker sticks to the period
+const MIN_NOTES = 8;              // Fewer onsets than this carry no usable rhythm
+
+export class TempoDetector {
+  /**
+   * Analyse note onsets
+   * @param {Array<Object>} notes - NoteSequence notes ({ startTime, velocity })
+   * @returns {{ bpm: number, beats: number[], beatsPerBar: number, downbeat: number } | null}
+   *   Beat times in seconds, the meter's beats per bar and the index of the first downbeat;
+   *   null if there are too few notes to tell
+   */
+  detect(notes) {
+    if (notes.length < MIN_NOTES) {
+      return null;
+    }
+
+    const envelope = this.onsetEnvelope(notes);
+    const period = this.estimatePeriod(envelope);
+
+    if (!period) {
+      return null;
+    }
+
+    const beatFrames = this.trackBeats(envelope, period);
+
+    if (beatFrames.length < 4) {
+      return null;
+    }
+
+    const beats = beatFrames.map(frame => frame / FRAME_RATE);
+    const { beatsPerBar, downbeat } = this.detectMeter(envelope, beatFrames);
+
+    // Median spacing is robust to the odd skipped or doubled beat
+    const intervals = beats.slice(1).map((time, i) => time - beats[i]).sort((a, b) => a - b);
+    const bpm = 60 / intervals[Math.floor(intervals.length / 2)];
+
+    return { bpm, beats, beatsPerBar, downbeat };
+  }
+
+  /**
+   * Build a smoothed onset-strength envelope from note starts, weighted by velocity
+   */
+  onsetEnvelope(notes) {
+    const lastOnset = notes.reduce((latest, note) => Math.max(latest, note.startTime), 0);
+    const envelope = new Float32Array(Math.ceil(lastOnset * FRAME_RATE) + FRAME_RATE);
+
+    notes.forEach(note => {
+      const frame = Math.round(note.startTime * FRAME_RATE);
+      envelope[frame] += (note.velocity !== undefined ? note.velocity : 64) / 127;
+    });
+
+    // Gaussian smoothing (sigma 2 frames = 20ms) so onsets a frame or two apart still line up
+    const sigma = 2;
+    const radius = 2 * sigma;
+    const kernel = [];
+    for (let i = -radius; i <= radius; i++) {
+      kernel.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+
+    const smoothed = new Float32Array(envelope.length);
+    for (let t = 0; t < envelope.length; t++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const index = t + k;
+        if (index >= 0 && index < envelope.length) {
+          sum += envelope[index] * kernel[k + radius];
+        }
+      }
+      smoothed[t] = sum;
+    }
+
+    // Normalise so the tracker's tightness means the same thing for every piece
+    let mean = 0;
+    smoothed.forEach(value => { mean += value; });
+    mean /= smoothed.length;
+
+    let variance = 0;
+    smoothed.forEach(value => { variance += (value - mean) ** 2; });
+    const deviation = Math.sqrt(variance / smoothed.length) || 1;
+
+    return smoothed.map(value => value / deviation);
+  }
+
+  /**
+   * Pick the beat period (in frames) from the envelope's autocorrelation
+   */
+  estimatePeriod(envelope) {
+    const minLag = Math.floor((60 * FRAME_RATE) / MAX_BPM);
+    const maxLag = Math.min(Math.ceil((60 * FRAME_RATE) / MIN_BPM), envelope.length - 1);
+    const scores = new Float32Array(maxLag + 2);
+
+    for (let lag = minLag; lag <= maxLag + 1 && lag < envelope.length; lag++) {
+      let sum = 0;
+      for (let t = 0; t + lag < envelope.length; t++) {
+        sum += envelope[t] * envelope[t + lag];
+      }
+
+      const bpm = (60 * FRAME_RATE) / lag;
+      const prior = Math.exp(-0.5 * Math.log2(bpm / PRIOR_BPM) ** 2);
+      scores[lag] = (sum / (envelope.length - lag)) * prior;
+    }
+
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (scores[lag] > scores[best]) {
+        best = lag;
+      }
+    }
+
+    if (!best || scores[best] <= 0) {
+      return null;
+    }
+
+    // Parabolic interpolation for sub-frame precision
+    const previous = scores[best - 1];
+    const next = scores[best + 1];
+    const curvature = previous - 2 * scores[best] + next;
+    const offset = curvature < 0 ? 0.5 * (previous - next) / curvature : 0;
+
+    return best + offset;
+  }
+
+  /**
+   * Place beats with dynamic programming: each beat is an onset-strength peak
+   * roughly one period after the previous beat
+   * @returns {number[]} - Beat positions in frames
+   */
+  trackBeats(envelope, period) {
+    const length = envelope.length;
+    const score = new Float32Array(length);
+    const backlink = new Int32Array(length).fill(-1);
+
+    const minStep = Math.round(period / 2);
+    const maxStep = Math.round(period * 2);
+
+    for (let t = 0; t < length; t++) {
+      let bestScore = 0;
+      let bestPrevious = -1;
+
+      for (let previous = t - maxStep; previous <= t - minStep; previous++) {
+        if (previous < 0) {
+          continue;
+        }
+
+        const penalty = TIGHTNESS * Math.log((t - previous) / period) ** 2;
+        const candidate = score[previous] - penalty;
+
+        if (bestPrevious === -1 || candidate > bestScore) {
+          bestScore = candidate;
+          bestPrevious = previous;
+        }
+      }
+
+      score[t] = envelope[t] + (bestPrevious === -1 ? 0 : Math.max(0, bestScore));
+      backlink[t] = bestScore > 0 ? bestPrevious : -1;
+    }
+
+    // End on the best-scoring frame within the final period
+    let end = length - 1;
+    for (let t = Math.max(0, length - Math.round(period)); t < length; t++) {
+      if (score[t] > score[end]) {
+        end = t;
+      }
+    }
+
+    const beats = [];
+    for (let t = end; t >= 0; t = backlink[t]) {
+      beats.push(t);
+    }
+
+    return beats.reverse();
+  }
+
+  /**
+   * Choose 3/4 or 4/4 from how strongly every 3rd or 4th beat is accented
+   * @returns {{ beatsPerBar: number, downbeat: number }}
+   */
+  detectMeter(envelope, beatFrames) {
+    const strengths = beatFrames.map(frame => {
+      let peak = 0;
+      for (let t = Math.max(0, frame - 3); t <= Math.min(envelope.length - 1, frame + 3); t++) {
+        peak = Math.max(peak, envelope[t]);
+      }
+      return peak;
+    });
+
+    const accent = (beatsPerBar) => {
+      let best = { contrast: -Infinity, downbeat: 0 };
+
+      for (let phase = 0; phase < beatsPerBar; phase++) {
+        let onSum = 0;
+        let onCount = 0;
+        let offSum = 0;
+        let offCount = 0;
+
+        strengths.forEach((strength, i) => {
+          if ((i - phase) % beatsPerBar === 0) {
+            onSum += strength;
+            onCount++;
+          } else {
+            offSum += strength;
+            offCount++;
+          }
+        });
+
+        const contrast = onSum / Math.max(1, onCount) - offSum / Math.max(1, offCount);
+        if (contrast > best.contrast) {
+          best = { contrast, downbeat: phase };
+        }
+      }
+
+      return best;
+    };
+
+    const triple = accent(3);
+    const quadruple = accent(4);
+
+    // 4/4 unless triple metre is clearly stronger
+    if (triple.contrast > 0 && triple.contrast > quadruple.contrast * 1.2) {
+      return { beatsPerBar: 3, downbeat: triple.downbeat };
+    }
+
+    return { beatsPerBar: 4, downbeat: quadruple.downbeat };
+  }
+}
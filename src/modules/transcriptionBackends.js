@@ -0,0 +1,71 @@
+/**
+ * Transcription Backends Module
+ * Registry of the models the modelChoice setting can pick from.
+ *
+ * A backend is an object with:
+ *   initialize(onProgress)                          - load the model / connect to the service
+ *   transcribe(audioSamples, options, onProgress)   - mono Float32Array in, NoteSequence out;
+ *                                                     options are { chunkDuration, chunkOverlap, signal }
+ *   getRequiredSampleRate()                         - rate audioSamples must be resampled to
+ *   dispose()                                       - free the model
+ */
+
+const backends = new Map();
+
+/**
+ * Register a backend
+ * @param {string} id - Value of the modelChoice setting
+ * @param {Object} definition - { label, create(options) } where create resolves to a backend
+ */
+export function registerBackend(id, definition) {
+  backends.set(id, definition);
+}
+
+/**
+ * Create a backend instance
+ * @param {string} id - Registered backend id
+ * @param {Object} options - Backend-specific options (e.g. checkpointURL, serviceURL)
+ * @returns {Promise<Object>} - The backend
+ */
+export async function createBackend(id, options = {}) {
+  const definition = backends.get(id);
+
+  if (!definition) {
+    throw new Error(`Unknown transcription model "${id}" (available: ${getBackendIds().join(', ')})`);
+  }
+
+  return definition.create(options);
+}
+
+/**
+ * List the registered backend ids
+ */
+export function getBackendIds() {
+  return Array.from(backends.keys());
+}
+
+/**
+ * Get a backend's display name
+ */
+export function getBackendLabel(id) {
+  const definition = backends.get(id);
+  return definition ? definition.label : id;
+}
+
+// Backends are imported on first use, so picking Transkun never loads TensorFlow.js
+// and the main thread can read labels without pulling in either model
+registerBackend('piano', {
+  label: 'Piano Transcription',
+  create: async (options) => {
+    const { PianoTranscription } = await import('./pianoTranscription.js');
+    return new PianoTranscription(options.checkpointURL);
+  }
+});
+
+registerBackend('transkun', {
+  label: 'Transkun',
+  create: async (options) => {
+    const { TranskunTranscription } = await import('./transkunTranscription.js');
+    return new TranskunTranscription(options.serviceURL);
+  }
+});
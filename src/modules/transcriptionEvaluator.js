@@ -0,0 +1,311 @@
+/**
+ * Transcription Evaluator Module
+ * Scores a generated MIDI file against a ground-truth MIDI file with the note-level
+ * metrics mir_eval.transcription uses: precision, recall and F1 for onsets, onsets
+ * with offsets, and onsets with offsets and velocity. Both files are compared as
+ * written: note offsets are where the notes end, not where the sustain pedal lets go.
+ */
+
+import { saveAs } from 'file-saver';
+import { getSavedSettings } from './historyStore.js';
+import { MIDIImporter } from './midiImporter.js';
+
+// mir_eval's defaults
+export const DEFAULT_TOLERANCES = {
+  onsetTolerance: 0.05,       // Seconds either side of the reference onset
+  offsetRatio: 0.2,           // Offset tolerance as a fraction of the reference note's duration...
+  offsetMinTolerance: 0.05,   // ...but at least this many seconds
+  velocityTolerance: 0.1      // On the reference's velocity range scaled to 0-1
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const METRICS = ['onset', 'onsetOffset', 'velocity'];
+
+const REPORT_COLUMNS = ['file', 'reference', 'model', 'filter_preset', 'reference_notes', 'estimated_notes',
+  'onset_precision', 'onset_recall', 'onset_f1',
+  'onset_offset_precision', 'onset_offset_recall', 'onset_offset_f1',
+  'velocity_precision', 'velocity_recall', 'velocity_f1', 'settings'];
+
+export class TranscriptionEvaluator {
+  constructor() {
+    this.midiImporter = new MIDIImporter();
+  }
+
+  /**
+   * Compare a transcription with its reference
+   * @param {Uint8Array} midiData - Generated MIDI file
+   * @param {Uint8Array} referenceData - Ground-truth MIDI file for the whole source
+   * @param {Object} options - { startTime, endTime (the transcribed range, 0 = to the end), ...DEFAULT_TOLERANCES }
+   * @returns {Object} - { referenceNotes, estimatedNotes, onset, onsetOffset, velocity, perPitch, missed, extra },
+   *   where each metric is { precision, recall, f1, matched }, perPitch holds the onset scores for
+   *   every pitch in either file, and missed/extra are the notes left unmatched by onset
+   *   ({ pitch, name, startTime, endTime, velocity })
+   */
+  evaluate(midiData, referenceData, options = {}) {
+    const tolerances = { ...DEFAULT_TOLERANCES, ...options };
+
+    try {
+      const estimated = this.readNotes(midiData);
+      const reference = this.readNotes(referenceData, options.startTime || 0, options.endTime || 0);
+
+      const onsetMatches = this.matchNotes(reference, estimated, tolerances, false);
+      const offsetMatches = this.matchNotes(reference, estimated, tolerances, true);
+      const velocityMatches = this.matchVelocities(reference, estimated, offsetMatches, tolerances.velocityTolerance);
+
+      const matchedReference = new Set(onsetMatches.map(([ref]) => ref));
+      const matchedEstimated = new Set(onsetMatches.map(([, est]) => est));
+
+      return {
+        referenceNotes: reference.length,
+        estimatedNotes: estimated.length,
+        onset: this.score(onsetMatches.length, reference.length, estimated.length),
+        onsetOffset: this.score(offsetMatches.length, reference.length, estimated.length),
+        velocity: this.score(velocityMatches.length, reference.length, estimated.length),
+        perPitch: this.perPitch(reference, estimated, onsetMatches),
+        missed: this.nameNotes(reference.filter((note, i) => !matchedReference.has(i))),
+        extra: this.nameNotes(estimated.filter((note, i) => !matchedEstimated.has(i)))
+      };
+
+    } catch (error) {
+      throw new Error(`Evaluation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pitched notes from every non-percussion track, in onset order. With a start time,
+   * notes starting outside the range are dropped and the rest shifted to start at 0
+   * @returns {Array<{ pitch, startTime, endTime, velocity }>} - Times in seconds, velocity 0-127
+   */
+  readNotes(midiData, startTime = 0, endTime = 0) {
+    return this.midiImporter.toNoteSequence(midiData).notes
+      .filter(note => note.startTime >= startTime && (!endTime || note.startTime < endTime))
+      .map(note => ({
+        ...note,
+        startTime: note.startTime - startTime,
+        endTime: note.endTime - startTime
+      }));
+  }
+
+  /**
+   * Pair reference and estimated notes of the same pitch whose onsets (and optionally
+   * offsets) fall within tolerance, as many pairs as possible (maximum bipartite matching)
+   * @returns {Array<[number, number]>} - [reference index, estimated index] pairs
+   */
+  matchNotes(reference, estimated, tolerances, withOffsets) {
+    const { onsetTolerance, offsetRatio, offsetMinTolerance } = tolerances;
+    const byPitch = new Map();
+
+    estimated.forEach((note, index) => {
+      if (!byPitch.has(note.pitch)) {
+        byPitch.set(note.pitch, []);
+      }
+      byPitch.get(note.pitch).push(index);
+    });
+
+    // Candidates for each reference note
+    const candidates = reference.map(ref => {
+      const offsetTolerance = Math.max(offsetMinTolerance, offsetRatio * (ref.endTime - ref.startTime));
+
+      return (byPitch.get(ref.pitch) || []).filter(index => {
+        const est = estimated[index];
+        return Math.abs(est.startTime - ref.startTime) <= onsetTolerance &&
+          (!withOffsets || Math.abs(est.endTime - ref.endTime) <= offsetTolerance);
+      });
+    });
+
+    // Kuhn's augmenting paths; candidates only ever share a pitch, so the searches stay small
+    const owner = new Map();      // Estimated index -> reference index
+
+    const augment = (ref, visited) => {
+      for (const est of candidates[ref]) {
+        if (visited.has(est)) {
+          continue;
+        }
+        visited.add(est);
+
+        if (!owner.has(est) || augment(owner.get(est), visited)) {
+          owner.set(est, ref);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    reference.forEach((note, index) => augment(index, new Set()));
+
+    return [...owner].map(([est, ref]) => [ref, est]).sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Keep the onset+offset matches whose velocities agree. As in mir_eval, reference
+   * velocities are scaled to 0-1 and estimated velocities mapped onto them by a
+   * least-squares line, so only relative dynamics count
+   */
+  matchVelocities(reference, estimated, matches, velocityTolerance) {
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const velocities = reference.map(note => note.velocity);
+    const low = Math.min(...velocities);
+    const range = Math.max(1, Math.max(...velocities) - low);
+    const scaled = (note) => (note.velocity - low) / range;
+
+    const x = matches.map(([, est]) => estimated[est].velocity);
+    const y = matches.map(([ref]) => scaled(reference[ref]));
+    const meanX = x.reduce((sum, value) => sum + value, 0) / x.length;
+    const meanY = y.reduce((sum, value) => sum + value, 0) / y.length;
+
+    let covariance = 0;
+    let variance = 0;
+    x.forEach((value, i) => {
+      covariance += (value - meanX) * (y[i] - meanY);
+      variance += (value - meanX) ** 2;
+    });
+
+    // Every estimated note at one velocity: the best fit is the mean
+    const slope = variance > 0 ? covariance / variance : 0;
+    const intercept = meanY - slope * meanX;
+
+    return matches.filter(([ref, est]) =>
+      Math.abs(slope * estimated[est].velocity + intercept - scaled(reference[ref])) < velocityTolerance);
+  }
+
+  /**
+   * Precision, recall and F1 from match counts (an empty side scores 0)
+   */
+  score(matched, referenceCount, estimatedCount) {
+    const precision = estimatedCount > 0 ? matched / estimatedCount : 0;
+    const recall = referenceCount > 0 ? matched / referenceCount : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return { precision, recall, f1, matched };
+  }
+
+  /**
+   * Onset scores for each pitch that appears in either file, lowest first
+   * @returns {Array<{ pitch, name, reference, estimated, matched, precision, recall, f1 }>}
+   */
+  perPitch(reference, estimated, matches) {
+    const counts = new Map();
+    const count = (pitch) => {
+      if (!counts.has(pitch)) {
+        counts.set(pitch, { reference: 0, estimated: 0, matched: 0 });
+      }
+      return counts.get(pitch);
+    };
+
+    reference.forEach(note => count(note.pitch).reference++);
+    estimated.forEach(note => count(note.pitch).estimated++);
+    matches.forEach(([ref]) => count(reference[ref].pitch).matched++);
+
+    return [...counts]
+      .sort((a, b) => a[0] - b[0])
+      .map(([pitch, { reference: refCount, estimated: estCount, matched }]) => ({
+        pitch,
+        name: this.noteName(pitch),
+        reference: refCount,
+        estimated: estCount,
+        ...this.score(matched, refCount, estCount)
+      }));
+  }
+
+  /**
+   * Find the reference MIDI for a source: the one with the same base name, or the only
+   * one when a single source is being converted
+   * @param {string} sourceName - Source name without extension
+   * @param {Array<{ name: string, data: Uint8Array }>} references - Named without extension
+   * @param {number} batchSize - Number of sources in the batch
+   * @returns {Object|null} - The matching reference
+   */
+  findReference(sourceName, references, batchSize) {
+    const key = this.referenceKey(sourceName);
+    const match = references.find(reference => this.referenceKey(reference.name) === key);
+
+    if (match) {
+      return match;
+    }
+
+    return references.length === 1 && batchSize === 1 ? references[0] : null;
+  }
+
+  referenceKey(name) {
+    return String(name).trim().toLowerCase();
+  }
+
+  nameNotes(notes) {
+    return notes.map(note => ({ ...note, name: this.noteName(note.pitch) }));
+  }
+
+  /**
+   * Scientific pitch name, e.g. 60 -> C4
+   */
+  noteName(pitch) {
+    return `${NOTE_NAMES[pitch % 12]}${Math.floor(pitch / 12) - 1}`;
+  }
+
+  /**
+   * Build the batch report, one row per evaluated file plus a mean row when there are several
+   * @param {Object[]} results - Results with an `evaluation` ({ reference, ...evaluate() }) and `settings`
+   * @returns {string} - CSV text with a header row
+   */
+  toCSV(results) {
+    const rows = results.map(result => {
+      const { evaluation } = result;
+      const settings = result.settings || {};
+
+      return [
+        result.filename,
+        evaluation.reference,
+        settings.modelChoice || '',
+        settings.filterPreset || '',
+        evaluation.referenceNotes,
+        evaluation.estimatedNotes,
+        ...METRICS.flatMap(metric => this.metricFields(evaluation[metric])),
+        JSON.stringify(getSavedSettings(settings))
+      ];
+    });
+
+    if (results.length > 1) {
+      const mean = (read) => results.reduce((sum, result) => sum + read(result.evaluation), 0) / results.length;
+
+      rows.push([
+        '(mean)', '', '', '',
+        this.round(mean(evaluation => evaluation.referenceNotes)),
+        this.round(mean(evaluation => evaluation.estimatedNotes)),
+        ...METRICS.flatMap(metric => this.metricFields({
+          precision: mean(evaluation => evaluation[metric].precision),
+          recall: mean(evaluation => evaluation[metric].recall),
+          f1: mean(evaluation => evaluation[metric].f1)
+        })),
+        ''
+      ]);
+    }
+
+    return [REPORT_COLUMNS, ...rows].map(row => row.map(field => this.csvField(field)).join(',')).join('\n') + '\n';
+  }
+
+  metricFields(metric) {
+    return [this.round(metric.precision), this.round(metric.recall), this.round(metric.f1)];
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Quote a CSV field when it contains a comma, quote or line break
+   */
+  csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Save the batch report to disk
+   */
+  save(results, filename = 'evaluation_report.csv') {
+    const blob = new Blob([this.toCSV(results)], { type: 'text/csv' });
+    saveAs(blob, filename);
+  }
+}
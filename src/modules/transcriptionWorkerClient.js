@@ -0,0 +1,203 @@
+/**
+ * Transcription Worker Client
+ * Main-thread side of src/workers/transcriptionWorker.js: sends audio over, relays progress back
+ */
+
+// How long an aborted request may take to wind down before the worker is terminated
+const CANCEL_GRACE_MS = 1000;
+
+export class TranscriptionWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.nextRequestId = 0;
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Start the worker on first use
+   */
+  initWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    this.worker = new Worker(
+      new URL('../workers/transcriptionWorker.js', import.meta.url),
+      { type: 'module' }
+    );
+
+    this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+
+    // Script errors (e.g. failing to load the worker) can't be tied to one request
+    this.worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.rejectAll(new Error(`Transcription worker failed: ${event.message || 'unknown error'}`));
+      this.worker.terminate();
+      this.worker = null;
+    });
+
+    return this.worker;
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} type - Handler name in the worker
+   * @param {Object} payload - Request data
+   * @param {Transferable[]} transfer - Buffers to move rather than copy
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Object>} - The handler's result
+   */
+  request(type, payload = {}, transfer = [], onProgress = null, signal = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const worker = this.initWorker();
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject, onProgress, signal, onAbort: null };
+
+      if (signal) {
+        pending.onAbort = () => this.cancelRequest(id);
+        signal.addEventListener('abort', pending.onAbort, { once: true });
+      }
+
+      this.pendingRequests.set(id, pending);
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  /**
+   * Ask the worker to abort a request, terminating it if it doesn't stop in time
+   */
+  cancelRequest(id) {
+    if (!this.worker || !this.pendingRequests.has(id)) {
+      return;
+    }
+
+    this.worker.postMessage({ id, type: 'cancel' });
+
+    // Model inference can't be interrupted mid-chunk, so fall back to killing the worker
+    setTimeout(() => {
+      const pending = this.pendingRequests.get(id);
+      if (!pending) {
+        return;
+      }
+
+      this.settle(id, pending);
+      pending.reject(pending.signal.reason);
+
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      }
+      this.rejectAll(new Error('Transcription worker was restarted after a cancel'));
+    }, CANCEL_GRACE_MS);
+  }
+
+  /**
+   * Forget a request and detach its abort listener
+   */
+  settle(id, pending) {
+    this.pendingRequests.delete(id);
+
+    if (pending.signal) {
+      pending.signal.removeEventListener('abort', pending.onAbort);
+    }
+  }
+
+  /**
+   * Route a worker message to its pending request
+   */
+  handleMessage(message) {
+    const pending = this.pendingRequests.get(message.id);
+    if (!pending) {
+      return;
+    }
+
+    if (message.type === 'progress') {
+      if (pending.onProgress) {
+        pending.onProgress(message.message);
+      }
+      return;
+    }
+
+    this.settle(message.id, pending);
+
+    if (message.type === 'error' && message.name === 'AbortError') {
+      pending.reject(pending.signal ? pending.signal.reason : new DOMException(message.message, 'AbortError'));
+    } else if (message.type === 'error') {
+      pending.reject(new Error(message.message));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  /**
+   * Reject every outstanding request
+   */
+  rejectAll(error) {
+    this.pendingRequests.forEach((pending, id) => {
+      this.settle(id, pending);
+      pending.reject(error);
+    });
+  }
+
+  /**
+   * Load a transcription model in the worker
+   * @param {string} backend - Backend id from transcriptionBackends.js
+   */
+  async initialize(backend = 'piano', onProgress = null) {
+    return this.request('initialize', { backend }, [], onProgress);
+  }
+
+  /**
+   * Transcribe decoded audio in the worker
+   * @param {Object} rawAudio - { sampleRate, channels } from AudioProcessor.toRawAudio()
+   * @param {Object} options - { backend, startTime, endTime, chunkDuration, chunkOverlap, signal }
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<{ noteSequence: Object, duration: number }>}
+   */
+  async transcribe(rawAudio, options = {}, onProgress = null) {
+    const {
+      backend = 'piano',
+      startTime = 0,
+      endTime = 0,
+      chunkDuration = 0,
+      chunkOverlap = 0,
+      signal = null,
+    } = options;
+
+    // Channel data is transferred, so rawAudio can't be reused afterwards
+    return this.request(
+      'transcribe',
+      {
+        backend,
+        sampleRate: rawAudio.sampleRate,
+        channels: rawAudio.channels,
+        startTime,
+        endTime,
+        chunkDuration,
+        chunkOverlap
+      },
+      rawAudio.channels.map(data => data.buffer),
+      onProgress,
+      signal
+    );
+  }
+
+  /**
+   * Free the model and stop the worker
+   */
+  async dispose() {
+    if (!this.worker) {
+      return;
+    }
+
+    await this.request('dispose');
+    this.worker.terminate();
+    this.worker = null;
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Transkun Transcription Module
+ * Sends audio to a locally run Transkun service (scripts/transkun-server.py) and
+ * reads the MIDI it returns back into a NoteSequence
+ */
+
+import { Midi } from '@tonejs/midi';
+
+const DEFAULT_SERVICE_URL = 'http://localhost:8765';
+
+export class TranskunTranscription {
+  /**
+   * @param {string} serviceURL - Base URL of the Transkun service
+   */
+  constructor(serviceURL = DEFAULT_SERVICE_URL) {
+    this.serviceURL = serviceURL.replace(/\/+$/, '');
+    this.serviceReady = false;
+    this.sampleRate = 44100;  // Transkun's native rate, so the service doesn't resample again
+  }
+
+  /**
+   * Check that the service is running
+   */
+  async initialize(onProgress = null) {
+    if (this.serviceReady) {
+      return;
+    }
+
+    if (onProgress) {
+      onProgress(`Connecting to Transkun service at ${this.serviceURL}...`);
+    }
+
+    try {
+      const response = await fetch(`${this.serviceURL}/health`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      this.serviceReady = true;
+
+      if (onProgress) {
+        onProgress('Transkun service is ready');
+      }
+
+    } catch (error) {
+      throw new Error(`Transkun service not reachable at ${this.serviceURL} (${error.message}). Start it with: python scripts/transkun-server.py`);
+    }
+  }
+
+  /**
+   * Transcribe audio to MIDI notes
+   * @param {Float32Array} audioSamples - Mono audio samples at 44.1kHz
+   * @param {Object} options - { signal }; chunking options are ignored, Transkun segments audio itself
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<NoteSequence>} - NoteSequence with notes in absolute seconds
+   */
+  async transcribe(audioSamples, options = {}, onProgress = null) {
+    const { signal = null } = options;
+
+    await this.initialize(onProgress);
+
+    try {
+      if (onProgress) {
+        onProgress('Sending audio to Transkun (this may take a while on CPU)...');
+      }
+
+      const response = await fetch(`${this.serviceURL}/transcribe`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/wav',
+        },
+        body: this.encodeWav(audioSamples),
+        signal: signal,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const midi = new Midi(await response.arrayBuffer());
+
+      const notes = midi.tracks
+        .flatMap(track => track.notes)
+        .map(note => ({
+          pitch: note.midi,
+          startTime: note.time,
+          endTime: note.time + note.duration,
+          velocity: Math.round(note.velocity * 127)
+        }))
+        .sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+
+      if (onProgress) {
+        onProgress(`Transcription complete! Found ${notes.length} notes`);
+      }
+
+      return {
+        notes: notes,
+        totalTime: audioSamples.length / this.sampleRate
+      };
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      // A dropped connection usually means the service stopped, so check again next time
+      this.serviceReady = false;
+      throw new Error(`Transcription failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encode mono samples as a 16-bit PCM WAV file
+   */
+  encodeWav(audioSamples) {
+    const dataSize = audioSamples.length * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);              // fmt chunk size
+    view.setUint16(20, 1, true);               // PCM
+    view.setUint16(22, 1, true);               // mono
+    view.setUint32(24, this.sampleRate, true);
+    view.setUint32(28, this.sampleRate * 2, true);  // byte rate
+    view.setUint16(32, 2, true);               // block align
+    view.setUint16(34, 16, true);              // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    for (let i = 0; i < audioSamples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, audioSamples[i]));
+      view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+
+    return view.buffer;
+  }
+
+  /**
+   * Get required sample rate for the model
+   */
+  getRequiredSampleRate() {
+    return this.sampleRate;
+  }
+
+  /**
+   * Check if the service has answered
+   */
+  isLoaded() {
+    return this.serviceReady;
+  }
+
+  /**
+   * Nothing is held locally; forget the connection check
+   */
+  dispose() {
+    this.serviceReady = false;
+  }
+}
@@ -3,11 +3,26 @@
  * Manages all UI updates, progress indicators, and user interactions
  */
 
+import { DEFAULT_CURVE_POINTS } from './velocityProcessor.js';
+import { PianoRoll } from './pianoRoll.js';
+import { WaveformView } from './waveformView.js';
+
+const CURVE_PADDING = 10;         // Pixels around the velocity curve plot
+const CURVE_HIT_RADIUS = 8;       // Pixels within which a click grabs a curve point
+const ROLL_ZOOM_STEP = 1.5;       // Zoom factor of the piano roll's +/- buttons
+
 export class UIController {
   constructor() {
     this.elements = {};
     this.isProcessing = false;
     this.settingsExpanded = true;
+    this.curvePoints = DEFAULT_CURVE_POINTS.map(point => [...point]);
+    this.selectedFileCount = 0;
+    this.selectedMidiCount = 0;
+    this.evaluatedResults = [];
+    this.selectedEvaluation = null;
+    this.pianoRoll = null;
+    this.waveformView = null;
   }
 
   /**
@@ -20,8 +35,45 @@ export class UIController {
       customTitle: document.getElementById('customTitle'),
       modelChoice: document.getElementById('modelChoice'),
       chunkDur: document.getElementById('chunkDur'),
+      chunkOverlap: document.getElementById('chunkOverlap'),
+      concurrency: document.getElementById('concurrency'),
+      filterPreset: document.getElementById('filterPreset'),
+      savePresetBtn: document.getElementById('savePresetBtn'),
+      deletePresetBtn: document.getElementById('deletePresetBtn'),
       maxNotes: document.getElementById('maxNotes'),
       enableMaxNotes: document.getElementById('enableMaxNotes'),
+      truncateLongNotes: document.getElementById('truncateLongNotes'),
+      minDuration: document.getElementById('minDuration'),
+      velocityFloor: document.getElementById('velocityFloor'),
+      minPitch: document.getElementById('minPitch'),
+      maxPitch: document.getElementById('maxPitch'),
+      removeGhostNotes: document.getElementById('removeGhostNotes'),
+      mergeRetriggers: document.getElementById('mergeRetriggers'),
+      maxPolyphony: document.getElementById('maxPolyphony'),
+      detectTempo: document.getElementById('detectTempo'),
+      quantize: document.getElementById('quantize'),
+      quantizeStrength: document.getElementById('quantizeStrength'),
+      keySignature: document.getElementById('keySignature'),
+      transposeTo: document.getElementById('transposeTo'),
+      separateHands: document.getElementById('separateHands'),
+      pedal: document.getElementById('pedal'),
+      velocityMode: document.getElementById('velocityMode'),
+      fixedVelocity: document.getElementById('fixedVelocity'),
+      velocityCurve: document.getElementById('velocityCurve'),
+      velocityDynamics: document.getElementById('velocityDynamics'),
+      velocityMin: document.getElementById('velocityMin'),
+      velocityMax: document.getElementById('velocityMax'),
+      velocityNormalize: document.getElementById('velocityNormalize'),
+      fixedVelocityGroup: document.getElementById('fixedVelocityGroup'),
+      velocityCurveGroup: document.getElementById('velocityCurveGroup'),
+      velocityDynamicsGroup: document.getElementById('velocityDynamicsGroup'),
+      velocityMinGroup: document.getElementById('velocityMinGroup'),
+      velocityMaxGroup: document.getElementById('velocityMaxGroup'),
+      velocityNormalizeOption: document.getElementById('velocityNormalizeOption'),
+      velocityCurveEditor: document.getElementById('velocityCurveEditor'),
+      velocityCurveCanvas: document.getElementById('velocityCurveCanvas'),
+      velocityHistogram: document.getElementById('velocityHistogram'),
+      velocityHistogramHint: document.getElementById('velocityHistogramHint'),
       startTime: document.getElementById('startTime'),
       endTime: document.getElementById('endTime'),
       zipOutput: document.getElementById('zipOutput'),
@@ -33,11 +85,87 @@ export class UIController {
       uploadZone: document.getElementById('uploadZone'),
       fileInput: document.getElementById('fileInput'),
       fileInfo: document.getElementById('fileInfo'),
+      midiUploadZone: document.getElementById('midiUploadZone'),
+      midiInput: document.getElementById('midiInput'),
+      midiFileInfo: document.getElementById('midiFileInfo'),
+
+      // Trim regions
+      trimSection: document.getElementById('trimSection'),
+      trimFile: document.getElementById('trimFile'),
+      trimPlayBtn: document.getElementById('trimPlayBtn'),
+      trimClearBtn: document.getElementById('trimClearBtn'),
+      trimRange: document.getElementById('trimRange'),
+      waveformCanvas: document.getElementById('waveformCanvas'),
+      segmentName: document.getElementById('segmentName'),
+      segmentStart: document.getElementById('segmentStart'),
+      segmentEnd: document.getElementById('segmentEnd'),
+      addSegmentBtn: document.getElementById('addSegmentBtn'),
+      segmentTable: document.getElementById('segmentTable'),
+      segmentTableBody: document.getElementById('segmentTableBody'),
 
       // Buttons
       convertBtn: document.getElementById('convertBtn'),
       cancelBtn: document.getElementById('cancelBtn'),
+      midiFormat: document.getElementById('midiFormat'),
+      ppq: document.getElementById('ppq'),
+      midiProgram: document.getElementById('midiProgram'),
+      midiChannel: document.getElementById('midiChannel'),
+      trackName: document.getElementById('trackName'),
+      sequenceName: document.getElementById('sequenceName'),
+      copyright: document.getElementById('copyright'),
+      embedMetadata: document.getElementById('embedMetadata'),
       downloadBtn: document.getElementById('downloadBtn'),
+      downloadRow: document.getElementById('downloadRow'),
+      downloadFormat: document.getElementById('downloadFormat'),
+      includeNoteData: document.getElementById('includeNoteData'),
+      includeRenderedAudio: document.getElementById('includeRenderedAudio'),
+
+      // Evaluation
+      referenceInput: document.getElementById('referenceInput'),
+      referenceBtn: document.getElementById('referenceBtn'),
+      clearReferencesBtn: document.getElementById('clearReferencesBtn'),
+      referenceInfo: document.getElementById('referenceInfo'),
+      evaluationPanel: document.getElementById('evaluationPanel'),
+      evaluationTableBody: document.getElementById('evaluationTableBody'),
+      evaluationDetails: document.getElementById('evaluationDetails'),
+      pitchTableBody: document.getElementById('pitchTableBody'),
+      missedTitle: document.getElementById('missedTitle'),
+      missedNotes: document.getElementById('missedNotes'),
+      extraTitle: document.getElementById('extraTitle'),
+      extraNotes: document.getElementById('extraNotes'),
+      evaluationReportBtn: document.getElementById('evaluationReportBtn'),
+
+      // Piano roll
+      pianoRollSection: document.getElementById('pianoRollSection'),
+      rollFile: document.getElementById('rollFile'),
+      rollPlayBtn: document.getElementById('rollPlayBtn'),
+      rollPlayNotes: document.getElementById('rollPlayNotes'),
+      rollMuteAudio: document.getElementById('rollMuteAudio'),
+      rollZoomOutBtn: document.getElementById('rollZoomOutBtn'),
+      rollZoomInBtn: document.getElementById('rollZoomInBtn'),
+      rollTime: document.getElementById('rollTime'),
+      rollEditBtn: document.getElementById('rollEditBtn'),
+      rollEditControls: document.getElementById('rollEditControls'),
+      rollUndoBtn: document.getElementById('rollUndoBtn'),
+      rollRedoBtn: document.getElementById('rollRedoBtn'),
+      rollDeleteBtn: document.getElementById('rollDeleteBtn'),
+      rollVelocity: document.getElementById('rollVelocity'),
+      rollSelectionInfo: document.getElementById('rollSelectionInfo'),
+      pianoRollCanvas: document.getElementById('pianoRollCanvas'),
+      rollScroll: document.getElementById('rollScroll'),
+
+      // A/B comparison
+      compareSection: document.getElementById('compareSection'),
+      abFile: document.getElementById('abFile'),
+      abPlayBtn: document.getElementById('abPlayBtn'),
+      abOriginalBtn: document.getElementById('abOriginalBtn'),
+      abRenderedBtn: document.getElementById('abRenderedBtn'),
+      abSeek: document.getElementById('abSeek'),
+      abTime: document.getElementById('abTime'),
+      soundFontInput: document.getElementById('soundFontInput'),
+      soundFontName: document.getElementById('soundFontName'),
+      loadSoundFontBtn: document.getElementById('loadSoundFontBtn'),
+      clearSoundFontBtn: document.getElementById('clearSoundFontBtn'),
 
       // Progress
       progressSection: document.getElementById('progressSection'),
@@ -45,8 +173,20 @@ export class UIController {
       progressText: document.getElementById('progressText'),
       progressCount: document.getElementById('progressCount'),
 
+      // Offline status
+      offlineStatus: document.getElementById('offlineStatus'),
+
       // Results
       resultsSection: document.getElementById('resultsSection'),
+      jobTableBody: document.getElementById('jobTableBody'),
+
+      // History
+      historySection: document.getElementById('historySection'),
+      historyTableBody: document.getElementById('historyTableBody'),
+      historyEmpty: document.getElementById('historyEmpty'),
+      storageBarFill: document.getElementById('storageBarFill'),
+      storageUsageText: document.getElementById('storageUsageText'),
+      clearHistoryBtn: document.getElementById('clearHistoryBtn'),
       processingLog: document.getElementById('processingLog'),
 
       // Settings
@@ -112,7 +252,8 @@ export class UIController {
    */
   updateConvertButton() {
     const hasYoutubeUrls = this.elements.youtubeUrls.value.trim().length > 0;
-    const hasFiles = this.elements.fileInput.files.length > 0;
+    // Counted from the selections, so dropped files count too
+    const hasFiles = this.selectedFileCount + this.selectedMidiCount > 0;
 
     this.elements.convertBtn.disabled = !(hasYoutubeUrls || hasFiles) || this.isProcessing;
   }
@@ -121,12 +262,26 @@ export class UIController {
    * Show file info
    */
   showFileInfo(files) {
+    this.selectedFileCount = files.length;
+    this.renderFileInfo(this.elements.fileInfo, files);
+  }
+
+  /**
+   * Show the MIDI files picked for re-processing
+   */
+  showMidiFileInfo(files) {
+    this.selectedMidiCount = files.length;
+    this.renderFileInfo(this.elements.midiFileInfo, files);
+  }
+
+  renderFileInfo(element, files) {
     if (files.length > 0) {
       const fileNames = files.map(f => f.name).join(', ');
-      this.elements.fileInfo.innerHTML = `<strong>✓ Selected:</strong> ${fileNames}`;
-      this.elements.fileInfo.style.display = 'block';
+      element.innerHTML = '<strong>✓ Selected:</strong> ';
+      element.appendChild(document.createTextNode(fileNames));
+      element.style.display = 'block';
     } else {
-      this.elements.fileInfo.style.display = 'none';
+      element.style.display = 'none';
     }
 
     this.updateConvertButton();
@@ -155,6 +310,383 @@ export class UIController {
     this.elements.processingLog.innerHTML = '';
   }
 
+  /**
+   * Route clicks on the per-file Retry and Remove buttons
+   * @param {Function} onRetry - Called with the job id
+   * @param {Function} onRemove - Called with the job id
+   */
+  setupJobTable(onRetry, onRemove) {
+    this.elements.jobTableBody.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) {
+        return;
+      }
+
+      const id = Number(button.closest('tr').dataset.jobId);
+
+      if (button.dataset.action === 'retry') {
+        onRetry(id);
+      } else if (button.dataset.action === 'remove') {
+        onRemove(id);
+      }
+    });
+  }
+
+  /**
+   * Add or update a file's row in the status table
+   * @param {Object} job - Job from ConversionPipeline
+   */
+  renderJob(job) {
+    let row = this.elements.jobTableBody.querySelector(`tr[data-job-id="${job.id}"]`);
+
+    if (!row) {
+      row = document.createElement('tr');
+      row.dataset.jobId = job.id;
+      row.innerHTML = `
+        <td class="job-name"></td>
+        <td><span class="job-status"></span></td>
+        <td class="job-notes"></td>
+        <td class="job-duration"></td>
+        <td class="job-actions">
+          <button type="button" data-action="retry">Retry</button>
+          <button type="button" data-action="remove">Remove</button>
+        </td>`;
+      this.elements.jobTableBody.appendChild(row);
+    }
+
+    const status = row.querySelector('.job-status');
+    status.dataset.status = job.status;
+    status.textContent = job.status;
+    status.title = job.error ? job.error.message : '';
+
+    row.querySelector('.job-name').textContent = job.name;
+    row.querySelector('.job-name').title = job.name;
+    row.querySelector('.job-notes').textContent = job.result ? job.result.noteCount : '';
+    row.querySelector('.job-duration').textContent = job.duration !== null ? this.formatDuration(job.duration) : '';
+
+    // Only finished-but-unsuccessful jobs can be retried
+    row.querySelector('button[data-action="retry"]').style.display =
+      job.status === 'failed' || job.status === 'cancelled' ? '' : 'none';
+  }
+
+  /**
+   * Remove a file's row from the status table
+   */
+  removeJobRow(id) {
+    const row = this.elements.jobTableBody.querySelector(`tr[data-job-id="${id}"]`);
+    if (row) {
+      row.remove();
+    }
+  }
+
+  /**
+   * Empty the status table
+   */
+  clearJobs() {
+    this.elements.jobTableBody.innerHTML = '';
+  }
+
+  /**
+   * Route clicks in the History panel
+   * @param {Object} handlers - { onDownload(id), onReExport(id), onDelete(id), onClear() }
+   */
+  setupHistory(handlers) {
+    this.elements.historyTableBody.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) {
+        return;
+      }
+
+      const id = Number(button.closest('tr').dataset.entryId);
+
+      if (button.dataset.action === 'download') {
+        handlers.onDownload(id);
+      } else if (button.dataset.action === 're-export') {
+        handlers.onReExport(id);
+      } else if (button.dataset.action === 'delete') {
+        handlers.onDelete(id);
+      }
+    });
+
+    this.elements.clearHistoryBtn.addEventListener('click', () => handlers.onClear());
+  }
+
+  /**
+   * Show the saved conversions
+   * @param {Object[]} entries - Entries from HistoryStore, newest first
+   */
+  renderHistory(entries) {
+    this.elements.historySection.style.display = 'block';
+    this.elements.historyTableBody.innerHTML = '';
+    this.elements.historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+    this.elements.clearHistoryBtn.style.display = entries.length === 0 ? 'none' : '';
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.dataset.entryId = entry.id;
+      row.innerHTML = `
+        <td class="job-name"></td>
+        <td class="history-date"></td>
+        <td class="job-notes"></td>
+        <td class="job-duration"></td>
+        <td class="job-actions">
+          <button type="button" data-action="download" title="Download the MIDI file as it was saved">Download</button>
+          <button type="button" data-action="re-export" title="Rebuild the MIDI file with the current post-processing settings">Re-export</button>
+          <button type="button" data-action="delete">Delete</button>
+        </td>`;
+
+      row.querySelector('.job-name').textContent = entry.filename;
+      row.querySelector('.job-name').title = entry.sourceUrl || entry.sourceName;
+      row.querySelector('.history-date').textContent = new Date(entry.createdAt).toLocaleString();
+      row.querySelector('.job-notes').textContent = entry.noteCount;
+      row.querySelector('.job-duration').textContent = entry.duration ? this.formatDuration(entry.duration) : '';
+
+      this.elements.historyTableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Show how much of the origin's storage quota is used
+   * @param {Object|null} estimate - { usage, quota } in bytes
+   */
+  setStorageUsage(estimate) {
+    if (!estimate || !estimate.quota) {
+      this.elements.storageUsageText.textContent = 'Storage usage unavailable';
+      return;
+    }
+
+    const fraction = Math.min(1, estimate.usage / estimate.quota);
+
+    this.elements.storageBarFill.style.width = `${(fraction * 100).toFixed(1)}%`;
+    this.elements.storageBarFill.classList.toggle('near-full', fraction > 0.8);
+    this.elements.storageUsageText.textContent =
+      `${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used (includes the offline model cache)`;
+  }
+
+  /**
+   * Format a byte count as KB/MB/GB
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+
+  /**
+   * Wire up the velocity controls and the custom curve editor
+   * @param {Function} onChange - Called whenever a velocity setting changes
+   */
+  setupVelocityControls(onChange) {
+    const inputs = ['velocityMode', 'fixedVelocity', 'velocityCurve', 'velocityDynamics',
+      'velocityMin', 'velocityMax', 'velocityNormalize'];
+
+    inputs.forEach(name => {
+      this.elements[name].addEventListener('input', () => {
+        this.updateVelocityControls();
+        onChange();
+      });
+    });
+
+    const canvas = this.elements.velocityCurveCanvas;
+    let dragging = null;
+
+    canvas.addEventListener('pointerdown', (event) => {
+      const position = this.curvePosition(event);
+      dragging = this.findCurvePoint(position);
+
+      // Clicking empty space adds a point (the end points stay at 0 and 127)
+      if (!dragging && position[0] > 0 && position[0] < 127) {
+        dragging = position;
+        this.curvePoints.push(dragging);
+      }
+
+      if (dragging) {
+        canvas.setPointerCapture(event.pointerId);
+        this.moveCurvePoint(dragging, position);
+        onChange();
+      }
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (dragging) {
+        this.moveCurvePoint(dragging, this.curvePosition(event));
+        onChange();
+      }
+    });
+
+    canvas.addEventListener('pointerup', () => {
+      dragging = null;
+    });
+
+    canvas.addEventListener('dblclick', (event) => {
+      const point = this.findCurvePoint(this.curvePosition(event));
+      const index = this.curvePoints.indexOf(point);
+
+      if (point && index > 0 && index < this.curvePoints.length - 1) {
+        this.curvePoints.splice(index, 1);
+        this.drawVelocityCurve();
+        onChange();
+      }
+    });
+
+    this.updateVelocityControls();
+  }
+
+  /**
+   * Show the controls that apply to the selected velocity mode
+   */
+  updateVelocityControls() {
+    const mode = this.elements.velocityMode.value;
+    const processing = mode === 'process';
+    const show = (element, visible) => {
+      element.style.display = visible ? '' : 'none';
+    };
+
+    show(this.elements.fixedVelocityGroup, mode === 'fixed');
+    show(this.elements.velocityCurveGroup, processing);
+    show(this.elements.velocityDynamicsGroup, processing);
+    show(this.elements.velocityMinGroup, processing);
+    show(this.elements.velocityMaxGroup, processing);
+    show(this.elements.velocityNormalizeOption, processing);
+    show(this.elements.velocityCurveEditor, processing && this.elements.velocityCurve.value === 'custom');
+
+    this.elements.velocityMin.disabled = !this.elements.velocityNormalize.checked;
+    this.elements.velocityMax.disabled = !this.elements.velocityNormalize.checked;
+
+    this.drawVelocityCurve();
+  }
+
+  /**
+   * Convert a pointer event on the curve canvas to [input, output] velocities
+   */
+  curvePosition(event) {
+    const canvas = this.elements.velocityCurveCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const size = canvas.width - CURVE_PADDING * 2;
+    const x = ((event.clientX - rect.left) * (canvas.width / rect.width) - CURVE_PADDING) / size;
+    const y = 1 - ((event.clientY - rect.top) * (canvas.height / rect.height) - CURVE_PADDING) / size;
+    const clamp = (value) => Math.min(127, Math.max(0, Math.round(value * 127)));
+
+    return [clamp(x), clamp(y)];
+  }
+
+  /**
+   * Find the curve point under a position, if any
+   */
+  findCurvePoint(position) {
+    const size = this.elements.velocityCurveCanvas.width - CURVE_PADDING * 2;
+    const radius = (CURVE_HIT_RADIUS / size) * 127;
+
+    return this.curvePoints.find(point =>
+      Math.hypot(point[0] - position[0], point[1] - position[1]) <= radius) || null;
+  }
+
+  /**
+   * Move a curve point, keeping the end points at the ends and the rest between their neighbours
+   */
+  moveCurvePoint(point, position) {
+    const index = this.curvePoints.indexOf(point);
+    const isEnd = index === 0 || index === this.curvePoints.length - 1;
+
+    if (!isEnd) {
+      point[0] = Math.min(126, Math.max(1, position[0]));
+    }
+    point[1] = position[1];
+
+    this.curvePoints.sort((a, b) => a[0] - b[0]);
+    this.drawVelocityCurve();
+  }
+
+  /**
+   * Draw the custom velocity curve
+   */
+  drawVelocityCurve() {
+    const canvas = this.elements.velocityCurveCanvas;
+    const context = canvas.getContext('2d');
+    const size = canvas.width - CURVE_PADDING * 2;
+    const toCanvas = ([x, y]) => [CURVE_PADDING + (x / 127) * size, CURVE_PADDING + (1 - y / 127) * size];
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Identity line for reference
+    context.strokeStyle = '#334155';
+    context.beginPath();
+    context.moveTo(...toCanvas([0, 0]));
+    context.lineTo(...toCanvas([127, 127]));
+    context.stroke();
+
+    context.strokeStyle = '#818cf8';
+    context.lineWidth = 2;
+    context.beginPath();
+    this.curvePoints.forEach((point, i) => {
+      const [x, y] = toCanvas(point);
+      if (i === 0) {
+        context.moveTo(x, y);
+      } else {
+        context.lineTo(x, y);
+      }
+    });
+    context.stroke();
+    context.lineWidth = 1;
+
+    context.fillStyle = '#e2e8f0';
+    this.curvePoints.forEach(point => {
+      const [x, y] = toCanvas(point);
+      context.beginPath();
+      context.arc(x, y, 4, 0, Math.PI * 2);
+      context.fill();
+    });
+  }
+
+  /**
+   * Draw the velocity histograms of the preview notes before and after processing
+   * @param {number[]} before - Bin counts of the model's velocities
+   * @param {number[]} after - Bin counts after velocity processing
+   */
+  renderVelocityHistogram(before, after) {
+    const canvas = this.elements.velocityHistogram;
+    const context = canvas.getContext('2d');
+    const labelHeight = 16;
+    const plotHeight = canvas.height - labelHeight;
+    const binWidth = canvas.width / before.length;
+    const peak = Math.max(1, ...before, ...after);
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    const drawBars = (counts, color, inset) => {
+      context.fillStyle = color;
+      counts.forEach((count, i) => {
+        const height = (count / peak) * (plotHeight - 4);
+        context.fillRect(i * binWidth + inset, plotHeight - height, binWidth - inset * 2, height);
+      });
+    };
+
+    drawBars(before, '#475569', 1);
+    drawBars(after, 'rgba(129, 140, 248, 0.8)', binWidth / 4);
+
+    context.fillStyle = '#94a3b8';
+    context.font = '11px sans-serif';
+    context.fillText('0', 2, canvas.height - 4);
+    context.fillText('127', canvas.width - 22, canvas.height - 4);
+
+    this.elements.velocityHistogramHint.textContent = 'Velocities of the last converted file: before (grey) and after (purple)';
+  }
+
+  /**
+   * Format seconds as m:ss
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
   /**
    * Update progress bar
    */
@@ -174,6 +706,17 @@ export class UIController {
     this.elements.progressSection.style.display = 'none';
   }
 
+  /**
+   * Show whether the model and FFmpeg are cached for offline use
+   * @param {string} state - 'checking' | 'downloading' | 'cached' | 'error'
+   * @param {string} message - Status text
+   */
+  setOfflineStatus(state, message) {
+    this.elements.offlineStatus.dataset.state = state;
+    this.elements.offlineStatus.textContent = message;
+    this.elements.offlineStatus.classList.add('visible');
+  }
+
   /**
    * Start conversion (UI state)
    */
@@ -182,11 +725,23 @@ export class UIController {
     this.elements.convertBtn.disabled = true;
     this.elements.cancelBtn.disabled = false;
     this.elements.resultsSection.style.display = 'block';
-    this.elements.downloadBtn.style.display = 'none';
+    this.elements.downloadRow.classList.remove('visible');
+    this.elements.compareSection.classList.remove('visible');
+    this.elements.evaluationPanel.classList.remove('visible');
     this.clearLog();
+    this.clearJobs();
     this.hideProgress();
   }
 
+  /**
+   * Mark a retry as running without resetting the log or file table
+   */
+  startRetry() {
+    this.isProcessing = true;
+    this.elements.convertBtn.disabled = true;
+    this.elements.cancelBtn.disabled = false;
+  }
+
   /**
    * End conversion (UI state)
    */
@@ -201,7 +756,482 @@ export class UIController {
    * Show download button
    */
   showDownloadButton() {
-    this.elements.downloadBtn.style.display = 'block';
+    this.elements.downloadRow.classList.add('visible');
+  }
+
+  /**
+   * Hide download button (e.g. once every result has been removed)
+   */
+  hideDownloadButton() {
+    this.elements.downloadRow.classList.remove('visible');
+  }
+
+  /**
+   * Wire up the reference MIDI picker and the evaluation results
+   * @param {Object} handlers - { onReferences(files), onClearReferences(), onReport() }
+   */
+  setupEvaluation(handlers) {
+    this.elements.referenceBtn.addEventListener('click', () => this.elements.referenceInput.click());
+    this.elements.referenceInput.addEventListener('change', () => {
+      const files = Array.from(this.elements.referenceInput.files);
+      this.elements.referenceInput.value = '';
+      if (files.length > 0) {
+        handlers.onReferences(files);
+      }
+    });
+    this.elements.clearReferencesBtn.addEventListener('click', () => handlers.onClearReferences());
+    this.elements.evaluationReportBtn.addEventListener('click', () => handlers.onReport());
+
+    this.elements.evaluationTableBody.addEventListener('click', (event) => {
+      const row = event.target.closest('tr');
+      if (row) {
+        this.selectedEvaluation = this.evaluatedResults[Number(row.dataset.index)];
+        this.renderEvaluations(this.evaluatedResults);
+      }
+    });
+  }
+
+  /**
+   * Show which reference MIDI files are loaded
+   * @param {string[]} names - Reference names without extension
+   */
+  setReferences(names) {
+    this.elements.referenceInfo.textContent = names.length > 0
+      ? `${names.length} reference${names.length === 1 ? '' : 's'}: ${names.join(', ')}`
+      : 'References are matched to sources by file name (song.mid for song.mp3). A single reference is used for a single source whatever its name.';
+    this.elements.clearReferencesBtn.classList.toggle('hidden', names.length === 0);
+  }
+
+  /**
+   * Show the scores of every evaluated file and the details of the selected one
+   * @param {Object[]} results - Results with an `evaluation`, in batch order
+   */
+  renderEvaluations(results) {
+    this.evaluatedResults = results;
+    this.elements.evaluationPanel.classList.toggle('visible', results.length > 0);
+    this.elements.evaluationTableBody.innerHTML = '';
+
+    if (!results.includes(this.selectedEvaluation)) {
+      this.selectedEvaluation = results[0] || null;
+    }
+
+    results.forEach((result, index) => {
+      const { evaluation } = result;
+      const row = document.createElement('tr');
+      row.dataset.index = index;
+      row.classList.toggle('selected', result === this.selectedEvaluation);
+
+      [
+        result.filename,
+        evaluation.reference,
+        `${evaluation.estimatedNotes} / ${evaluation.referenceNotes}`,
+        this.formatMetric(evaluation.onset),
+        this.formatMetric(evaluation.onsetOffset),
+        this.formatMetric(evaluation.velocity)
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      this.elements.evaluationTableBody.appendChild(row);
+    });
+
+    if (this.selectedEvaluation) {
+      this.renderEvaluationDetails(this.selectedEvaluation.evaluation);
+    }
+  }
+
+  /**
+   * Per-pitch scores and the missed and extra notes of one file
+   */
+  renderEvaluationDetails(evaluation) {
+    this.elements.pitchTableBody.innerHTML = '';
+
+    evaluation.perPitch.forEach(pitch => {
+      const row = document.createElement('tr');
+      [pitch.name, pitch.reference, pitch.estimated, this.formatScore(pitch.precision),
+        this.formatScore(pitch.recall), this.formatScore(pitch.f1)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      this.elements.pitchTableBody.appendChild(row);
+    });
+
+    this.elements.missedTitle.textContent = `Missed notes (${evaluation.missed.length})`;
+    this.elements.missedNotes.textContent = this.formatNotes(evaluation.missed);
+    this.elements.extraTitle.textContent = `Extra notes (${evaluation.extra.length})`;
+    this.elements.extraNotes.textContent = this.formatNotes(evaluation.extra);
+  }
+
+  /**
+   * "F1 (P / R)"
+   */
+  formatMetric(metric) {
+    return `${this.formatScore(metric.f1)} (${this.formatScore(metric.precision)} / ${this.formatScore(metric.recall)})`;
+  }
+
+  formatScore(value) {
+    return value.toFixed(3);
+  }
+
+  /**
+   * One note per line: name, onset and duration
+   */
+  formatNotes(notes) {
+    return notes.map(note =>
+      `${note.name} at ${note.startTime.toFixed(3)}s (${(note.endTime - note.startTime).toFixed(3)}s)`
+    ).join('\n') || 'None';
+  }
+
+  /**
+   * Wire up the waveform view for picking each file's trim region and segments
+   * @param {Object} handlers - { onSelect(index), onRegion(region), onPlay(), onSeek(time),
+   *   onAddSegment({ name, startTime, endTime }), onShowSegment(index), onRemoveSegment(index) }
+   */
+  setupTrim(handlers) {
+    this.waveformView = new WaveformView(this.elements.waveformCanvas);
+    this.waveformView.onRegionChange = handlers.onRegion;
+    this.waveformView.onSeek = handlers.onSeek;
+
+    this.elements.trimFile.addEventListener('change', () => {
+      handlers.onSelect(parseInt(this.elements.trimFile.value, 10));
+    });
+    this.elements.trimPlayBtn.addEventListener('click', () => handlers.onPlay());
+    this.elements.trimClearBtn.addEventListener('click', () => {
+      this.waveformView.setRegion(null);
+      handlers.onRegion(null);
+    });
+
+    const addSegment = () => handlers.onAddSegment({
+      name: this.elements.segmentName.value.trim(),
+      startTime: parseFloat(this.elements.segmentStart.value),
+      endTime: parseFloat(this.elements.segmentEnd.value)
+    });
+
+    this.elements.addSegmentBtn.addEventListener('click', addSegment);
+    this.elements.segmentName.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        addSegment();
+      }
+    });
+
+    this.elements.segmentTableBody.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) {
+        return;
+      }
+
+      const index = Number(button.closest('tr').dataset.index);
+
+      if (button.dataset.action === 'show') {
+        handlers.onShowSegment(index);
+      } else if (button.dataset.action === 'remove') {
+        handlers.onRemoveSegment(index);
+      }
+    });
+  }
+
+  /**
+   * List the uploaded audio files in the trim picker, hiding the waveform when there are none
+   * @param {File[]} files - Selected audio files
+   * @param {number} selected - Index of the file shown
+   */
+  renderTrimFiles(files, selected) {
+    this.elements.trimSection.classList.toggle('visible', files.length > 0);
+    this.elements.trimFile.innerHTML = '';
+
+    files.forEach((file, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = file.name;
+      this.elements.trimFile.appendChild(option);
+    });
+
+    this.elements.trimFile.value = selected;
+  }
+
+  /**
+   * Draw a file's waveform and trim region
+   * @param {Object|null} peaks - From AudioProcessor.getPeaks(), or null while the file decodes
+   * @param {number} duration - Seconds
+   * @param {Object|null} region - { startTime, endTime }, or null for the whole file
+   */
+  showWaveform(peaks, duration, region) {
+    this.waveformView.load(peaks, duration, region);
+    this.updateTrimRange(peaks ? region : null, !peaks);
+  }
+
+  /**
+   * Draw a region on the waveform, as if it had been marked there
+   */
+  showTrimRegion(region) {
+    this.waveformView.setRegion(region);
+  }
+
+  /**
+   * Describe the file's trim region
+   */
+  updateTrimRange(region, loading = false) {
+    this.elements.trimClearBtn.disabled = !region;
+    this.elements.trimRange.textContent = loading
+      ? 'Loading waveform...'
+      : region
+        ? this.formatRegion(region)
+        : 'Whole file (or the Start/End Time settings)';
+
+    // A marked region is the quickest way to a segment
+    if (region) {
+      this.elements.segmentStart.value = region.startTime;
+      this.elements.segmentEnd.value = region.endTime;
+    }
+  }
+
+  /**
+   * "m:ss.s – m:ss.s (n s)"
+   */
+  formatRegion(region) {
+    const format = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+    return `${format(region.startTime)} – ${format(region.endTime)} (${(region.endTime - region.startTime).toFixed(1)} s)`;
+  }
+
+  /**
+   * List the file's segments
+   * @param {Object[]} segments - { name, startTime, endTime }, in start order
+   */
+  renderSegments(segments) {
+    this.elements.segmentTable.classList.toggle('visible', segments.length > 0);
+    this.elements.segmentTableBody.innerHTML = '';
+
+    segments.forEach((segment, index) => {
+      const row = document.createElement('tr');
+      row.dataset.index = index;
+      row.innerHTML = `
+        <td class="job-name"></td>
+        <td class="job-duration"></td>
+        <td class="job-actions">
+          <button type="button" data-action="show" title="Show this segment on the waveform">Show</button>
+          <button type="button" data-action="remove">Remove</button>
+        </td>`;
+
+      row.querySelector('.job-name').textContent = segment.name;
+      row.querySelector('.job-name').title = segment.name;
+      row.querySelector('.job-duration').textContent = this.formatRegion(segment);
+
+      this.elements.segmentTableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Empty the segment form after a segment was added
+   */
+  clearSegmentForm() {
+    this.elements.segmentName.value = '';
+    this.elements.segmentStart.value = '';
+    this.elements.segmentEnd.value = '';
+  }
+
+  /**
+   * Show the preview's state
+   * @param {Object} state - { playing, loading, position }
+   */
+  updateTrimPreview(state) {
+    this.elements.trimPlayBtn.disabled = state.loading;
+    this.elements.trimPlayBtn.textContent = state.playing ? '⏸ Pause' : '▶ Preview';
+    this.waveformView.setPlayhead(state.position);
+  }
+
+  /**
+   * Wire up the piano roll, its transport and the note editing controls
+   * @param {Object} handlers - { onSelect(index), onPlay(), onPlayNotes(enabled), onMuteAudio(muted), onSeek(time),
+   *   onEditEnd() }
+   */
+  setupPianoRoll(handlers) {
+    this.pianoRoll = new PianoRoll(this.elements.pianoRollCanvas);
+    this.pianoRoll.onSeek = handlers.onSeek;
+    this.pianoRoll.onViewChange = ({ scrollTime, maxScroll }) => {
+      this.elements.rollScroll.max = maxScroll;
+      this.elements.rollScroll.value = scrollTime;
+    };
+    this.pianoRoll.onSelectionChange = (notes) => this.updateRollSelection(notes);
+
+    this.elements.rollFile.addEventListener('change', () => {
+      handlers.onSelect(parseInt(this.elements.rollFile.value, 10));
+    });
+    this.elements.rollPlayBtn.addEventListener('click', () => handlers.onPlay());
+    this.elements.rollPlayNotes.addEventListener('change', () => {
+      handlers.onPlayNotes(this.elements.rollPlayNotes.checked);
+    });
+    this.elements.rollMuteAudio.addEventListener('change', () => {
+      handlers.onMuteAudio(this.elements.rollMuteAudio.checked);
+    });
+    this.elements.rollZoomOutBtn.addEventListener('click', () => this.pianoRoll.zoomBy(1 / ROLL_ZOOM_STEP));
+    this.elements.rollZoomInBtn.addEventListener('click', () => this.pianoRoll.zoomBy(ROLL_ZOOM_STEP));
+    this.elements.rollScroll.addEventListener('input', () => {
+      this.pianoRoll.scrollTo(parseFloat(this.elements.rollScroll.value));
+    });
+
+    this.elements.rollEditBtn.addEventListener('click', () => {
+      const editing = !this.pianoRoll.editing;
+
+      this.pianoRoll.setEditing(editing);
+      this.elements.rollEditBtn.textContent = editing ? '✔️ Done Editing' : '✏️ Edit Notes';
+      this.elements.rollEditControls.classList.toggle('hidden', !editing);
+
+      if (!editing) {
+        handlers.onEditEnd();
+      }
+    });
+    this.elements.rollUndoBtn.addEventListener('click', () => this.pianoRoll.undo());
+    this.elements.rollRedoBtn.addEventListener('click', () => this.pianoRoll.redo());
+    this.elements.rollDeleteBtn.addEventListener('click', () => this.pianoRoll.deleteSelection());
+    this.elements.rollVelocity.addEventListener('change', () => {
+      const velocity = parseInt(this.elements.rollVelocity.value, 10);
+      if (!isNaN(velocity)) {
+        this.pianoRoll.setSelectionVelocity(Math.min(127, Math.max(1, velocity)));
+      }
+    });
+  }
+
+  /**
+   * List the finished files in the piano roll picker, hiding the roll when there are none
+   * @param {Object[]} results - Pipeline results in batch order
+   * @param {number} selected - Index of the file shown
+   */
+  renderRollFiles(results, selected) {
+    this.elements.pianoRollSection.classList.toggle('visible', results.length > 0);
+    this.elements.rollFile.innerHTML = '';
+
+    results.forEach((result, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = result.filename;
+      this.elements.rollFile.appendChild(option);
+    });
+
+    this.elements.rollFile.value = selected;
+  }
+
+  /**
+   * Draw a result's notes
+   * @param {Object|null} result - Pipeline result, or null to clear the roll
+   * @param {NoteEditor|null} editor - The result's notes and edit history
+   */
+  showPianoRoll(result, editor) {
+    this.pianoRoll.setEditor(editor, result ? result.duration : 0);
+    this.updateRollHistory(editor);
+  }
+
+  /**
+   * Redraw after the notes were edited, undone or redone
+   */
+  refreshPianoRoll(editor) {
+    this.pianoRoll.refresh();
+    this.updateRollHistory(editor);
+  }
+
+  updateRollHistory(editor) {
+    this.elements.rollUndoBtn.disabled = !editor || !editor.canUndo();
+    this.elements.rollRedoBtn.disabled = !editor || !editor.canRedo();
+  }
+
+  /**
+   * Show the selection's size and velocity (blank when the selected notes differ)
+   */
+  updateRollSelection(notes) {
+    const velocities = new Set(notes.map(note => note.velocity));
+
+    this.elements.rollDeleteBtn.disabled = notes.length === 0;
+    this.elements.rollVelocity.disabled = notes.length === 0;
+    this.elements.rollVelocity.value = velocities.size === 1 ? [...velocities][0] : '';
+    this.elements.rollSelectionInfo.textContent = notes.length > 0 ? `${notes.length} selected` : '';
+  }
+
+  /**
+   * Show the transport's state and move the playhead
+   * @param {Object} state - { playing, loading, position, duration, hasAudio }
+   */
+  updatePianoRoll(state) {
+    const { playing, loading, position, duration, hasAudio } = state;
+
+    this.elements.rollPlayBtn.disabled = loading;
+    this.elements.rollPlayBtn.textContent = loading ? 'Loading...' : playing ? '⏸ Pause' : '▶ Play';
+    this.elements.rollPlayNotes.disabled = !hasAudio;
+    this.elements.rollMuteAudio.disabled = !hasAudio;
+    this.elements.rollTime.textContent = `${this.formatDuration(position)} / ${this.formatDuration(duration)}`;
+    this.pianoRoll.setPlayhead(position, playing);
+  }
+
+  /**
+   * Wire up the A/B comparison player
+   * @param {Object} handlers - { onSelect(index), onPlay(), onSource(source), onSeek(time),
+   *   onSoundFont(file), onClearSoundFont() }
+   */
+  setupABPlayer(handlers) {
+    this.elements.abFile.addEventListener('change', () => {
+      handlers.onSelect(parseInt(this.elements.abFile.value, 10));
+    });
+    this.elements.abPlayBtn.addEventListener('click', () => handlers.onPlay());
+    this.elements.abOriginalBtn.addEventListener('click', () => handlers.onSource('original'));
+    this.elements.abRenderedBtn.addEventListener('click', () => handlers.onSource('rendered'));
+    this.elements.abSeek.addEventListener('input', () => {
+      handlers.onSeek(parseFloat(this.elements.abSeek.value));
+    });
+
+    this.elements.loadSoundFontBtn.addEventListener('click', () => this.elements.soundFontInput.click());
+    this.elements.soundFontInput.addEventListener('change', () => {
+      const file = this.elements.soundFontInput.files[0];
+      this.elements.soundFontInput.value = '';
+      if (file) {
+        handlers.onSoundFont(file);
+      }
+    });
+    this.elements.clearSoundFontBtn.addEventListener('click', () => handlers.onClearSoundFont());
+  }
+
+  /**
+   * List the finished files in the comparison picker, hiding the player when there are none
+   * @param {Object[]} results - Pipeline results in batch order
+   * @param {number} selected - Index of the file being compared
+   */
+  renderABFiles(results, selected) {
+    this.elements.compareSection.classList.toggle('visible', results.length > 0);
+    this.elements.abFile.innerHTML = '';
+
+    results.forEach((result, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = result.filename;
+      this.elements.abFile.appendChild(option);
+    });
+
+    this.elements.abFile.value = selected;
+  }
+
+  /**
+   * Show the player's state
+   * @param {Object} state - { playing, loading, source, position, duration }
+   */
+  updateABPlayer(state) {
+    const { playing, loading, source, position, duration } = state;
+
+    this.elements.abPlayBtn.disabled = loading;
+    this.elements.abPlayBtn.textContent = loading ? 'Rendering...' : playing ? '⏸ Pause' : '▶ Play';
+    this.elements.abOriginalBtn.classList.toggle('active', source === 'original');
+    this.elements.abRenderedBtn.classList.toggle('active', source === 'rendered');
+    this.elements.abSeek.max = duration;
+    this.elements.abSeek.value = position;
+    this.elements.abTime.textContent = `${this.formatDuration(position)} / ${this.formatDuration(duration)}`;
+  }
+
+  /**
+   * Show which instrument renders the MIDI files
+   * @param {string|null} name - SoundFont name, or null for the built-in piano
+   */
+  setSoundFontName(name) {
+    this.elements.soundFontName.textContent = name || 'Built-in piano';
+    this.elements.clearSoundFontBtn.classList.toggle('hidden', !name);
   }
 
   /**
@@ -213,17 +1243,118 @@ export class UIController {
       customTitle: this.elements.customTitle.value,
       modelChoice: this.elements.modelChoice.value,
       chunkDur: parseFloat(this.elements.chunkDur.value),
-      maxNotes: parseFloat(this.elements.maxNotes.value),
-      enableMaxNotes: this.elements.enableMaxNotes.checked,
+      chunkOverlap: parseFloat(this.elements.chunkOverlap.value),
+      concurrency: parseInt(this.elements.concurrency.value, 10) || 1,
+      ...this.getFilterSettings(),
+      detectTempo: this.elements.detectTempo.checked,
+      quantize: this.elements.quantize.value,
+      quantizeStrength: parseFloat(this.elements.quantizeStrength.value),
+      keySignature: this.elements.keySignature.value,
+      transposeTo: this.elements.transposeTo.value,
+      separateHands: this.elements.separateHands.checked,
+      pedal: this.elements.pedal.value,
+      velocityMode: this.elements.velocityMode.value,
+      fixedVelocity: parseInt(this.elements.fixedVelocity.value, 10) || 80,
+      velocityNormalize: this.elements.velocityNormalize.checked,
+      velocityMin: parseInt(this.elements.velocityMin.value, 10) || 1,
+      velocityMax: parseInt(this.elements.velocityMax.value, 10) || 127,
+      velocityDynamics: parseFloat(this.elements.velocityDynamics.value),
+      velocityCurve: this.elements.velocityCurve.value,
+      velocityCurvePoints: this.curvePoints.map(point => [...point]),
+      midiFormat: parseInt(this.elements.midiFormat.value, 10),
+      ppq: parseInt(this.elements.ppq.value, 10),
+      midiProgram: Math.min(127, Math.max(0, parseInt(this.elements.midiProgram.value, 10) || 0)),
+      midiChannel: Math.min(16, Math.max(1, parseInt(this.elements.midiChannel.value, 10) || 1)),
+      trackName: this.elements.trackName.value.trim(),
+      sequenceName: this.elements.sequenceName.value.trim(),
+      copyright: this.elements.copyright.value.trim(),
+      embedMetadata: this.elements.embedMetadata.checked,
       startTime: parseFloat(this.elements.startTime.value),
       endTime: parseFloat(this.elements.endTime.value),
       zipOutput: this.elements.zipOutput.checked,
       zipFilename: this.elements.zipFilename.value,
       keepMp3: this.elements.keepMp3.checked,
       includeMp3: this.elements.includeMp3.checked,
+      downloadFormat: this.elements.downloadFormat.value,
+      includeNoteData: this.elements.includeNoteData.checked,
+      includeRenderedAudio: this.elements.includeRenderedAudio.checked,
     };
   }
 
+  /**
+   * Get the note cleanup settings (the ones a filter preset holds)
+   */
+  getFilterSettings() {
+    return {
+      filterPreset: this.elements.filterPreset.value,
+      maxNotes: parseFloat(this.elements.maxNotes.value),
+      enableMaxNotes: this.elements.enableMaxNotes.checked,
+      truncateLongNotes: this.elements.truncateLongNotes.checked,
+      minDuration: parseFloat(this.elements.minDuration.value) || 0,
+      velocityFloor: parseInt(this.elements.velocityFloor.value, 10) || 0,
+      minPitch: parseInt(this.elements.minPitch.value, 10),
+      maxPitch: parseInt(this.elements.maxPitch.value, 10),
+      removeGhostNotes: this.elements.removeGhostNotes.checked,
+      mergeRetriggers: this.elements.mergeRetriggers.checked,
+      maxPolyphony: parseInt(this.elements.maxPolyphony.value, 10) || 0,
+    };
+  }
+
+  /**
+   * Fill in the note cleanup fields from a preset
+   */
+  applyFilterSettings(settings) {
+    this.elements.maxNotes.value = settings.maxNotes;
+    this.elements.enableMaxNotes.checked = settings.enableMaxNotes;
+    this.elements.maxNotes.disabled = !settings.enableMaxNotes;
+    this.elements.truncateLongNotes.checked = settings.truncateLongNotes;
+    this.elements.minDuration.value = settings.minDuration;
+    this.elements.velocityFloor.value = settings.velocityFloor;
+    this.elements.minPitch.value = settings.minPitch;
+    this.elements.maxPitch.value = settings.maxPitch;
+    this.elements.removeGhostNotes.checked = settings.removeGhostNotes;
+    this.elements.mergeRetriggers.checked = settings.mergeRetriggers;
+    this.elements.maxPolyphony.value = settings.maxPolyphony;
+  }
+
+  /**
+   * Wire up the filter preset picker
+   * @param {Object} handlers - { onSelect(name), onSave(), onDelete(name) }
+   */
+  setupPresets(handlers) {
+    this.elements.filterPreset.addEventListener('change', () => handlers.onSelect(this.elements.filterPreset.value));
+    this.elements.savePresetBtn.addEventListener('click', () => handlers.onSave());
+    this.elements.deletePresetBtn.addEventListener('click', () => handlers.onDelete(this.elements.filterPreset.value));
+  }
+
+  /**
+   * List the filter presets
+   * @param {string[]} names - Preset names
+   * @param {string} selected - Name to select
+   * @param {boolean} builtIn - Whether the selected preset is built in (and can't be deleted)
+   */
+  renderPresets(names, selected, builtIn) {
+    this.elements.filterPreset.innerHTML = '';
+
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.elements.filterPreset.appendChild(option);
+    });
+
+    this.elements.filterPreset.value = selected;
+    this.elements.deletePresetBtn.disabled = builtIn;
+  }
+
+  /**
+   * Get the selected model's display name, without the (Recommended)-style note
+   */
+  getModelLabel() {
+    const option = this.elements.modelChoice.selectedOptions[0];
+    return option ? option.text.replace(/\s*\(.*\)$/, '') : this.elements.modelChoice.value;
+  }
+
   /**
    * Toggle settings panel
    */
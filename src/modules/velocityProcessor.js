@@ -0,0 +1,149 @@
+/**
+ * Velocity Processor Module
+ * Reshapes note velocities: a response curve, then dynamics compression or expansion
+ * around the average, then normalization into a target range. A fixed velocity
+ * replaces all of that.
+ */
+
+const DEFAULT_VELOCITY = 64;
+const CURVE_STEEPNESS = 4;        // Bend of the log and exp curves
+const RANGE_PERCENTILE = 0.02;    // Normalize from the 2nd to 98th percentile so outliers don't set the range
+
+export const DEFAULT_CURVE_POINTS = [[0, 0], [127, 127]];
+
+/**
+ * Turn UI-style settings into VelocityProcessor options, filling in defaults
+ * @param {Object} settings - Same shape as UIController.getSettings()
+ * @returns {Object} - Options for VelocityProcessor.process()
+ */
+export function getVelocityOptions(settings) {
+  return {
+    mode: settings.velocityMode || 'original',
+    fixedVelocity: settings.fixedVelocity || 80,
+    normalize: !!settings.velocityNormalize,
+    targetMin: settings.velocityMin !== undefined ? settings.velocityMin : 30,
+    targetMax: settings.velocityMax !== undefined ? settings.velocityMax : 110,
+    dynamics: settings.velocityDynamics !== undefined ? settings.velocityDynamics : 100,
+    curve: settings.velocityCurve || 'linear',
+    curvePoints: settings.velocityCurvePoints || DEFAULT_CURVE_POINTS
+  };
+}
+
+export class VelocityProcessor {
+  /**
+   * Apply velocity processing
+   * @param {Array<Object>} notes - NoteSequence notes (not modified)
+   * @param {Object} options - From getVelocityOptions(): mode ('original', 'process' or 'fixed'),
+   *   fixedVelocity, normalize, targetMin, targetMax, dynamics (percent; under 100 compresses,
+   *   over 100 expands), curve ('linear', 'log', 'exp' or 'custom'), curvePoints ([[in, out], ...] for 'custom')
+   * @returns {Object[]} - Copies of the notes with new velocities (1-127)
+   */
+  process(notes, options) {
+    if (options.mode === 'fixed') {
+      const velocity = this.clamp(options.fixedVelocity);
+      return notes.map(note => ({ ...note, velocity }));
+    }
+
+    if (options.mode !== 'process' || notes.length === 0) {
+      return notes;
+    }
+
+    let velocities = notes.map(note => (note.velocity !== undefined ? note.velocity : DEFAULT_VELOCITY));
+
+    velocities = velocities.map(velocity => this.applyCurve(velocity, options.curve, options.curvePoints));
+
+    if (options.dynamics !== 100) {
+      const mean = velocities.reduce((sum, velocity) => sum + velocity, 0) / velocities.length;
+      velocities = velocities.map(velocity => mean + (velocity - mean) * (options.dynamics / 100));
+    }
+
+    if (options.normalize) {
+      velocities = this.normalize(velocities, options.targetMin, options.targetMax);
+    }
+
+    return notes.map((note, i) => ({ ...note, velocity: this.clamp(velocities[i]) }));
+  }
+
+  /**
+   * Map a velocity through the response curve
+   */
+  applyCurve(velocity, curve, points) {
+    const x = velocity / 127;
+
+    if (curve === 'log') {
+      // Lifts soft notes, leaves loud ones
+      return 127 * Math.log1p(CURVE_STEEPNESS * x) / Math.log1p(CURVE_STEEPNESS);
+    }
+
+    if (curve === 'exp') {
+      // Pushes soft notes down, keeps the accents
+      return 127 * Math.expm1(CURVE_STEEPNESS * x) / Math.expm1(CURVE_STEEPNESS);
+    }
+
+    if (curve === 'custom') {
+      return this.interpolate(velocity, points);
+    }
+
+    return velocity;
+  }
+
+  /**
+   * Piecewise-linear lookup through [[in, out], ...] points
+   */
+  interpolate(velocity, points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+
+    if (sorted.length === 0) {
+      return velocity;
+    }
+    if (velocity <= sorted[0][0]) {
+      return sorted[0][1];
+    }
+
+    for (let i = 1; i < sorted.length; i++) {
+      const [x0, y0] = sorted[i - 1];
+      const [x1, y1] = sorted[i];
+
+      if (velocity <= x1) {
+        return x1 === x0 ? y1 : y0 + (y1 - y0) * (velocity - x0) / (x1 - x0);
+      }
+    }
+
+    return sorted[sorted.length - 1][1];
+  }
+
+  /**
+   * Stretch the bulk of the velocities onto [targetMin, targetMax]
+   */
+  normalize(velocities, targetMin, targetMax) {
+    const sorted = [...velocities].sort((a, b) => a - b);
+    const low = sorted[Math.floor(RANGE_PERCENTILE * (sorted.length - 1))];
+    const high = sorted[Math.ceil((1 - RANGE_PERCENTILE) * (sorted.length - 1))];
+
+    // All the same loudness: put them in the middle of the range
+    if (high - low < 1) {
+      return velocities.map(() => (targetMin + targetMax) / 2);
+    }
+
+    return velocities.map(velocity => targetMin + (velocity - low) * (targetMax - targetMin) / (high - low));
+  }
+
+  clamp(velocity) {
+    return Math.min(127, Math.max(1, Math.round(velocity)));
+  }
+
+  /**
+   * Count velocities into equal-width bins over 0-127, for previews
+   * @returns {number[]}
+   */
+  histogram(notes, bins = 16) {
+    const counts = new Array(bins).fill(0);
+
+    notes.forEach(note => {
+      const velocity = note.velocity !== undefined ? note.velocity : DEFAULT_VELOCITY;
+      counts[Math.min(bins - 1, Math.floor((velocity / 128) * bins))]++;
+    });
+
+    return counts;
+  }
+}
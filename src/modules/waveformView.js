@@ -0,0 +1,248 @@
+/**
+ * Waveform View Module
+ * Draws a source's waveform from peak data (see AudioProcessor.getPeaks()) with a trim
+ * region on top. Dragging across the waveform selects a region, dragging its edges
+ * resizes it and dragging inside moves it; a plain click moves the preview playhead.
+ */
+
+const EDGE_HANDLE = 6;            // Pixels either side of an edge that grab it
+const DRAG_THRESHOLD = 3;         // Pixels a pointer moves before a click becomes a drag
+const MIN_REGION = 0.1;           // Seconds
+
+export class WaveformView {
+  /**
+   * @param {HTMLCanvasElement} canvas - Sized by CSS; the drawing buffer follows its size
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.peaks = null;
+    this.duration = 0;
+    this.region = null;           // { startTime, endTime } in seconds
+    this.playhead = 0;
+    this.drag = null;
+    this.onRegionChange = null;   // Called with the region (or null) when a drag ends
+    this.onSeek = null;           // Called with a time when the waveform is clicked
+
+    this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+    this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+    this.canvas.addEventListener('pointerup', () => this.endDrag());
+    this.canvas.addEventListener('pointercancel', () => this.endDrag());
+
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => this.draw()).observe(this.canvas);
+    }
+  }
+
+  /**
+   * Show a source
+   * @param {Object|null} peaks - { min, max } from AudioProcessor.getPeaks(), or null while loading
+   * @param {number} duration - Length in seconds
+   * @param {Object|null} region - Saved trim region
+   */
+  load(peaks, duration, region) {
+    this.peaks = peaks;
+    this.duration = duration;
+    this.region = region ? { ...region } : null;
+    this.playhead = region ? region.startTime : 0;
+    this.drag = null;
+    this.draw();
+  }
+
+  setRegion(region) {
+    this.region = region ? { ...region } : null;
+    this.draw();
+  }
+
+  setPlayhead(time) {
+    this.playhead = time;
+    this.draw();
+  }
+
+  handlePointerDown(event) {
+    if (!this.peaks) {
+      return;
+    }
+
+    const x = this.eventX(event);
+    this.canvas.setPointerCapture(event.pointerId);
+
+    this.drag = {
+      mode: this.hitTest(x),
+      x,
+      time: this.xToTime(x),
+      original: this.region ? { ...this.region } : null,
+      changed: false
+    };
+  }
+
+  handlePointerMove(event) {
+    const x = this.eventX(event);
+    const { drag } = this;
+
+    if (!drag) {
+      const mode = this.peaks ? this.hitTest(x) : null;
+      this.canvas.style.cursor = mode === 'start' || mode === 'end' ? 'ew-resize' : mode === 'move' ? 'grab' : '';
+      return;
+    }
+
+    if (!drag.changed && Math.abs(x - drag.x) < DRAG_THRESHOLD) {
+      return;
+    }
+    drag.changed = true;
+
+    const time = this.xToTime(x);
+    const { original } = drag;
+
+    if (drag.mode === 'start') {
+      this.region.startTime = Math.max(0, Math.min(time, original.endTime - MIN_REGION));
+    } else if (drag.mode === 'end') {
+      this.region.endTime = Math.min(this.duration, Math.max(time, original.startTime + MIN_REGION));
+    } else if (drag.mode === 'move') {
+      const length = original.endTime - original.startTime;
+      const startTime = Math.max(0, Math.min(original.startTime + time - drag.time, this.duration - length));
+      this.region = { startTime, endTime: startTime + length };
+    } else {
+      this.region = {
+        startTime: Math.max(0, Math.min(time, drag.time)),
+        endTime: Math.min(this.duration, Math.max(time, drag.time))
+      };
+    }
+
+    this.draw();
+  }
+
+  endDrag() {
+    const { drag } = this;
+    if (!drag) {
+      return;
+    }
+
+    this.drag = null;
+
+    if (!drag.changed) {
+      if (this.onSeek) {
+        this.onSeek(drag.time);
+      }
+      return;
+    }
+
+    // A sliver from a careless drag means no region
+    if (this.region && this.region.endTime - this.region.startTime < MIN_REGION) {
+      this.region = null;
+    }
+
+    this.draw();
+
+    if (this.onRegionChange) {
+      this.onRegionChange(this.region ? { ...this.region } : null);
+    }
+  }
+
+  /**
+   * What a drag starting at x would do: 'start' or 'end' (an edge), 'move' (inside the region) or 'create'
+   */
+  hitTest(x) {
+    if (!this.region) {
+      return 'create';
+    }
+
+    const startX = this.timeToX(this.region.startTime);
+    const endX = this.timeToX(this.region.endTime);
+
+    if (Math.abs(x - startX) <= EDGE_HANDLE) {
+      return 'start';
+    }
+    if (Math.abs(x - endX) <= EDGE_HANDLE) {
+      return 'end';
+    }
+    return x > startX && x < endX ? 'move' : 'create';
+  }
+
+  eventX(event) {
+    return event.clientX - this.canvas.getBoundingClientRect().left;
+  }
+
+  timeToX(time) {
+    return this.duration > 0 ? (time / this.duration) * this.canvas.clientWidth : 0;
+  }
+
+  xToTime(x) {
+    return Math.max(0, Math.min(this.duration, (x / this.canvas.clientWidth) * this.duration));
+  }
+
+  /**
+   * Match the drawing buffer to the displayed size (and pixel density)
+   * @returns {boolean} - Whether the canvas is visible at all
+   */
+  resize() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+
+    if (width === 0 || height === 0) {
+      return false;
+    }
+
+    if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+    }
+
+    this.canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+    return true;
+  }
+
+  draw() {
+    if (!this.resize()) {
+      return;
+    }
+
+    const context = this.canvas.getContext('2d');
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const middle = height / 2;
+
+    context.fillStyle = '#1e293b';
+    context.fillRect(0, 0, width, height);
+
+    if (!this.peaks) {
+      return;
+    }
+
+    // One bar per pixel column, from the bins it covers
+    const { min, max } = this.peaks;
+    const binsPerPixel = min.length / width;
+    context.fillStyle = '#818cf8';
+
+    for (let x = 0; x < width; x++) {
+      const first = Math.floor(x * binsPerPixel);
+      const last = Math.max(first + 1, Math.floor((x + 1) * binsPerPixel));
+      let low = 0;
+      let high = 0;
+
+      for (let bin = first; bin < last && bin < min.length; bin++) {
+        low = Math.min(low, min[bin]);
+        high = Math.max(high, max[bin]);
+      }
+
+      context.fillRect(x, middle - high * middle, 1, Math.max(1, (high - low) * middle));
+    }
+
+    // Dim what the region leaves out
+    if (this.region) {
+      const startX = this.timeToX(this.region.startTime);
+      const endX = this.timeToX(this.region.endTime);
+
+      context.fillStyle = 'rgba(15, 23, 42, 0.7)';
+      context.fillRect(0, 0, startX, height);
+      context.fillRect(endX, 0, width - endX, height);
+
+      context.fillStyle = '#fbbf24';
+      context.fillRect(startX - 1, 0, 2, height);
+      context.fillRect(endX - 1, 0, 2, height);
+    }
+
+    context.fillStyle = '#f8fafc';
+    context.fillRect(Math.round(this.timeToX(this.playhead)), 0, 1, height);
+  }
+}
@@ -10,8 +10,11 @@ export class YouTubeDownloader {
 
   /**
    * Download audio from YouTube URL
+   * @param {string} url - YouTube URL
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Aborts the request
    */
-  async downloadAudio(url, onProgress = null) {
+  async downloadAudio(url, onProgress = null, signal = null) {
     try {
       if (onProgress) {
         onProgress(`Downloading from YouTube: ${url.substring(0, 50)}...`);
@@ -23,6 +26,7 @@ export class YouTubeDownloader {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ url }),
+        signal: signal,
       });
 
       if (!response.ok) {
@@ -55,6 +59,10 @@ export class YouTubeDownloader {
       };
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
       console.error('YouTube download error:', error);
       throw new Error(`Failed to download from YouTube: ${error.message}`);
     }
@@ -106,10 +114,43 @@ export class YouTubeDownloader {
    * Parse YouTube URLs from textarea (one per line)
    */
   parseUrls(text) {
+    return this.parseSources(text).map(source => source.url);
+  }
+
+  /**
+   * Parse the textarea into URLs and their segments. A URL may be followed by
+   * segments as name=start-end in seconds, e.g. "https://youtu.be/... Allegro=12-610 Adagio=640-1105"
+   * @returns {Array<{ url: string, segments: Array<{ name, startTime, endTime }> }>}
+   */
+  parseSources(text) {
     return text
       .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && this.isValidYouTubeUrl(line));
+      .map(line => line.trim().split(/\s+/))
+      .filter(([url]) => url && this.isValidYouTubeUrl(url))
+      .map(([url, ...values]) => ({ url, segments: this.parseSegments(url, values) }));
+  }
+
+  /**
+   * Parse the segments written after a URL
+   */
+  parseSegments(url, values) {
+    const segments = values.map(value => {
+      const match = value.match(/^(.+)=(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+
+      if (!match || Number(match[3]) <= Number(match[2])) {
+        throw new Error(`Invalid segment "${value}" after ${url} (expected name=start-end in seconds, e.g. Allegro=0-312.5)`);
+      }
+
+      return { name: match[1], startTime: Number(match[2]), endTime: Number(match[3]) };
+    });
+
+    const names = segments.map(segment => segment.name.toLowerCase());
+    const duplicate = segments.find((segment, index) => names.indexOf(names[index]) !== index);
+    if (duplicate) {
+      throw new Error(`${url} has two segments named "${duplicate.name}"`);
+    }
+
+    return segments.sort((a, b) => a.startTime - b.startTime);
   }
 
   /**
@@ -0,0 +1,143 @@
+/**
+ * Transcription Worker
+ * Runs trimming, mono mixdown, resampling and model inference off the main thread.
+ * Talks to TranscriptionWorkerClient: requests are { id, type, payload }, replies are
+ * { id, type: 'progress' | 'result' | 'error', ... }. A { id, type: 'cancel' } message
+ * aborts the request with that id.
+ */
+
+import { AudioProcessor } from '../modules/audioProcessor.js';
+import { createBackend } from '../modules/transcriptionBackends.js';
+import { MODEL_CHECKPOINT_URL, TRANSKUN_SERVICE_URL } from '../modules/assetConfig.js';
+
+const audioProcessor = new AudioProcessor();
+
+const backendOptions = {
+  piano: { checkpointURL: new URL(MODEL_CHECKPOINT_URL, self.location.href).href },
+  transkun: { serviceURL: TRANSKUN_SERVICE_URL }
+};
+
+// Backends created so far, by modelChoice id (each keeps its model loaded between files)
+const backends = new Map();
+
+/**
+ * Get the backend for a modelChoice id, creating it on first use
+ */
+async function getBackend(id) {
+  if (!backends.has(id)) {
+    backends.set(id, await createBackend(id, backendOptions[id]));
+  }
+  return backends.get(id);
+}
+
+/**
+ * Free every backend's model
+ */
+function disposeBackends() {
+  backends.forEach(backend => backend.dispose());
+}
+
+// AbortControllers of the requests still running, by request id
+const controllers = new Map();
+
+const handlers = {
+  /**
+   * Load the model ahead of the first file
+   * @param {Object} payload - { backend }
+   */
+  async initialize(payload, onProgress, signal) {
+    const backend = await getBackend(payload.backend);
+    await backend.initialize(onProgress);
+    return { loaded: true };
+  },
+
+  /**
+   * Transcribe decoded audio
+   * @param {Object} payload - { backend, sampleRate, channels, startTime, endTime, chunkDuration, chunkOverlap }
+   */
+  async transcribe(payload, onProgress, signal) {
+    const { sampleRate, channels, startTime, endTime, chunkDuration, chunkOverlap } = payload;
+    const backend = await getBackend(payload.backend);
+    const requiredSampleRate = backend.getRequiredSampleRate();
+
+    const audioSamples = await audioProcessor.prepareSamples(
+      { sampleRate, channels },
+      { sampleRate: requiredSampleRate, startTime, endTime, signal },
+      onProgress
+    );
+
+    const noteSequence = await backend.transcribe(
+      audioSamples,
+      { chunkDuration, chunkOverlap, signal },
+      onProgress
+    );
+
+    return {
+      noteSequence: toPlainNoteSequence(noteSequence),
+      duration: audioSamples.length / requiredSampleRate
+    };
+  },
+
+  /**
+   * Free the models' memory
+   */
+  async dispose() {
+    disposeBackends();
+    return { disposed: true };
+  }
+};
+
+/**
+ * Strip the protobuf classes from a NoteSequence so it survives structured cloning intact
+ */
+function toPlainNoteSequence(noteSequence) {
+  return {
+    totalTime: noteSequence.totalTime,
+    notes: (noteSequence.notes || []).map(note => ({
+      pitch: note.pitch,
+      startTime: note.startTime,
+      endTime: note.endTime,
+      velocity: note.velocity
+    }))
+  };
+}
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === 'cancel') {
+    const controller = controllers.get(id);
+    if (controller) {
+      controller.abort();
+    }
+    return;
+  }
+
+  const controller = new AbortController();
+  const onProgress = (message) => self.postMessage({ id, type: 'progress', message });
+
+  controllers.set(id, controller);
+
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown worker request: ${type}`);
+    }
+
+    const result = await handler(payload, onProgress, controller.signal);
+    self.postMessage({ id, type: 'result', result });
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      // Free the model's tensors now rather than holding GPU memory until the next run
+      disposeBackends();
+    } else {
+      console.error('Transcription worker error:', error);
+    }
+
+    self.postMessage({ id, type: 'error', name: error.name, message: error.message });
+
+  } finally {
+    controllers.delete(id);
+  }
+});
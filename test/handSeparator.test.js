@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { HandSeparator } from '../src/modules/handSeparator.js';
+
+const separator = new HandSeparator();
+const note = (pitch, startTime, endTime = startTime + 0.4) => ({ pitch, startTime, endTime, velocity: 80 });
+const pitches = (notes) => notes.map(n => n.pitch);
+
+describe('HandSeparator', () => {
+  it('gives the bass to the left hand and the melody to the right', () => {
+    const notes = [note(36, 0), note(72, 0), note(43, 0.5), note(76, 0.5), note(40, 1), note(79, 1)];
+    const { left, right } = separator.separate(notes);
+
+    expect(pitches(left)).toEqual([36, 43, 40]);
+    expect(pitches(right)).toEqual([72, 76, 79]);
+  });
+
+  it('assigns every note to exactly one hand', () => {
+    const notes = Array.from({ length: 40 }, (_, i) => note(40 + ((i * 7) % 45), i * 0.2));
+    const { left, right } = separator.separate(notes);
+
+    expect(left.length + right.length).toBe(notes.length);
+    expect(new Set([...left, ...right]).size).toBe(notes.length);
+  });
+
+  it('follows a melody that goes below middle C', () => {
+    const melody = [67, 64, 62, 60, 59, 57, 55];
+    const notes = melody.flatMap((pitch, i) => [note(pitch, i * 0.5), note(31, i * 0.5)]);
+    const { left, right } = separator.separate(notes);
+
+    expect(pitches(right)).toEqual(melody);
+    expect(pitches(left).every(pitch => pitch === 31)).toBe(true);
+  });
+
+  it("doesn't give one hand more than it can span", () => {
+    // Two octaves apart in one chord: no single hand can hold both ends
+    const notes = [note(48, 0), note(52, 0), note(55, 0), note(72, 0), note(76, 0), note(79, 0)];
+    const { left, right } = separator.separate(notes);
+
+    for (const hand of [left, right]) {
+      expect(Math.max(...pitches(hand)) - Math.min(...pitches(hand))).toBeLessThanOrEqual(14);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { JobQueue } from '../src/modules/jobQueue.js';
+
+// A task that finishes when told to, recording when it started
+function deferredTask(log, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = () => {
+    log.push(name);
+    return done.then(() => name);
+  };
+  return { task, finish };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('JobQueue', () => {
+  it('runs at most `concurrency` tasks at once, in queue order', async () => {
+    const queue = new JobQueue(2);
+    const started = [];
+    const [a, b, c] = ['a', 'b', 'c'].map(name => deferredTask(started, name));
+
+    const results = [a, b, c].map(({ task }) => queue.run(task));
+    await tick();
+    expect(started).toEqual(['a', 'b']);
+    expect(queue.size).toBe(3);
+
+    b.finish();
+    await tick();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    a.finish();
+    c.finish();
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+    await tick();
+    expect(queue.size).toBe(0);
+  });
+
+  it('starts waiting tasks when the limit is raised', async () => {
+    const queue = new JobQueue(1);
+    const started = [];
+    const [a, b] = ['a', 'b'].map(name => deferredTask(started, name));
+
+    queue.run(a.task);
+    queue.run(b.task);
+    await tick();
+    expect(started).toEqual(['a']);
+
+    queue.setConcurrency(2);
+    await tick();
+    expect(started).toEqual(['a', 'b']);
+
+    a.finish();
+    b.finish();
+  });
+
+  it('drops a waiting task whose signal is aborted, without running it', async () => {
+    const queue = new JobQueue(1);
+    const started = [];
+    const a = deferredTask(started, 'a');
+    const b = deferredTask(started, 'b');
+    const controller = new AbortController();
+
+    const first = queue.run(a.task);
+    const second = queue.run(b.task, controller.signal);
+    controller.abort(new DOMException('Cancelled', 'AbortError'));
+
+    await expect(second).rejects.toThrow('Cancelled');
+    a.finish();
+    await first;
+    await tick();
+    expect(started).toEqual(['a']);
+    expect(queue.size).toBe(0);
+  });
+
+  it('passes on a failed task and keeps going', async () => {
+    const queue = new JobQueue(1);
+
+    await expect(queue.run(async () => { throw new Error('broken'); })).rejects.toThrow('broken');
+    expect(await queue.run(async () => 'next')).toBe('next');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { parseKeyName } from '../src/modules/keyDetector.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+import { MusicXMLExporter } from '../src/modules/musicXmlExporter.js';
+
+const notes = [60, 62, 64, 65, 67, 69, 71, 72].map((pitch, i) => ({
+  pitch, startTime: i * 0.5, endTime: i * 0.5 + 0.4, velocity: 80
+}));
+
+function fifthsOf(midiData) {
+  return Number(new MusicXMLExporter().export(midiData).match(/<fifths>(-?\d+)<\/fifths>/)[1]);
+}
+
+describe('key names', () => {
+  it('keeps the enharmonic spelling it was named with', () => {
+    expect(parseKeyName('Gb')).toMatchObject({ name: 'Gb major', tonic: 6, sharps: -6 });
+    expect(parseKeyName('F#')).toMatchObject({ name: 'F# major', tonic: 6, sharps: 6 });
+    expect(parseKeyName('D# minor')).toMatchObject({ name: 'D# minor', tonic: 3, sharps: 6 });
+    expect(parseKeyName('Ebm')).toMatchObject({ name: 'Eb minor', tonic: 3, sharps: -6 });
+  });
+
+  it('respells keys that would need more than seven accidentals', () => {
+    expect(parseKeyName('G# major')).toMatchObject({ name: 'Ab major', sharps: -4 });
+    expect(parseKeyName('Fb')).toMatchObject({ name: 'E major', sharps: 4 });
+  });
+
+  it('writes the named key signature and spells the score to match', () => {
+    const generator = new MIDIGenerator();
+
+    expect(fifthsOf(generator.generateMIDI({ notes }, { keySignature: 'Gb major' }))).toBe(-6);
+    expect(fifthsOf(generator.generateMIDI({ notes }, { keySignature: 'F# major' }))).toBe(6);
+    expect(fifthsOf(generator.generateMIDI({ notes }, { keySignature: 'C major', transposeTo: 'Gb' }))).toBe(-6);
+  });
+});
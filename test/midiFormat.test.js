@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { Midi } from '@tonejs/midi';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+
+const generator = new MIDIGenerator();
+const notes = [
+  { pitch: 40, startTime: 0, endTime: 1, velocity: 70 },
+  { pitch: 43, startTime: 0.3, endTime: 1, velocity: 70 },
+  { pitch: 76, startTime: 0.5, endTime: 1, velocity: 90 },
+  { pitch: 79, startTime: 0.5, endTime: 1.5, velocity: 100 }
+];
+const options = { separateHands: true, pedal: 'notes', keySignature: 'E minor', ppq: 960, enableMaxNotesFilter: false };
+
+// Channel, pitch, start tick and velocity of every note in the file
+const noteEvents = (midi) => midi.tracks
+  .flatMap(track => track.notes.map(note => [track.channel, note.midi, note.ticks, Math.round(note.velocity * 127)]))
+  .sort((a, b) => a[2] - b[2] || a[1] - b[1]);
+
+describe('MIDI file type 0', () => {
+  it('merges every track into one, keeping channels, timing and the header', () => {
+    const type1 = generator.generateMIDI({ notes }, options);
+    const type0 = generator.generateMIDI({ notes }, { ...options, format: 0 });
+    const view = new DataView(type0.buffer, type0.byteOffset);
+
+    expect(view.getUint16(8)).toBe(0);
+    expect(view.getUint16(10)).toBe(1);
+    expect(view.getUint16(12)).toBe(960);
+
+    const merged = new Midi(type0);
+    const original = new Midi(type1);
+    expect(noteEvents(merged)).toEqual(noteEvents(original));
+    expect(merged.header.keySignatures).toEqual(original.header.keySignatures);
+    expect(merged.header.keySignatures).toHaveLength(1);
+    expect(merged.tracks.flatMap(track => track.controlChanges[64] || [])).toHaveLength(4);
+  });
+
+  it('keeps only the first track name', () => {
+    const type0 = generator.generateMIDI({ notes }, { ...options, format: 0, sequenceName: 'Concert' });
+    const names = new Midi(type0).tracks.map(track => track.name).filter(Boolean);
+
+    expect(names).toEqual(['Concert']);
+  });
+
+  it('reads events written with running status', () => {
+    // Type 1, two tracks: tempo, then two note-ons and note-offs sharing one status byte
+    const file = new Uint8Array([
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, 0x01, 0xe0,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 11, 0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20, 0x00, 0xff, 0x2f, 0x00,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 18,
+      0x00, 0x90, 60, 100, 0x00, 64, 90, 0x83, 0x60, 60, 0, 0x00, 64, 0,
+      0x00, 0xff, 0x2f, 0x00
+    ]);
+
+    const midi = new Midi(generator.toFormat0(file));
+    const parsed = midi.tracks.flatMap(track => track.notes.map(note => [note.midi, note.ticks, note.durationTicks]));
+
+    expect(parsed).toEqual([[60, 0, 480], [64, 0, 480]]);
+    expect(midi.header.tempos[0].bpm).toBeCloseTo(120, 3);
+  });
+});
@@ -0,0 +1,43 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { MIDIImporter } from '../src/modules/midiImporter.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+import { BatchConverter } from '../src/cli/batchConverter.js';
+import { parseCliArgs } from '../src/cli/args.js';
+
+describe('MIDI import', () => {
+  let dir = null;
+
+  afterEach(async () => {
+    if (dir) {
+      await rm(dir, { recursive: true });
+      dir = null;
+    }
+  });
+
+  it('reports why a corrupt file failed', () => {
+    expect(() => new MIDIImporter().toNoteSequence(new Uint8Array([1, 2, 3, 4])))
+      .toThrow(/^MIDI import failed: (?!undefined).+/);
+  });
+
+  it('counts the notes written, after cleanup', async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'midi-import-'));
+    const file = path.join(dir, 'song.mid');
+
+    // One of the two notes is longer than the default 0.2 s limit
+    await writeFile(file, new MIDIGenerator().generateMIDI({
+      notes: [
+        { pitch: 60, startTime: 0, endTime: 0.1, velocity: 80 },
+        { pitch: 62, startTime: 0.5, endTime: 2, velocity: 80 }
+      ]
+    }, { enableMaxNotesFilter: false }));
+
+    const { settings } = parseCliArgs([file]);
+    const result = await new BatchConverter(settings, () => {}).reprocessFile(file, 'song', 0, 1, null);
+
+    expect(result.noteCount).toBe(1);
+    expect(new MIDIImporter().toNoteSequence(result.midiData).notes).toHaveLength(1);
+  });
+});
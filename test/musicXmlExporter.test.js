@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+import { MusicXMLExporter } from '../src/modules/musicXmlExporter.js';
+
+const exporter = new MusicXMLExporter();
+const note = (pitch, startTime, endTime) => ({ pitch, startTime, endTime, velocity: 80 });
+
+// At the default 120 BPM in 4/4 a quarter note is 0.5 s and a measure 2 s
+function toXML(notes, options = {}, title) {
+  const midiData = new MIDIGenerator().generateMIDI({ notes }, { enableMaxNotesFilter: false, ...options });
+  return exporter.export(midiData, { title });
+}
+
+const measures = (xml) => xml.split('<measure ').slice(1);
+const notesOf = (measure) => measure.match(/<note>.*?<\/note>/g) || [];
+
+describe('MusicXMLExporter', () => {
+  it('writes the time signature, key and tempo in the first measure', () => {
+    const xml = toXML([note(60, 0, 0.5)]);
+
+    expect(xml).toContain('<time><beats>4</beats><beat-type>4</beat-type></time>');
+    expect(xml).toContain('<key><fifths>0</fifths><mode>major</mode></key>');
+    expect(xml).toContain('<per-minute>120</per-minute>');
+    expect(measures(xml)).toHaveLength(1);
+  });
+
+  it('puts notes below middle C on the bass staff', () => {
+    const [measure] = measures(toXML([note(72, 0, 0.5), note(48, 0, 0.5)]));
+    const [treble, bass] = notesOf(measure).filter(n => n.includes('<pitch>'));
+
+    expect(treble).toContain('<step>C</step><octave>5</octave>');
+    expect(treble).toContain('<staff>1</staff>');
+    expect(bass).toContain('<step>C</step><octave>3</octave>');
+    expect(bass).toContain('<staff>2</staff>');
+  });
+
+  it('writes notes struck together as a chord', () => {
+    const [measure] = measures(toXML([note(60, 0, 1), note(64, 0, 1), note(67, 0, 1)]));
+    const chord = notesOf(measure).filter(n => n.includes('<pitch>'));
+
+    expect(chord).toHaveLength(3);
+    expect(chord.map(n => n.includes('<chord/>'))).toEqual([false, true, true]);
+    chord.forEach(n => expect(n).toContain('<type>half</type>'));
+  });
+
+  it('ties a note across the bar line and fills empty measures with a whole rest', () => {
+    // A half note starting on beat 4, then nothing until the fourth measure
+    const xml = toXML([note(67, 1.5, 2.5), note(60, 6, 6.5)]);
+    const [first, second, third] = measures(xml);
+
+    const tiedStart = notesOf(first).find(n => n.includes('<pitch>'));
+    const tiedStop = notesOf(second).find(n => n.includes('<pitch>'));
+    expect(tiedStart).toContain('<tie type="start"/>');
+    expect(tiedStart).toContain('<type>quarter</type>');
+    expect(tiedStop).toContain('<tie type="stop"/>');
+    expect(tiedStop).not.toContain('<tie type="start"/>');
+
+    expect(measures(xml)).toHaveLength(4);
+    expect(third).toContain('<rest measure="yes"/>');
+  });
+
+  it('spells black keys with flats in flat keys', () => {
+    const sharpKey = toXML([note(70, 0, 0.5)], { keySignature: 'D major' });
+    const flatKey = toXML([note(70, 0, 0.5)], { keySignature: 'F major' });
+
+    expect(sharpKey).toContain('<step>A</step><alter>1</alter>');
+    expect(flatKey).toContain('<step>B</step><alter>-1</alter>');
+  });
+
+  it('escapes the title', () => {
+    expect(toXML([note(60, 0, 0.5)], {}, 'Tom & Jerry <live>'))
+      .toContain('<work-title>Tom &amp; Jerry &lt;live&gt;</work-title>');
+  });
+
+  it('names the file after the MIDI file', () => {
+    expect(exporter.getFilename('song.mid')).toBe('song.musicxml');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { Midi } from '@tonejs/midi';
+import { ConversionPipeline } from '../src/modules/conversionPipeline.js';
+import { NoteDataExporter } from '../src/modules/noteDataExporter.js';
+import { parseCliArgs } from '../src/cli/args.js';
+
+describe('note data export', () => {
+  it('matches the notes and tracks of the MIDI file', () => {
+    const { settings } = parseCliArgs(['--fixed-velocity', '90', '--transpose', 'D', '--key', 'C major', 'input.mp3']);
+    const noteSequence = {
+      notes: [
+        { pitch: 48, startTime: 0, endTime: 0.1, velocity: 50 },
+        { pitch: 72, startTime: 0, endTime: 0.1, velocity: 60 },
+        { pitch: 76, startTime: 0.5, endTime: 0.6, velocity: 70 },
+        { pitch: 40, startTime: 1, endTime: 3, velocity: 80 }   // Dropped: longer than 0.2 s
+      ]
+    };
+    const { arrangement, midiData } = new ConversionPipeline().buildMIDI(noteSequence, settings);
+
+    const written = new Midi(midiData).tracks
+      .flatMap(track => track.notes.map(note => `${note.midi},${Math.round(note.velocity * 127)},${track.name}`))
+      .sort();
+
+    const rows = new NoteDataExporter().toCSV({ arrangement, settings })
+      .trim().split('\n').slice(1)
+      .map(row => row.split(','))
+      .map(([pitch, , , , , velocity, track]) => `${pitch},${velocity},${track}`)
+      .sort();
+
+    expect(rows).toEqual(written);
+    expect(rows).toHaveLength(3);
+  });
+
+  it('falls back to the transcribed notes for history entries without an arrangement', () => {
+    const entry = {
+      noteSequence: { notes: [{ pitch: 60, startTime: 0.5, endTime: 1, velocity: 64 }], totalTime: 1 },
+      settings: { separateHands: false }
+    };
+    const exporter = new NoteDataExporter();
+
+    expect(exporter.toCSV(entry).trim().split('\n')[1]).toBe('60,C4,0.5,1,0.5,64,Piano');
+    expect(JSON.parse(exporter.toJSON(entry)).noteSequence.notes).toHaveLength(1);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { ConversionPipeline } from '../src/modules/conversionPipeline.js';
+import { NoteEditor } from '../src/modules/noteEditor.js';
+import { MIDIImporter } from '../src/modules/midiImporter.js';
+import { parseCliArgs } from '../src/cli/args.js';
+
+const midiImporter = new MIDIImporter();
+
+// Default cleanup drops notes over 0.2 s; the velocity flag replaces every velocity
+function convert(args = []) {
+  const pipeline = new ConversionPipeline();
+  const { settings } = parseCliArgs([...args, 'input.mp3']);
+  const noteSequence = {
+    notes: [
+      { pitch: 60, startTime: 0.5, endTime: 0.6, velocity: 90 },
+      { pitch: 64, startTime: 0.7, endTime: 0.8, velocity: 40 },
+      { pitch: 67, startTime: 1.0, endTime: 3.0, velocity: 70 }
+    ],
+    totalTime: 3
+  };
+
+  const { arrangement, midiData } = pipeline.buildMIDI(noteSequence, settings, null, null, { name: 'take' });
+  return { pipeline, result: { arrangement, midiData, settings, sourceName: 'take', sourceUrl: null } };
+}
+
+// What main.js does when the editor changes
+function applyEditor(result, editor) {
+  result.arrangement = { ...result.arrangement, notes: editor.getNoteSequence().notes };
+}
+
+function exportedNotes(pipeline, result) {
+  return midiImporter.toNoteSequence(pipeline.regenerateMIDI(result)).notes;
+}
+
+describe('note editing', () => {
+  it('starts from the notes written to the MIDI file', () => {
+    const { result } = convert();
+    const editor = new NoteEditor({ notes: result.arrangement.notes });
+    const written = midiImporter.toNoteSequence(result.midiData).notes;
+
+    // The 2 s note was dropped by the max duration filter
+    expect(editor.notes.map(note => note.pitch)).toEqual([60, 64]);
+    expect(written.map(note => note.pitch)).toEqual([60, 64]);
+  });
+
+  it('keeps a 1 s note added in the editor in the exported MIDI', () => {
+    const { pipeline, result } = convert();
+    const editor = new NoteEditor({ notes: result.arrangement.notes });
+
+    editor.addNote({ pitch: 72, startTime: 1, endTime: 2, velocity: 100 });
+    applyEditor(result, editor);
+
+    const added = exportedNotes(pipeline, result).find(note => note.pitch === 72);
+    expect(added).toBeDefined();
+    expect(added.startTime).toBeCloseTo(1, 2);
+    expect(added.endTime - added.startTime).toBeCloseTo(1, 2);
+    expect(added.velocity).toBe(100);
+  });
+
+  it('keeps edited velocities when the conversion used a fixed velocity', () => {
+    const { pipeline, result } = convert(['--fixed-velocity', '80']);
+    const editor = new NoteEditor({ notes: result.arrangement.notes });
+
+    editor.setVelocity(editor.notes.filter(note => note.pitch === 60), 20);
+    applyEditor(result, editor);
+
+    const velocities = exportedNotes(pipeline, result).map(note => [note.pitch, note.velocity]);
+    expect(velocities).toEqual([[60, 20], [64, 80]]);
+  });
+
+  it("doesn't transpose or quantize edited notes a second time", () => {
+    const { pipeline, result } = convert(['--key', 'C major', '--transpose', 'D', '--quantize', '1/8']);
+    const written = midiImporter.toNoteSequence(result.midiData).notes;
+    const editor = new NoteEditor({ notes: result.arrangement.notes });
+
+    editor.checkpoint();
+    applyEditor(result, editor);
+
+    const exported = exportedNotes(pipeline, result);
+    expect(exported.map(note => note.pitch)).toEqual(written.map(note => note.pitch));
+    exported.forEach((note, i) => expect(note.startTime).toBeCloseTo(written[i].startTime, 3));
+  });
+});
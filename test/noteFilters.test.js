@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { NoteFilterChain, getFilterOptions } from '../src/modules/noteFilters.js';
+
+const chain = new NoteFilterChain();
+const note = (pitch, startTime, endTime, velocity = 80) => ({ pitch, startTime, endTime, velocity });
+
+// Everything off, then the options under test
+const run = (notes, options, context) => chain.run(notes, {
+  ...getFilterOptions({ minPitch: 0, maxPitch: 127, enableMaxNotes: false }),
+  ...options
+}, context);
+
+const describeNotes = (notes) => notes.map(n => [n.pitch, n.startTime, n.endTime, n.velocity]);
+
+describe('NoteFilterChain', () => {
+  it('fills in the defaults for missing settings', () => {
+    expect(getFilterOptions({ maxNotes: NaN, enableMaxNotes: true })).toMatchObject({ minPitch: 21, maxPitch: 108, maxDuration: 0.2 });
+    expect(getFilterOptions({ enableMaxNotes: false }).maxDuration).toBeNull();
+  });
+
+  it('drops notes outside the pitch range, below the velocity floor or too short', () => {
+    const notes = [note(20, 0, 1), note(60, 0, 1, 10), note(62, 0, 0.02), note(64, 0, 1), note(109, 0, 1)];
+    const left = run(notes, { minPitch: 21, maxPitch: 108, velocityFloor: 20, minDuration: 0.05 });
+
+    expect(left.map(n => n.pitch)).toEqual([64]);
+  });
+
+  it('removes quiet ghosts a semitone or an octave from a loud note', () => {
+    const notes = [note(60, 0, 1, 100), note(61, 0.01, 1, 30), note(72, 0.02, 1, 30), note(67, 0, 1, 30), note(60, 1, 2, 30)];
+
+    expect(run(notes, { removeGhostNotes: true }).map(n => n.pitch)).toEqual([60, 67, 60]);
+  });
+
+  it('merges a note with its immediate restart', () => {
+    const notes = [note(60, 0, 0.5, 50), note(60, 0.53, 1, 90), note(60, 1.5, 2), note(62, 0.5, 1)];
+
+    expect(describeNotes(run(notes, { mergeRetriggers: true }))).toEqual([
+      [60, 0, 1, 90],
+      [62, 0.5, 1, 80],
+      [60, 1.5, 2, 80]
+    ]);
+  });
+
+  it('drops or truncates long notes, and always truncates pedalled ones', () => {
+    const notes = [note(60, 0, 0.1), note(62, 0, 3), note(64, 5, 8)];
+    const pedalRegions = [{ start: 5.5, end: 8 }];
+
+    expect(describeNotes(run(notes, { maxDuration: 0.2 }, { pedalRegions }))).toEqual([
+      [60, 0, 0.1, 80],
+      [64, 5, 5.6, 80]
+    ]);
+    expect(describeNotes(run(notes, { maxDuration: 0.2, truncateLong: true }))).toEqual([
+      [60, 0, 0.1, 80],
+      [62, 0, 0.2, 80],
+      [64, 5, 5.2, 80]
+    ]);
+  });
+
+  it('cuts off the quietest note when too many sound at once', () => {
+    const notes = [note(60, 0, 2, 90), note(64, 0, 2, 40), note(67, 1, 2, 70), note(72, 1.5, 2, 20)];
+
+    expect(describeNotes(run(notes, { maxPolyphony: 2 }))).toEqual([
+      [60, 0, 2, 90],
+      [64, 0, 1, 40],
+      [67, 1, 2, 70]
+    ]);
+  });
+
+  it('reports what each filter did and leaves the input alone', () => {
+    const notes = [note(60, 0, 3), note(62, 0, 0.1)];
+    const messages = [];
+
+    chain.run(notes, getFilterOptions({ truncateLongNotes: true }), {}, message => messages.push(message));
+
+    expect(messages).toEqual(['Pitch range: removed 0 notes', 'Max duration: removed 0 notes, shortened 1']);
+    expect(notes[0].endTime).toBe(3);
+  });
+});
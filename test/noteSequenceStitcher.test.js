@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { NoteSequenceStitcher } from '../src/modules/noteSequenceStitcher.js';
+
+const stitcher = new NoteSequenceStitcher();
+
+describe('NoteSequenceStitcher', () => {
+  it('plans chunks that overlap into the next one', () => {
+    expect(stitcher.planChunks(250, 10, 10, 2).map(chunk => [chunk.startTime, chunk.endTime]))
+      .toEqual([[0, 12], [10, 22], [20, 25]]);
+  });
+
+  it('uses a single chunk when chunking is off or the audio is short', () => {
+    expect(stitcher.planChunks(250, 10, 0, 2)).toEqual([{ startSample: 0, endSample: 250, startTime: 0, endTime: 25 }]);
+    expect(stitcher.planChunks(110, 10, 10, 2)).toHaveLength(1);
+  });
+
+  it('shifts chunk notes to absolute times', () => {
+    expect(stitcher.offsetNotes([{ pitch: 60, startTime: 1, endTime: 2, velocity: 80 }], 10))
+      .toEqual([{ pitch: 60, startTime: 11, endTime: 12, velocity: 80 }]);
+  });
+
+  it('merges the notes of two chunks at the seam', () => {
+    const previousChunk = { startTime: 0, endTime: 12 };
+    const chunk = { startTime: 10, endTime: 22 };
+    const merged = [
+      { pitch: 60, startTime: 10.5, endTime: 12, velocity: 70 },   // Heard again by the next chunk
+      { pitch: 62, startTime: 5, endTime: 12, velocity: 60 },      // Held past the cut
+      { pitch: 64, startTime: 11.5, endTime: 12, velocity: 50 },   // Late onset only the previous chunk heard
+      { pitch: 65, startTime: 3, endTime: 4, velocity: 90 }
+    ];
+    const next = [
+      { pitch: 60, startTime: 10.52, endTime: 11, velocity: 80 },
+      { pitch: 62, startTime: 10, endTime: 14, velocity: 40 },
+      { pitch: 67, startTime: 10.8, endTime: 11, velocity: 50 },   // Early onset only the next chunk heard
+      { pitch: 69, startTime: 11.5, endTime: 12.5, velocity: 50 }
+    ];
+
+    const notes = stitcher.merge(merged, next, previousChunk, chunk)
+      .map(note => [note.pitch, note.startTime, note.endTime, note.velocity]);
+
+    expect(notes).toEqual([
+      [60, 10.5, 12, 80],
+      [62, 5, 14, 60],
+      [65, 3, 4, 90],
+      [69, 11.5, 12.5, 50]
+    ]);
+  });
+});
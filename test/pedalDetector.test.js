@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { Midi } from '@tonejs/midi';
+import { PedalDetector } from '../src/modules/pedalDetector.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+
+const detector = new PedalDetector();
+const note = (pitch, startTime, endTime) => ({ pitch, startTime, endTime, velocity: 80 });
+
+// An arpeggio struck over a second and released together, as a pedal lift releases it
+const pedalled = [note(48, 0, 2), note(55, 0.3, 2.01), note(60, 0.6, 2.02), note(64, 0.9, 2.03)];
+
+describe('PedalDetector', () => {
+  it('finds a pedal from notes released together', () => {
+    const regions = detector.detect(pedalled);
+
+    expect(regions).toHaveLength(1);
+    expect(regions[0].start).toBeCloseTo(0.05, 3);
+    expect(regions[0].end).toBeCloseTo(2.03, 3);
+  });
+
+  it('finds no pedal in a line played legato', () => {
+    const notes = [note(60, 0, 0.5), note(62, 0.5, 1), note(64, 1, 1.5), note(65, 1.5, 2)];
+    expect(detector.detect(notes)).toEqual([]);
+  });
+
+  it('turns overlapping regions into a pedal change', () => {
+    expect(detector.normalize([{ start: 2, end: 4 }, { start: 0, end: 2.5 }])).toEqual([
+      { start: 0, end: 2.5 },
+      { start: 2.52, end: 4 }
+    ]);
+  });
+
+  it('hears the pedal in audio that rings past the note-offs', () => {
+    // The notes are released early, but the sound keeps going until the dampers fall at 2 s
+    const sampleRate = 8000;
+    const samples = new Float32Array(sampleRate * 3);
+    for (let i = 0; i < sampleRate * 2; i++) {
+      samples[i] = 0.5 * Math.sin(2 * Math.PI * 262 * i / sampleRate);
+    }
+    const notes = [note(60, 0, 0.3), note(64, 0.5, 0.8), note(67, 1, 1.2)];
+
+    expect(detector.detect(notes)).toEqual([]);
+
+    const regions = detector.detect(notes, { samples, sampleRate });
+    expect(regions).toHaveLength(1);
+    expect(regions[0].start).toBeCloseTo(0.05, 3);
+    expect(regions[0].end).toBeCloseTo(2, 1);
+  });
+
+  it('writes the pedal as CC64', () => {
+    const midi = new Midi(new MIDIGenerator().generateMIDI({ notes: pedalled }, { pedal: 'notes', enableMaxNotesFilter: false }));
+    const pedal = midi.tracks[0].controlChanges[64].map(cc => [Math.round(cc.time * 100) / 100, Math.round(cc.value * 127)]);
+
+    expect(pedal).toEqual([[0.05, 127], [2.03, 0]]);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import { ConversionPipeline } from '../src/modules/conversionPipeline.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+import { YouTubeDownloader } from '../src/modules/youtubeDownloader.js';
+
+const URL = 'https://www.youtube.com/watch?v=abc123';
+
+describe('segments', () => {
+  it('keeps the segment name after a custom title', () => {
+    const midiGenerator = new MIDIGenerator();
+
+    expect(midiGenerator.resolveFilename('concert_Allegro', '', 0, 1, 'Allegro')).toBe('concert_Allegro.mid');
+    expect(midiGenerator.resolveFilename('concert_Allegro', 'Live', 0, 1, 'Allegro')).toBe('Live_Allegro.mid');
+    expect(midiGenerator.resolveFilename('concert_Adagio', 'Live', 1, 2, 'Adagio')).toBe('Live_2_Adagio.mid');
+    expect(midiGenerator.resolveFilename('concert', 'Live', 0, 1)).toBe('Live.mid');
+  });
+
+  it('reads segments written after a YouTube URL', () => {
+    const downloader = new YouTubeDownloader();
+
+    expect(downloader.parseSources(`${URL}  Adagio=640-1105 Allegro=12-610\nnot a url\nhttps://youtu.be/xyz`)).toEqual([
+      {
+        url: URL,
+        segments: [
+          { name: 'Allegro', startTime: 12, endTime: 610 },
+          { name: 'Adagio', startTime: 640, endTime: 1105 }
+        ]
+      },
+      { url: 'https://youtu.be/xyz', segments: [] }
+    ]);
+    expect(() => downloader.parseSources(`${URL} Allegro=610-12`)).toThrow(/Invalid segment "Allegro=610-12"/);
+    expect(() => downloader.parseSources(`${URL} a=0-1 A=1-2`)).toThrow(/two segments named "A"/);
+  });
+
+  it('downloads a video once for all of its segments', async () => {
+    let downloads = 0;
+    const youtubeDownloader = {
+      downloadAudio: async () => {
+        downloads++;
+        return { buffer: new ArrayBuffer(8), filename: 'Concert.mp3' };
+      }
+    };
+    const pipeline = new ConversionPipeline({ youtubeDownloader, transcriber: {} });
+
+    const jobs = pipeline.createJobs([
+      { type: 'youtube', url: URL, trim: { startTime: 12, endTime: 610 }, segment: 'Allegro' },
+      { type: 'youtube', url: URL, trim: { startTime: 640, endTime: 1105 }, segment: 'Adagio' },
+      { type: 'youtube', url: 'https://youtu.be/xyz' }
+    ]);
+
+    for (const job of jobs.slice(0, 2)) {
+      await pipeline.loadSource(job, null);
+    }
+
+    expect(downloads).toBe(1);
+    expect(jobs.map(job => job.name)).toEqual(['Concert_Allegro', 'Concert_Adagio', 'https://youtu.be/xyz']);
+    expect(jobs.map(job => [job.inputIndex, job.inputCount])).toEqual([[0, 2], [0, 2], [1, 2]]);
+  });
+
+  describe('running segments of one video side by side', () => {
+    function setup() {
+      const youtubeDownloader = {
+        calls: 0,
+        downloadAudio(url, onProgress, signal) {
+          this.calls++;
+          return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve({ buffer: new ArrayBuffer(8), filename: 'Concert.mp3' }), 20);
+            signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(new DOMException('Aborted', 'AbortError'));
+            });
+          });
+        }
+      };
+      const pipeline = new ConversionPipeline({ youtubeDownloader, transcriber: {} });
+      pipeline.convertSource = async (job) => ({ filename: `${job.name}.mid` });
+
+      const jobs = pipeline.createJobs([
+        { type: 'youtube', url: URL, trim: { startTime: 12, endTime: 610 }, segment: 'Allegro' },
+        { type: 'youtube', url: URL, trim: { startTime: 640, endTime: 1105 }, segment: 'Adagio' }
+      ]);
+
+      return { youtubeDownloader, pipeline, jobs };
+    }
+
+    it('downloads the video once', async () => {
+      const { youtubeDownloader, pipeline, jobs } = setup();
+
+      const { results } = await pipeline.runJobs(jobs, { concurrency: 2 });
+
+      expect(youtubeDownloader.calls).toBe(1);
+      expect(results.map(result => result.filename)).toEqual(['Concert_Allegro.mid', 'Concert_Adagio.mid']);
+    });
+
+    it('downloads again for the other segment when the first is removed', async () => {
+      const { youtubeDownloader, pipeline, jobs } = setup();
+
+      const run = pipeline.runJobs(jobs, { concurrency: 2 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      pipeline.removeJob(jobs[0]);
+      const { results } = await run;
+
+      expect(youtubeDownloader.calls).toBe(2);
+      expect(results.map(result => result.filename)).toEqual(['Concert_Adagio.mid']);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { TempoDetector } from '../src/modules/tempoDetector.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+
+const detector = new TempoDetector();
+
+// One note per beat, the first beat of every bar played louder
+function beatNotes(bpm, beatsPerBar, seconds, offset = 0) {
+  const interval = 60 / bpm;
+  const notes = [];
+
+  for (let i = 0; offset + i * interval < seconds; i++) {
+    const startTime = offset + i * interval;
+    notes.push({ pitch: 60, startTime, endTime: startTime + 0.1, velocity: i % beatsPerBar === 0 ? 120 : 40 });
+  }
+
+  return notes;
+}
+
+describe('TempoDetector', () => {
+  it('needs enough notes to find a rhythm', () => {
+    expect(detector.detect(beatNotes(120, 4, 3))).toBeNull();
+  });
+
+  it('finds the tempo and beats of a steady pulse', () => {
+    const tempo = detector.detect(beatNotes(100, 4, 30));
+
+    expect(tempo.bpm).toBeCloseTo(100, 0);
+    expect(tempo.beatsPerBar).toBe(4);
+    tempo.beats.slice(0, 8).forEach(beat => {
+      const offBeat = beat % 0.6;
+      expect(Math.min(offBeat, 0.6 - offBeat)).toBeLessThan(0.03);
+    });
+  });
+
+  it('hears three beats to the bar in a waltz', () => {
+    const tempo = detector.detect(beatNotes(150, 3, 30));
+
+    expect(tempo.bpm).toBeCloseTo(150, -1);
+    expect(tempo.beatsPerBar).toBe(3);
+  });
+
+  it('puts the downbeat on the accented beat', () => {
+    // The music starts on the last beat of a bar
+    const notes = beatNotes(120, 4, 30).map((note, i) => ({ ...note, velocity: (i + 1) % 4 === 0 ? 120 : 40 }));
+    const tempo = detector.detect(notes);
+    const downbeatTime = tempo.beats[tempo.downbeat];
+
+    expect(notes.find(note => Math.abs(note.startTime - downbeatTime) < 0.05).velocity).toBe(120);
+  });
+});
+
+describe('quantizing to the detected tempo', () => {
+  // A pulse at 100 BPM, every note played 15 ms late or early
+  const notes = beatNotes(100, 4, 30).map((note, i) => {
+    const shift = i % 2 ? 0.015 : -0.015;
+    return { ...note, startTime: Math.max(0, note.startTime + shift), endTime: note.endTime + shift };
+  });
+  const options = { detectTempo: true, enableMaxNotesFilter: false, quantize: '1/8' };
+
+  // The grid follows the detected beats
+  const distanceToBeat = (time, beats) => Math.min(...beats.map(beat => Math.abs(beat - time)));
+
+  it('snaps onsets to the beat grid', () => {
+    const { notes: placed, tempo } = new MIDIGenerator().arrange({ notes }, options);
+
+    expect(Math.abs(tempo.bpm - 100)).toBeLessThan(5);
+    placed.slice(1, -1).forEach(note => expect(distanceToBeat(note.startTime, tempo.beats)).toBeLessThan(0.005));
+  });
+
+  it('moves notes part of the way at a lower strength', () => {
+    const { notes: placed, tempo } = new MIDIGenerator().arrange({ notes }, { ...options, quantizeStrength: 50 });
+
+    placed.slice(1, -1).forEach((note, i) => {
+      const before = distanceToBeat(notes[i + 1].startTime, tempo.beats);
+      expect(distanceToBeat(note.startTime, tempo.beats)).toBeCloseTo(before / 2, 2);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { TranscriptionEvaluator, DEFAULT_TOLERANCES } from '../src/modules/transcriptionEvaluator.js';
+import { MIDIGenerator } from '../src/modules/midiGenerator.js';
+
+const evaluator = new TranscriptionEvaluator();
+const note = (pitch, startTime, endTime, velocity = 80) => ({ pitch, startTime, endTime, velocity });
+const toMIDI = (notes) => new MIDIGenerator().generateMIDI({ notes }, { enableMaxNotesFilter: false });
+
+describe('TranscriptionEvaluator', () => {
+  it('pairs notes by pitch and onset, as many as possible', () => {
+    // Greedy matching would give the first reference the only estimate the second can use
+    const reference = [note(60, 1.03, 1.5), note(60, 0.96, 1.5), note(62, 1, 1.5)];
+    const estimated = [note(60, 1, 1.5), note(60, 1.07, 1.5), note(64, 1, 1.5)];
+
+    expect(evaluator.matchNotes(reference, estimated, DEFAULT_TOLERANCES, false)).toEqual([[0, 1], [1, 0]]);
+  });
+
+  it('only matches offsets within 20% of the note or 50 ms', () => {
+    const reference = [note(60, 0, 1), note(62, 0, 0.1)];
+    const estimated = [note(60, 0, 1.19), note(62, 0, 0.16)];
+
+    expect(evaluator.matchNotes(reference, estimated, DEFAULT_TOLERANCES, true)).toEqual([[0, 0]]);
+  });
+
+  it('compares velocities after fitting them to the reference', () => {
+    // Twice as loud throughout still counts; the one note out of line doesn't
+    const reference = [note(60, 0, 1, 20), note(62, 1, 2, 40), note(64, 2, 3, 60), note(65, 3, 4, 80), note(67, 4, 5, 50)];
+    const estimated = [note(60, 0, 1, 40), note(62, 1, 2, 80), note(64, 2, 3, 120), note(65, 3, 4, 40), note(67, 4, 5, 100)];
+    const matches = reference.map((_, i) => [i, i]);
+
+    expect(evaluator.matchVelocities(reference, estimated, matches, 0.1).map(([ref]) => ref)).not.toContain(3);
+    expect(evaluator.matchVelocities(reference, estimated.map(n => ({ ...n, velocity: n.velocity * 0.5 })), matches.slice(0, 3), 0.1))
+      .toHaveLength(3);
+  });
+
+  it('scores precision, recall and F1', () => {
+    expect(evaluator.score(3, 4, 6)).toEqual({ precision: 0.5, recall: 0.75, f1: 0.6, matched: 3 });
+    expect(evaluator.score(0, 0, 0)).toEqual({ precision: 0, recall: 0, f1: 0, matched: 0 });
+  });
+
+  it('evaluates a transcription against its reference file', () => {
+    const reference = [note(60, 0, 0.5), note(64, 0.5, 1), note(67, 1, 1.5), note(72, 1.5, 2)];
+    const estimated = [note(60, 0.02, 0.5), note(64, 0.5, 1.4), note(67, 1.3, 1.5), note(71, 1.5, 2)];
+
+    const result = evaluator.evaluate(toMIDI(estimated), toMIDI(reference));
+
+    expect(result.referenceNotes).toBe(4);
+    expect(result.onset.matched).toBe(2);
+    expect(result.onsetOffset.matched).toBe(1);
+    expect(result.missed.map(n => n.name)).toEqual(['G4', 'C5']);
+    expect(result.extra.map(n => n.name)).toEqual(['G4', 'B4']);
+    expect(result.perPitch.find(p => p.pitch === 71)).toMatchObject({ reference: 0, estimated: 1, matched: 0 });
+  });
+
+  it('trims the reference to the transcribed range', () => {
+    const reference = toMIDI([note(60, 1, 1.5), note(62, 10, 10.5), note(64, 20, 20.5)]);
+    const estimated = toMIDI([note(62, 0, 0.5)]);
+
+    const result = evaluator.evaluate(estimated, reference, { startTime: 10, endTime: 15 });
+    expect(result.referenceNotes).toBe(1);
+    expect(result.onset.f1).toBe(1);
+  });
+
+  it('finds the reference with the same name, or the only one for a single file', () => {
+    const references = [{ name: 'Etude', data: null }, { name: 'Nocturne', data: null }];
+
+    expect(evaluator.findReference(' etude ', references, 2)).toBe(references[0]);
+    expect(evaluator.findReference('Prelude', references, 1)).toBeNull();
+    expect(evaluator.findReference('Prelude', [references[1]], 1)).toBe(references[1]);
+    expect(evaluator.findReference('Prelude', [references[1]], 2)).toBeNull();
+  });
+
+  it('writes a report row per file and a mean row', () => {
+    const evaluation = (f1) => ({
+      reference: 'ref',
+      referenceNotes: 10,
+      estimatedNotes: 12,
+      onset: { precision: f1, recall: f1, f1 },
+      onsetOffset: { precision: f1, recall: f1, f1 },
+      velocity: { precision: f1, recall: f1, f1 }
+    });
+    const results = [
+      { filename: 'a,b.mid', evaluation: evaluation(0.5), settings: { modelChoice: 'piano' } },
+      { filename: 'c.mid', evaluation: evaluation(1), settings: {} }
+    ];
+
+    const lines = evaluator.toCSV(results).trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[1].startsWith('"a,b.mid",ref,piano,,10,12,0.5,0.5,0.5')).toBe(true);
+    expect(lines[3].startsWith('(mean),,,,10,12,0.75,0.75,0.75')).toBe(true);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { VelocityProcessor, getVelocityOptions } from '../src/modules/velocityProcessor.js';
+
+const processor = new VelocityProcessor();
+const notes = (...velocities) => velocities.map((velocity, i) => ({ pitch: 60 + i, startTime: i, endTime: i + 1, velocity }));
+const velocitiesOf = (settings, input) => processor.process(input, getVelocityOptions(settings)).map(note => note.velocity);
+
+describe('VelocityProcessor', () => {
+  it('leaves velocities alone in original mode', () => {
+    const input = notes(10, 64, 120);
+    expect(processor.process(input, getVelocityOptions({}))).toBe(input);
+  });
+
+  it('replaces every velocity with a fixed one', () => {
+    expect(velocitiesOf({ velocityMode: 'fixed', fixedVelocity: 90 }, notes(10, 64, 120))).toEqual([90, 90, 90]);
+  });
+
+  it('bends velocities with the log and exp curves', () => {
+    const [soft] = velocitiesOf({ velocityMode: 'process', velocityCurve: 'log' }, notes(32));
+    const [quiet] = velocitiesOf({ velocityMode: 'process', velocityCurve: 'exp' }, notes(32));
+
+    expect(soft).toBeGreaterThan(32);
+    expect(quiet).toBeLessThan(32);
+    expect(velocitiesOf({ velocityMode: 'process', velocityCurve: 'log' }, notes(127))).toEqual([127]);
+  });
+
+  it('follows the points of a custom curve', () => {
+    const settings = { velocityMode: 'process', velocityCurve: 'custom', velocityCurvePoints: [[127, 127], [0, 20], [64, 100]] };
+    expect(velocitiesOf(settings, notes(0, 32, 64, 96))).toEqual([20, 60, 100, 114]);
+  });
+
+  it('compresses and expands dynamics around the average', () => {
+    expect(velocitiesOf({ velocityMode: 'process', velocityDynamics: 50 }, notes(40, 60, 80))).toEqual([50, 60, 70]);
+    expect(velocitiesOf({ velocityMode: 'process', velocityDynamics: 200 }, notes(40, 60, 80))).toEqual([20, 60, 100]);
+  });
+
+  it('normalizes into the target range', () => {
+    const settings = { velocityMode: 'process', velocityNormalize: true, velocityMin: 30, velocityMax: 110 };
+
+    expect(velocitiesOf(settings, notes(50, 60, 70))).toEqual([30, 70, 110]);
+    expect(velocitiesOf(settings, notes(64, 64))).toEqual([70, 70]);
+  });
+
+  it('keeps velocities within 1-127', () => {
+    expect(velocitiesOf({ velocityMode: 'process', velocityDynamics: 400 }, notes(10, 64, 118))).toEqual([1, 64, 127]);
+  });
+
+  it('counts velocities into bins for the preview', () => {
+    expect(processor.histogram(notes(0, 7, 8, 127), 16)).toEqual([2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+  });
+});
@@ -0,0 +1,94 @@
+import { defineConfig } from 'vite';
+import { fileURLToPath } from 'node:url';
+
+const magentaCompatPath = fileURLToPath(new URL('./src/modules/magentaCompat.js', import.meta.url));
+
+/**
+ * Resolve Magenta.js's compat/global module to our shim (see src/modules/magentaCompat.js)
+ */
+function magentaCompat() {
+  return {
+    name: 'magenta-compat',
+    enforce: 'pre',
+    resolveId(source, importer) {
+      if (importer && importer.includes('@magenta/music') && source.endsWith('/compat/global')) {
+        return magentaCompatPath;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Same redirect for the dev server's dependency pre-bundling, which uses esbuild
+ */
+const magentaCompatEsbuild = {
+  name: 'magenta-compat',
+  setup(build) {
+    build.onResolve({ filter: /\/compat\/global$/ }, (args) => {
+      if (args.importer.includes('@magenta/music')) {
+        return { path: magentaCompatPath };
+      }
+      return undefined;
+    });
+  }
+};
+
+/**
+ * List the built files for public/sw.js to precache on install.
+ * The FFmpeg wasm is left out: OfflineCache downloads it with the model, reporting progress.
+ */
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle).filter(file => !file.endsWith('.wasm') && !file.endsWith('.map'));
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(files, null, 2)
+      });
+    }
+  };
+}
+
+export default defineConfig(({ isSsrBuild }) => ({
+  plugins: isSsrBuild ? [magentaCompat()] : [magentaCompat(), precacheManifest()],
+
+  // public/ holds the service worker and model mirror, which the CLI bundle doesn't need
+  publicDir: isSsrBuild ? false : 'public',
+
+  // The transcription worker imports Magenta.js, whose stock globals module throws in workers
+  worker: {
+    format: 'es',
+    plugins: () => [magentaCompat()]
+  },
+
+  optimizeDeps: {
+    esbuildOptions: {
+      plugins: [magentaCompatEsbuild]
+    }
+  },
+
+  // The CLI (npm run build:cli) is bundled as a single file so Magenta's
+  // browser-oriented ESM build runs under Node
+  ssr: {
+    target: 'node',
+    noExternal: true,
+    // Only used on Magenta's Safari resampling path, and cwise can't be bundled
+    external: ['ndarray', 'ndarray-resample']
+  },
+
+  build: isSsrBuild ? {
+    rollupOptions: {
+      output: {
+        // Keep the lazily imported backends in the one file bin/ loads
+        inlineDynamicImports: true,
+        // TensorFlow.js probes for Node modules with require()
+        banner: "import { createRequire } from 'node:module'; const require = createRequire(import.meta.url);"
+      }
+    }
+  } : {}
+}));